@@ -0,0 +1,186 @@
+/**
+ * AreaSelection component factory
+ * @module components/AreaSelection
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+
+/**
+ * Creates an AreaSelection component: the side panel with the map draw tools and the stations selected by area.
+ * @param {Object} stationSet - StationSet holding the stations selected by area
+ * @returns {Object} AreaSelection instance
+ */
+export function createAreaSelection(stationSet) {
+    if (!stationSet) {
+        throw new Error('Station set is required');
+    }
+
+    // Private state
+    let activeTool = null;
+
+    // jQuery elements
+    const $drawer = UI_ELEMENTS.areaSelection.$drawer;
+    const $count = UI_ELEMENTS.areaSelection.$count;
+    const $tools = UI_ELEMENTS.areaSelection.$tools;
+    const $radius = UI_ELEMENTS.areaSelection.$radius;
+    const $mode = UI_ELEMENTS.areaSelection.$mode;
+    const $summary = UI_ELEMENTS.areaSelection.$summary;
+    const $list = UI_ELEMENTS.areaSelection.$list;
+    const $exportBtn = UI_ELEMENTS.areaSelection.$export;
+    const $compareBtn = UI_ELEMENTS.areaSelection.$compare;
+    const $clearBtn = UI_ELEMENTS.areaSelection.$clear;
+
+    // Event callbacks
+    let onToolChanged = null;
+    let onStationChosen = null;
+    let onExportClicked = null;
+    let onCompareClicked = null;
+
+    /**
+     * Reads the circle radius, marking the input when it is not a positive number.
+     * @returns {number} Radius in kilometres; the default when the input is invalid
+     */
+    function readRadius() {
+        const radius = Number($radius.val());
+        const valid = Number.isFinite(radius) && radius > 0;
+        $radius.toggleClass('is-invalid', !valid);
+        return valid ? radius : CONFIG.AREA_SELECTION_RADIUS_KM;
+    }
+
+    /**
+     * Activates a draw tool, or turns drawing off.
+     * @param {string|null} tool - 'box', 'polygon', 'circle', or null
+     */
+    function setTool(tool) {
+        activeTool = tool;
+        $tools.find('[data-tool]').each(function () {
+            const active = $(this).data('tool') === tool;
+            $(this).toggleClass('active', active).attr('aria-pressed', String(active));
+        });
+        if (onToolChanged) onToolChanged(tool, readRadius());
+    }
+
+    /**
+     * Renders the selected stations with remove buttons.
+     */
+    function render() {
+        const stations = stationSet.getAll();
+        $count.text(stations.length).toggleClass('d-none', !stations.length);
+        $summary.text(stations.length
+            ? `${stations.length} station${stations.length === 1 ? '' : 's'} selected`
+            : 'No stations selected');
+        $exportBtn.prop('disabled', !stations.length);
+        $compareBtn.prop('disabled', !stations.length);
+        $clearBtn.prop('disabled', !stations.length);
+        $list.empty();
+
+        stations.forEach((station) => {
+            const $item = $('<li>')
+                .addClass('list-group-item d-flex align-items-center gap-2 py-1 small');
+            $('<button>')
+                .addClass('btn btn-link btn-sm p-0 text-start text-decoration-none')
+                .attr('type', 'button')
+                .text(`${station.name} (${station.id})`)
+                .on('click', () => {
+                    if (onStationChosen) onStationChosen(station);
+                })
+                .appendTo($item);
+            $('<button>')
+                .addClass('btn-close ms-auto')
+                .attr({ type: 'button', 'aria-label': `Remove ${station.name} from the selection` })
+                .css('font-size', '0.6rem')
+                .on('click', () => stationSet.remove(station))
+                .appendTo($item);
+            $list.append($item);
+        });
+    }
+
+    // Initialize
+    $radius.val(String(CONFIG.AREA_SELECTION_RADIUS_KM));
+    $tools.on('click', '[data-tool]', (event) => {
+        const tool = $(event.currentTarget).data('tool');
+        setTool(tool === activeTool ? null : tool);
+    });
+    $radius.on('change', () => {
+        // Restart the circle tool with the new radius
+        if (activeTool === 'circle') setTool('circle');
+    });
+    $exportBtn.on('click', () => {
+        if (onExportClicked) onExportClicked(stationSet.getAll());
+    });
+    $compareBtn.on('click', () => {
+        if (onCompareClicked) onCompareClicked(stationSet.getAll());
+    });
+    $clearBtn.on('click', () => stationSet.clear());
+    $drawer.on('hidden.bs.offcanvas', () => {
+        if (activeTool) setTool(null);
+    });
+    render();
+
+    // Public API
+    const areaSelection = {
+        /**
+         * Re-renders the selected stations.
+         */
+        refresh() {
+            render();
+        },
+
+        /**
+         * Gets what drawn areas do to the selection when no modifier key is held.
+         * @returns {string} 'replace', 'add' or 'remove'
+         */
+        getMode() {
+            return $mode.val() || 'replace';
+        },
+
+        /**
+         * Turns the active draw tool off.
+         */
+        stopTool() {
+            if (activeTool) setTool(null);
+        },
+
+        /**
+         * Checks if a draw tool is active.
+         * @returns {boolean} True while drawing
+         */
+        isDrawing() {
+            return Boolean(activeTool);
+        },
+
+        /**
+         * Sets callback for when a draw tool is turned on or off.
+         * @param {Function} callback - Callback function (tool, radiusKm) => void; tool is null when drawing stops
+         */
+        onToolChanged(callback) {
+            onToolChanged = callback;
+        },
+
+        /**
+         * Sets callback for when a selected station is chosen in the list.
+         * @param {Function} callback - Callback function (station) => void
+         */
+        onStationChosen(callback) {
+            onStationChosen = callback;
+        },
+
+        /**
+         * Sets callback for when "Add to Bulk Export" is clicked.
+         * @param {Function} callback - Callback function (stations) => void
+         */
+        onExportClicked(callback) {
+            onExportClicked = callback;
+        },
+
+        /**
+         * Sets callback for when "Pin for Comparison" is clicked.
+         * @param {Function} callback - Callback function (stations) => void
+         */
+        onCompareClicked(callback) {
+            onCompareClicked = callback;
+        }
+    };
+
+    return areaSelection;
+}
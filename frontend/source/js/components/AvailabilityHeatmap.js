@@ -0,0 +1,281 @@
+/**
+ * AvailabilityHeatmap component factory
+ * @module components/AvailabilityHeatmap
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { isTransientError, runWithConcurrency } from '../utils/concurrency.js';
+import { getMonthName } from '../utils/formatters.js';
+
+/**
+ * Creates an AvailabilityHeatmap component that shows which months exist for every year of a station.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} downloadManager - DownloadManager that queues file downloads
+ * @returns {Object} AvailabilityHeatmap instance
+ */
+export function createAvailabilityHeatmap(api, toastManager, downloadManager) {
+    if (!api || !toastManager || !downloadManager) {
+        throw new Error('API, toast manager and download manager are required');
+    }
+
+    // Private state
+    let currentStation = null;
+    let requestController = null;
+    const fileLoader = createObservationFileLoader(api);
+    // Availability per station ID: Map<year, {months: Set<number>, combined: boolean}>
+    const availabilityCache = new Map();
+    // Error messages of the years of the current station whose file list could not be loaded; never cached
+    const failedYears = new Map();
+
+    // jQuery elements
+    const $container = UI_ELEMENTS.availability.$container;
+    const $toggleBtn = UI_ELEMENTS.availability.$toggle;
+    const $grid = UI_ELEMENTS.availability.$grid;
+    const $status = UI_ELEMENTS.availability.$status;
+
+    /**
+     * Shows a status message below the grid, or hides it when empty.
+     * @param {string} [message] - Message to display
+     */
+    function setStatus(message) {
+        $status.text(message || '').toggleClass('d-none', !message);
+    }
+
+    /**
+     * Creates a grid cell for a month or the combined year file.
+     * @param {number} year - The year
+     * @param {number|string} month - Month number or 'all'
+     * @param {boolean|null} available - Whether the file exists; null while loading or after a failure
+     * @param {string|null} [failure] - Why the year could not be checked
+     * @returns {jQuery} Table cell
+     */
+    function createCell(year, month, available, failure = null) {
+        const period = month === 'all' ? `all of ${year}` : `${getMonthName(month)} ${year}`;
+        const $cell = $('<td>');
+
+        if (failure) {
+            const label = `Could not check ${period}: ${failure}`;
+            return $cell.append($('<span>')
+                .addClass('availability-cell failed')
+                .attr({ role: 'img', 'aria-label': label, title: label }));
+        }
+        if (available === null) {
+            return $cell.append($('<span>').addClass('availability-cell pending placeholder').attr('aria-hidden', 'true'));
+        }
+        if (!available) {
+            return $cell.append($('<span>')
+                .addClass('availability-cell missing')
+                .attr({ role: 'img', 'aria-label': `No data for ${period}`, title: `No data for ${period}` }));
+        }
+
+        return $cell.append($('<button>')
+            .addClass(`availability-cell ${month === 'all' ? 'combined' : 'available'}`)
+            .attr({
+                type: 'button',
+                'data-year': year,
+                'data-month': month,
+                'aria-label': `Download ${period}`,
+                title: `Download ${period}`
+            }));
+    }
+
+    /**
+     * Renders the year × month grid for the current station.
+     */
+    function renderGrid() {
+        const availability = availabilityCache.get(currentStation.id);
+        const $body = $grid.find('tbody').empty();
+        let availableMonths = 0;
+        let totalMonths = 0;
+
+        for (let year = currentStation.dataEnd; year >= currentStation.dataStart; year--) {
+            const entry = availability.get(year);
+            const failure = failedYears.get(year) || null;
+            const $row = $('<tr>').append($('<th>').attr('scope', 'row').text(year));
+
+            for (let month = 1; month <= 12; month++) {
+                $row.append(createCell(year, month, entry ? entry.months.has(month) : null, failure));
+            }
+            $row.append(createCell(year, 'all', entry ? entry.combined : null, failure));
+            $body.append($row);
+
+            if (entry) {
+                availableMonths += entry.months.size;
+                totalMonths += 12;
+            }
+        }
+
+        const checkedYears = availability.size + failedYears.size;
+        const totalYears = currentStation.dataEnd - currentStation.dataStart + 1;
+        if (checkedYears < totalYears) {
+            setStatus(`Checking ${checkedYears} of ${totalYears} years…`);
+            return;
+        }
+        setStatus(`${availableMonths} of ${totalMonths} months have data.`
+            + (failedYears.size
+                ? ` ${failedYears.size} ${failedYears.size === 1 ? 'year' : 'years'} could not be checked; hide and show the grid to try again.`
+                : ''));
+    }
+
+    /**
+     * Renders the month headings.
+     */
+    function renderHeader() {
+        const $row = $('<tr>').append($('<th>').attr('scope', 'col').append(
+            $('<span>').addClass('visually-hidden').text('Year')));
+        for (let month = 1; month <= 12; month++) {
+            $('<th>')
+                .attr({ scope: 'col', title: getMonthName(month) })
+                .append($('<span>').attr('aria-hidden', 'true').text(getMonthName(month).charAt(0)))
+                .append($('<span>').addClass('visually-hidden').text(getMonthName(month)))
+                .appendTo($row);
+        }
+        $('<th>').attr({ scope: 'col', title: 'Whole year file' }).text('All').appendTo($row);
+        $grid.find('thead').empty().append($row);
+    }
+
+    /**
+     * Fetches the file list of every year in the station record, a few at a time.
+     */
+    async function loadAvailability() {
+        const station = currentStation;
+        if (!station) return;
+
+        if (!availabilityCache.has(station.id)) {
+            availabilityCache.set(station.id, new Map());
+        }
+        const availability = availabilityCache.get(station.id);
+
+        // Years that failed before are checked again
+        failedYears.clear();
+        const years = [];
+        for (let year = station.dataEnd; year >= station.dataStart; year--) {
+            if (!availability.has(year)) years.push(year);
+        }
+        renderGrid();
+        if (!years.length) return;
+
+        if (requestController) requestController.abort();
+        requestController = api.createAbortController();
+        const { signal } = requestController;
+
+        try {
+            await runWithConcurrency(
+                years.map(year => async (taskSignal) => {
+                    const files = await api.loadObservationFiles(station, year, taskSignal);
+                    const { months, combinedToken } = fileLoader.describeFiles(files);
+                    availability.set(year, {
+                        months: new Set(months.map(f => f.month)),
+                        combined: Boolean(combinedToken)
+                    });
+                }),
+                {
+                    limit: CONFIG.AVAILABILITY_CONCURRENCY,
+                    retries: CONFIG.AVAILABILITY_RETRIES,
+                    backoffMs: CONFIG.THROTTLE_BACKOFF_MS,
+                    isRetryable: isTransientError,
+                    signal,
+                    onSettled: (result, index) => {
+                        if (currentStation !== station) return;
+                        if (result.status === 'rejected') {
+                            failedYears.set(years[index], result.reason?.message || 'Request failed');
+                        }
+                        renderGrid();
+                    },
+                    onThrottled: (waitMs) => {
+                        if (currentStation !== station) return;
+                        setStatus(`Download limit reached. Resuming in ${Math.ceil(waitMs / 1000)} seconds…`);
+                    }
+                }
+            );
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            toastManager.handleError(error, 'loadAvailability', 'Failed to load data availability');
+        }
+    }
+
+    /**
+     * Queues the download of a clicked cell with a current token.
+     * @param {Event} event - The click event
+     */
+    async function handleCellClick(event) {
+        const $cell = $(event.currentTarget);
+        const year = $cell.data('year');
+        const month = $cell.data('month');
+        const station = currentStation;
+        if (!station) return;
+
+        const files = await api.fetchObservationFiles(station, year);
+        // The user may have switched station while the token was requested
+        if (currentStation !== station) return;
+
+        const { months, combinedToken } = fileLoader.describeFiles(files);
+        const token = month === 'all' ? combinedToken : months.find(f => f.month === month)?.token;
+
+        if (!token) {
+            toastManager.error('This file is no longer available for download.');
+            return;
+        }
+
+        const period = month === 'all' ? `${year} (all months)` : `${getMonthName(month)} ${year}`;
+        downloadManager.enqueueFile(station, year, month, token, `${station.name} – ${period}`);
+    }
+
+    /**
+     * Shows or hides the grid, loading it the first time it is shown for a station.
+     */
+    function handleToggleClick() {
+        const show = $container.hasClass('d-none');
+        $container.toggleClass('d-none', !show);
+        $toggleBtn.attr('aria-expanded', String(show))
+            .html(show
+                ? '<i class="bi bi-grid-3x3" aria-hidden="true"></i> Hide'
+                : '<i class="bi bi-grid-3x3" aria-hidden="true"></i> Show');
+        if (show) loadAvailability();
+    }
+
+    /**
+     * Cancels loading and hides the grid.
+     */
+    function reset() {
+        if (requestController) {
+            requestController.abort();
+            requestController = null;
+        }
+        failedYears.clear();
+        $grid.find('tbody').empty();
+        setStatus('');
+        $container.addClass('d-none');
+        $toggleBtn.attr('aria-expanded', 'false')
+            .html('<i class="bi bi-grid-3x3" aria-hidden="true"></i> Show');
+    }
+
+    // Initialize
+    renderHeader();
+    $toggleBtn.on('click', handleToggleClick);
+    $grid.on('click', '.availability-cell.available, .availability-cell.combined', handleCellClick);
+
+    // Public API
+    const availabilityHeatmap = {
+        /**
+         * Resets the grid for a newly selected station.
+         * @param {Object} station - WeatherStation instance
+         */
+        setStation(station) {
+            reset();
+            currentStation = station;
+        },
+
+        /**
+         * Clears the station and cancels any running requests.
+         */
+        clear() {
+            reset();
+            currentStation = null;
+        }
+    };
+
+    return availabilityHeatmap;
+}
@@ -0,0 +1,373 @@
+/**
+ * BulkExport component factory
+ * @module components/BulkExport
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { isTransientError, runWithConcurrency } from '../utils/concurrency.js';
+import { getMonthsInRange } from '../utils/dateRange.js';
+import { createZip } from '../utils/zip.js';
+import { serializeCsv } from '../utils/csv.js';
+import { getMonthName, toFileSafeName, formatBytes } from '../utils/formatters.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+const MANIFEST_HEADERS = ['station_id', 'station_name', 'year', 'month', 'file', 'status', 'bytes', 'message'];
+
+/**
+ * Creates a BulkExport component that packages files for several stations into one ZIP archive.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} stationSet - StationSet holding the stations selected for export
+ * @returns {Object} BulkExport instance
+ */
+export function createBulkExport(api, toastManager, stationSet) {
+    if (!api || !toastManager || !stationSet) {
+        throw new Error('API, toast manager and station set are required');
+    }
+
+    // Private state
+    let requestController = null;
+    const fileLoader = createObservationFileLoader(api);
+
+    // jQuery elements
+    const $count = UI_ELEMENTS.bulkExport.$count;
+    const $addVisibleBtn = UI_ELEMENTS.bulkExport.$addVisible;
+    const $clearBtn = UI_ELEMENTS.bulkExport.$clear;
+    const $stations = UI_ELEMENTS.bulkExport.$stations;
+    const $yearStart = UI_ELEMENTS.bulkExport.$yearStart;
+    const $monthStart = UI_ELEMENTS.bulkExport.$monthStart;
+    const $yearEnd = UI_ELEMENTS.bulkExport.$yearEnd;
+    const $monthEnd = UI_ELEMENTS.bulkExport.$monthEnd;
+    const $progress = UI_ELEMENTS.bulkExport.$progress;
+    const $status = UI_ELEMENTS.bulkExport.$status;
+    const $cancelBtn = UI_ELEMENTS.bulkExport.$cancel;
+    const $startBtn = UI_ELEMENTS.bulkExport.$start;
+
+    // Event callbacks
+    let onAddVisibleClicked = null;
+    let onDownloaded = null;
+
+    /**
+     * Renders the selected stations with remove buttons.
+     */
+    function renderStations() {
+        const stations = stationSet.getAll();
+        $count.text(stations.length);
+        $stations.empty();
+
+        if (!stations.length) {
+            $('<li>')
+                .addClass('list-group-item small text-muted')
+                .text('No stations selected')
+                .appendTo($stations);
+            return;
+        }
+
+        stations.forEach((station) => {
+            const $item = $('<li>')
+                .addClass('list-group-item d-flex align-items-center gap-2 py-1 small');
+            $('<span>').text(`${station.name} (${station.id})`).appendTo($item);
+            $('<span>')
+                .addClass('text-muted')
+                .text(`${station.dataStart}–${station.dataEnd}`)
+                .appendTo($item);
+            $('<button>')
+                .addClass('btn-close ms-auto')
+                .attr({ type: 'button', 'aria-label': `Remove ${station.name} from export` })
+                .css('font-size', '0.6rem')
+                .on('click', () => stationSet.remove(station))
+                .appendTo($item);
+            $stations.append($item);
+        });
+    }
+
+    /**
+     * Fills the year selects with every year covered by a selected station.
+     */
+    function renderYears() {
+        const stations = stationSet.getAll();
+        const previousStart = $yearStart.val();
+        const previousEnd = $yearEnd.val();
+        $yearStart.empty();
+        $yearEnd.empty();
+        if (!stations.length) return;
+
+        const firstYear = Math.min(...stations.map(s => s.dataStart));
+        const lastYear = Math.max(...stations.map(s => s.dataEnd));
+        for (let year = lastYear; year >= firstYear; year--) {
+            $yearStart.append(`<option value="${year}">${year}</option>`);
+            $yearEnd.append(`<option value="${year}">${year}</option>`);
+        }
+
+        const keep = (value) => value && value >= firstYear && value <= lastYear;
+        $yearStart.val(keep(previousStart) ? previousStart : String(lastYear));
+        $yearEnd.val(keep(previousEnd) ? previousEnd : String(lastYear));
+    }
+
+    /**
+     * Fills the month selects.
+     */
+    function renderMonths() {
+        for (let month = 1; month <= 12; month++) {
+            const option = `<option value="${month}">${getMonthName(month)}</option>`;
+            $monthStart.append(option);
+            $monthEnd.append(option);
+        }
+        $monthStart.val('1');
+        $monthEnd.val('12');
+    }
+
+    /**
+     * Updates the progress bar.
+     * @param {number} done - Completed steps
+     * @param {number} total - Total steps
+     */
+    function setProgress(done, total) {
+        const percent = total ? Math.round((done / total) * 100) : 0;
+        $progress.attr('aria-valuenow', percent)
+            .find('.progress-bar')
+            .css('width', `${percent}%`);
+    }
+
+    /**
+     * Toggles the busy state of the export controls.
+     * @param {boolean} busy - Whether an export is running
+     */
+    function setBusy(busy) {
+        $startBtn.prop('disabled', busy);
+        $cancelBtn.toggleClass('d-none', !busy);
+        $progress.toggleClass('d-none', !busy);
+        $addVisibleBtn.prop('disabled', busy);
+        $clearBtn.prop('disabled', busy);
+        $stations.find('button').prop('disabled', busy);
+        [$yearStart, $monthStart, $yearEnd, $monthEnd].forEach($select => $select.prop('disabled', busy));
+    }
+
+    /**
+     * Fetches the download tokens for every station and year in the export.
+     * Throttled, server and network failures are retried with back-off; years that still fail
+     * are returned with their error so the manifest lists them as failed rather than empty.
+     * @param {Object[]} stations - Selected stations
+     * @param {number[]} years - Years in the export range
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Map<string, {months: {month: number, token: string}[], error: Error|null}>>}
+     *          Monthly tokens or the failure, keyed by "id_year"
+     */
+    async function fetchTokens(stations, years, signal) {
+        const keys = [];
+        const tasks = [];
+        stations.forEach((station) => {
+            years
+                .filter(year => year >= station.dataStart && year <= station.dataEnd)
+                .forEach((year) => {
+                    keys.push(`${station.id}_${year}`);
+                    tasks.push(taskSignal => api.loadObservationFiles(station, year, taskSignal));
+                });
+        });
+
+        let done = 0;
+        const results = await runWithConcurrency(tasks, {
+            limit: CONFIG.BULK_EXPORT_CONCURRENCY,
+            retries: CONFIG.BULK_EXPORT_RETRIES,
+            backoffMs: CONFIG.THROTTLE_BACKOFF_MS,
+            isRetryable: isTransientError,
+            signal,
+            onSettled: () => {
+                done++;
+                $status.text(`Requesting download tokens (${done} of ${tasks.length})…`);
+            },
+            onThrottled: (waitMs) => {
+                $status.text(`Token requests paused. Resuming in ${Math.ceil(waitMs / 1000)} seconds…`);
+            }
+        });
+
+        const tokens = new Map();
+        results.forEach((result, index) => {
+            tokens.set(keys[index], result.status === 'fulfilled'
+                ? { months: fileLoader.describeFiles(result.value).months, error: null }
+                : { months: [], error: result.reason });
+        });
+        return tokens;
+    }
+
+    /**
+     * Runs the export and saves the ZIP archive.
+     */
+    async function handleStartClick() {
+        const stations = stationSet.getAll();
+        if (!stations.length) {
+            $status.text('Select at least one station to export.');
+            return;
+        }
+
+        const start = Date.UTC(parseInt($yearStart.val(), 10), parseInt($monthStart.val(), 10) - 1, 1);
+        const end = Date.UTC(parseInt($yearEnd.val(), 10), parseInt($monthEnd.val(), 10) - 1, 1);
+        const months = getMonthsInRange(start, end);
+        if (!months.length) {
+            $status.text('The end month must not be before the start month.');
+            return;
+        }
+
+        requestController = api.createAbortController();
+        const { signal } = requestController;
+        setBusy(true);
+        setProgress(0, 1);
+
+        try {
+            const years = [...new Set(months.map(m => m.year))];
+            const tokens = await fetchTokens(stations, years, signal);
+
+            // Build one manifest row per station month and a task for each available file
+            const manifest = [];
+            const tasks = [];
+            const taskRows = [];
+            stations.forEach((station) => {
+                const folder = `${station.id}_${toFileSafeName(station.name)}`;
+                months.forEach(({ year, month }) => {
+                    const row = { station, year, month, folder, file: '', status: 'no data', bytes: 0, message: '' };
+                    manifest.push(row);
+
+                    if (year < station.dataStart || year > station.dataEnd) {
+                        row.message = 'Outside the station record';
+                        return;
+                    }
+                    const { months: files, error } = tokens.get(`${station.id}_${year}`);
+                    if (error) {
+                        row.status = 'failed';
+                        row.message = `Download token request failed: ${error.message}`;
+                        return;
+                    }
+                    const file = files.find(f => f.month === month);
+                    if (!file) return;
+
+                    taskRows.push(row);
+                    tasks.push(taskSignal => api.fetchStationFile(station, year, month, file.token, { signal: taskSignal }));
+                });
+            });
+
+            let done = 0;
+            const results = await runWithConcurrency(tasks, {
+                limit: CONFIG.BULK_EXPORT_CONCURRENCY,
+                retries: CONFIG.BULK_EXPORT_RETRIES,
+                backoffMs: CONFIG.THROTTLE_BACKOFF_MS,
+                signal,
+                onSettled: () => {
+                    done++;
+                    setProgress(done, tasks.length);
+                    $status.text(`Downloaded ${done} of ${tasks.length} files…`);
+                },
+                onThrottled: (waitMs) => {
+                    $status.text(`Download limit reached. Resuming in ${Math.ceil(waitMs / 1000)} seconds…`);
+                }
+            });
+
+            $status.text('Building ZIP archive…');
+            const entries = [];
+            results.forEach((result, index) => {
+                const row = taskRows[index];
+                if (result.status === 'fulfilled') {
+                    const { blob, fileName } = result.value;
+                    row.file = `${row.folder}/${fileName}`;
+                    row.status = 'downloaded';
+                    row.bytes = blob.size;
+                    entries.push({ name: row.file, data: blob });
+                } else {
+                    row.status = 'failed';
+                    row.message = result.reason?.message || 'Download failed';
+                }
+            });
+
+            entries.push({
+                name: 'manifest.csv',
+                data: serializeCsv(MANIFEST_HEADERS, manifest.map(row => [
+                    row.station.id, row.station.name, row.year, row.month,
+                    row.file, row.status, row.bytes, row.message
+                ]))
+            });
+
+            const zip = await createZip(entries);
+            const pad = (value) => String(value).padStart(2, '0');
+            const first = months[0];
+            const last = months[months.length - 1];
+            const zipName = `weather-archive_${first.year}-${pad(first.month)}_${last.year}-${pad(last.month)}.zip`;
+            saveBlob(zip, zipName);
+            if (onDownloaded) {
+                onDownloaded(manifest
+                    .filter(row => row.status === 'downloaded')
+                    .map(row => ({
+                        stationId: row.station.id,
+                        stationName: row.station.name,
+                        year: row.year,
+                        month: row.month,
+                        fileName: row.file.split('/').pop(),
+                        size: row.bytes,
+                        source: 'bulk',
+                        message: `Saved in ${zipName}`
+                    })));
+            }
+
+            const failed = manifest.filter(row => row.status === 'failed').length;
+            $status.text(`Saved ${entries.length - 1} files (${formatBytes(zip.size)})`
+                + (failed ? `. ${failed} files failed; see manifest.csv for details.` : '.'));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                $status.text('Export cancelled.');
+                return;
+            }
+            $status.text('The export could not be completed.');
+            toastManager.handleError(error, 'bulkExport', 'Failed to create bulk export');
+        } finally {
+            requestController = null;
+            setBusy(false);
+        }
+    }
+
+    /**
+     * Sets up event handlers for the export dialog.
+     */
+    function setupEventHandlers() {
+        $startBtn.on('click', handleStartClick);
+        $cancelBtn.on('click', () => {
+            if (requestController) requestController.abort();
+        });
+        $clearBtn.on('click', () => stationSet.clear());
+        $addVisibleBtn.on('click', () => {
+            if (onAddVisibleClicked) onAddVisibleClicked();
+        });
+    }
+
+    // Initialize
+    renderMonths();
+    renderStations();
+    setupEventHandlers();
+
+    // Public API
+    const bulkExport = {
+        /**
+         * Refreshes the dialog after the selected stations change.
+         */
+        refresh() {
+            renderStations();
+            renderYears();
+        },
+
+        /**
+         * Sets callback for when the user asks to add the stations in the map view.
+         * @param {Function} callback - Callback function () => void
+         */
+        onAddVisibleClicked(callback) {
+            onAddVisibleClicked = callback;
+        },
+
+        /**
+         * Sets callback for when an export archive is saved.
+         * @param {Function} callback - Callback function (downloads) => void, one download per file as logged by DownloadHistory.add
+         */
+        onDownloaded(callback) {
+            onDownloaded = callback;
+        }
+    };
+
+    return bulkExport;
+}
@@ -0,0 +1,302 @@
+/**
+ * CollectionsManager component factory
+ * @module components/CollectionsManager
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+const SCOPE_ALL = 'all';
+const SCOPE_FAVOURITES = 'favourites';
+
+/**
+ * Creates a CollectionsManager component for managing station collections, the station list scope
+ * and the collection highlighted on the map.
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} collectionStore - CollectionStore instance
+ * @returns {Object} CollectionsManager instance
+ */
+export function createCollectionsManager(toastManager, collectionStore) {
+    if (!toastManager || !collectionStore) {
+        throw new Error('Toast manager and collection store are required');
+    }
+
+    // Private state
+    let contextStation = null;
+    let highlightedId = null;
+
+    // jQuery elements
+    const $modal = UI_ELEMENTS.collections.$modal;
+    const $stationSection = UI_ELEMENTS.collections.$stationSection;
+    const $stationName = UI_ELEMENTS.collections.$stationName;
+    const $stationCollections = UI_ELEMENTS.collections.$stationCollections;
+    const $list = UI_ELEMENTS.collections.$list;
+    const $nameInput = UI_ELEMENTS.collections.$nameInput;
+    const $createBtn = UI_ELEMENTS.collections.$create;
+    const $importInput = UI_ELEMENTS.collections.$importInput;
+    const $exportBtn = UI_ELEMENTS.collections.$export;
+    const $scopeSelect = UI_ELEMENTS.collections.$scope;
+
+    // Event callbacks
+    let onScopeChanged = null;
+    let onHighlightChanged = null;
+
+    /**
+     * Gets the station IDs for the selected list scope.
+     * @returns {number[]|null} Station IDs, or null for all stations
+     */
+    function getScopeIds() {
+        const scope = $scopeSelect.val();
+        if (!scope || scope === SCOPE_ALL) return null;
+        if (scope === SCOPE_FAVOURITES) return collectionStore.getFavouriteIds();
+
+        const collection = collectionStore.getCollection(Number(scope));
+        return collection ? collection.stationIds : null;
+    }
+
+    /**
+     * Notifies listeners of the current scope and highlight.
+     */
+    function notify() {
+        if (onScopeChanged) onScopeChanged(getScopeIds());
+
+        const highlighted = highlightedId === null ? null : collectionStore.getCollection(highlightedId);
+        if (!highlighted) highlightedId = null;
+        if (onHighlightChanged) onHighlightChanged(highlighted ? highlighted.stationIds : null);
+    }
+
+    /**
+     * Fills the list scope select, keeping the current choice when it still exists.
+     */
+    function renderScopeOptions() {
+        const previous = $scopeSelect.val() || SCOPE_ALL;
+        $scopeSelect.empty()
+            .append($('<option>').val(SCOPE_ALL).text('All stations'))
+            .append($('<option>').val(SCOPE_FAVOURITES).text(`Favourites (${collectionStore.getFavouriteIds().length})`));
+
+        collectionStore.getCollections().forEach((collection) => {
+            $('<option>')
+                .val(collection.id)
+                .text(`${collection.name} (${collection.stationIds.length})`)
+                .appendTo($scopeSelect);
+        });
+
+        $scopeSelect.val($scopeSelect.find(`option[value="${previous}"]`).length ? previous : SCOPE_ALL);
+    }
+
+    /**
+     * Renders the checkboxes that add the context station to collections.
+     */
+    function renderStationCollections() {
+        $stationSection.toggleClass('d-none', !contextStation);
+        $stationCollections.empty();
+        if (!contextStation) return;
+
+        $stationName.text(`${contextStation.name} (${contextStation.id})`);
+        const collections = collectionStore.getCollections();
+        if (!collections.length) {
+            $stationCollections.append($('<p>').addClass('small text-muted mb-0').text('Create a collection below to add this station to it.'));
+            return;
+        }
+
+        collections.forEach((collection) => {
+            const inputId = `collection-member-${collection.id}`;
+            $('<div>')
+                .addClass('form-check')
+                .append($('<input>')
+                    .addClass('form-check-input collection-member')
+                    .attr({ type: 'checkbox', id: inputId, 'data-id': collection.id })
+                    .prop('checked', collection.stationIds.includes(contextStation.id)))
+                .append($('<label>').addClass('form-check-label').attr('for', inputId).text(collection.name))
+                .appendTo($stationCollections);
+        });
+    }
+
+    /**
+     * Renders the collection list with highlight, rename and delete buttons.
+     */
+    function renderCollections() {
+        const collections = collectionStore.getCollections();
+        $list.empty();
+
+        if (!collections.length) {
+            $('<li>').addClass('list-group-item small text-muted').text('No collections yet').appendTo($list);
+            return;
+        }
+
+        collections.forEach((collection) => {
+            const highlighted = collection.id === highlightedId;
+            const $item = $('<li>')
+                .addClass('list-group-item d-flex align-items-center gap-2')
+                .attr('data-id', collection.id);
+            $('<span>').addClass('flex-grow-1').text(collection.name).appendTo($item);
+            $('<span>').addClass('badge text-bg-light border').text(`${collection.stationIds.length} stations`).appendTo($item);
+            $('<button>')
+                .addClass(`btn btn-sm ${highlighted ? 'btn-primary' : 'btn-outline-primary'} collection-highlight`)
+                .attr({
+                    type: 'button',
+                    'aria-pressed': String(highlighted),
+                    'aria-label': `${highlighted ? 'Stop highlighting' : 'Highlight'} ${collection.name} on the map`,
+                    title: highlighted ? 'Stop highlighting on the map' : 'Highlight on the map'
+                })
+                .append(`<i class="bi ${highlighted ? 'bi-geo-alt-fill' : 'bi-geo-alt'}" aria-hidden="true"></i>`)
+                .appendTo($item);
+            $('<button>')
+                .addClass('btn btn-sm btn-outline-secondary collection-rename')
+                .attr({ type: 'button', 'aria-label': `Rename ${collection.name}`, title: 'Rename' })
+                .append('<i class="bi bi-pencil" aria-hidden="true"></i>')
+                .appendTo($item);
+            $('<button>')
+                .addClass('btn btn-sm btn-outline-danger collection-delete')
+                .attr({ type: 'button', 'aria-label': `Delete ${collection.name}`, title: 'Delete' })
+                .append('<i class="bi bi-trash" aria-hidden="true"></i>')
+                .appendTo($item);
+            $list.append($item);
+        });
+    }
+
+    /**
+     * Re-renders everything and notifies listeners.
+     */
+    function render() {
+        renderScopeOptions();
+        renderStationCollections();
+        renderCollections();
+        notify();
+    }
+
+    /**
+     * Runs a store change and reports validation errors to the user.
+     * @param {Function} change - () => void
+     * @returns {boolean} True if the change succeeded
+     */
+    function applyChange(change) {
+        try {
+            change();
+            return true;
+        } catch (error) {
+            toastManager.error(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Creates a collection from the name input, including the context station.
+     */
+    function handleCreateClick() {
+        const stationIds = contextStation ? [contextStation.id] : [];
+        if (applyChange(() => collectionStore.createCollection($nameInput.val(), stationIds))) {
+            $nameInput.val('');
+        }
+    }
+
+    /**
+     * Reads the collection ID of a clicked list button.
+     * @param {Event} event - The click event
+     * @returns {number} Collection ID
+     */
+    function getCollectionId(event) {
+        return Number($(event.currentTarget).closest('li').data('id'));
+    }
+
+    /**
+     * Imports collections from the chosen JSON file.
+     */
+    async function handleImportChange() {
+        const file = $importInput[0].files[0];
+        $importInput.val('');
+        if (!file) return;
+
+        try {
+            const result = collectionStore.importJson(await file.text());
+            toastManager.success(`Imported ${result.collections} collections and ${result.favourites} favourites.`);
+        } catch (error) {
+            toastManager.handleError(error, 'importCollections', `Failed to import collections: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sets up event handlers for the dialog and the list scope select.
+     */
+    function setupEventHandlers() {
+        $scopeSelect.on('change', notify);
+        $createBtn.on('click', handleCreateClick);
+        $nameInput.on('keydown', (event) => {
+            if (event.key === 'Enter') handleCreateClick();
+        });
+        $stationCollections.on('change', '.collection-member', (event) => {
+            if (contextStation) {
+                applyChange(() => collectionStore.toggleInCollection(Number($(event.currentTarget).data('id')), contextStation));
+            }
+        });
+        $list.on('click', '.collection-highlight', (event) => {
+            const id = getCollectionId(event);
+            highlightedId = highlightedId === id ? null : id;
+            renderCollections();
+            notify();
+        });
+        $list.on('click', '.collection-rename', (event) => {
+            const collection = collectionStore.getCollection(getCollectionId(event));
+            const name = collection && window.prompt('Rename collection', collection.name);
+            if (name) {
+                applyChange(() => collectionStore.renameCollection(collection.id, name));
+            }
+        });
+        $list.on('click', '.collection-delete', (event) => {
+            const collection = collectionStore.getCollection(getCollectionId(event));
+            if (collection && window.confirm(`Delete the collection "${collection.name}"?`)) {
+                collectionStore.deleteCollection(collection.id);
+            }
+        });
+        $importInput.on('change', handleImportChange);
+        $exportBtn.on('click', () => {
+            saveBlob(new Blob([collectionStore.exportJson()], { type: 'application/json' }), 'station-collections.json');
+        });
+        $modal.on('hidden.bs.modal', () => {
+            contextStation = null;
+            renderStationCollections();
+        });
+    }
+
+    // Initialize
+    setupEventHandlers();
+    render();
+
+    // Public API
+    const collectionsManager = {
+        /**
+         * Refreshes the dialog, list scope and highlight after the store changes.
+         */
+        refresh() {
+            render();
+        },
+
+        /**
+         * Opens the collections dialog, optionally for adding a station to collections.
+         * @param {Object|null} [station] - WeatherStation instance
+         */
+        open(station = null) {
+            contextStation = station;
+            renderStationCollections();
+            bootstrap.Modal.getOrCreateInstance($modal[0]).show();
+        },
+
+        /**
+         * Sets callback for when the station list scope changes.
+         * @param {Function} callback - Callback function (stationIds) => void; stationIds is null for all stations
+         */
+        onScopeChanged(callback) {
+            onScopeChanged = callback;
+        },
+
+        /**
+         * Sets callback for when the collection highlighted on the map changes.
+         * @param {Function} callback - Callback function (stationIds) => void; stationIds is null for none
+         */
+        onHighlightChanged(callback) {
+            onHighlightChanged = callback;
+        }
+    };
+
+    return collectionsManager;
+}
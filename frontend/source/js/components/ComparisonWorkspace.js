@@ -0,0 +1,323 @@
+/**
+ * ComparisonWorkspace component factory
+ * @module components/ComparisonWorkspace
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { createLineChart, CHART_COLORS } from '../core/lineChart.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { toTimeSeries } from '../utils/timeSeries.js';
+import { summarize } from '../utils/statistics.js';
+import { getMonthName } from '../utils/formatters.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+/**
+ * Formats a summary value for the table.
+ * @param {number|null} value - Value to format
+ * @returns {string} Formatted value
+ */
+function formatStat(value) {
+    return value === null ? '–' : String(+value.toFixed(2));
+}
+
+/**
+ * Creates a ComparisonWorkspace component that overlays a variable from several pinned stations.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} stationSet - StationSet holding the pinned stations
+ * @returns {Object} ComparisonWorkspace instance
+ */
+export function createComparisonWorkspace(api, toastManager, stationSet) {
+    if (!api || !toastManager || !stationSet) {
+        throw new Error('API, toast manager and station set are required');
+    }
+
+    // Private state
+    let requestController = null;
+    let loaded = [];
+    const seriesCache = new Map();
+    const fileLoader = createObservationFileLoader(api);
+
+    // jQuery elements
+    const $modal = UI_ELEMENTS.comparison.$modal;
+    const $count = UI_ELEMENTS.comparison.$count;
+    const $stations = UI_ELEMENTS.comparison.$stations;
+    const $year = UI_ELEMENTS.comparison.$year;
+    const $month = UI_ELEMENTS.comparison.$month;
+    const $variable = UI_ELEMENTS.comparison.$variable;
+    const $status = UI_ELEMENTS.comparison.$status;
+    const $summary = UI_ELEMENTS.comparison.$summary;
+    const $exportBtn = UI_ELEMENTS.comparison.$export;
+    const $clearBtn = UI_ELEMENTS.comparison.$clear;
+
+    const chart = createLineChart(UI_ELEMENTS.comparison.$canvas[0], {
+        emptyMessage: 'Pin stations and pick a variable to compare'
+    });
+
+    /**
+     * Checks if the workspace modal is visible.
+     * @returns {boolean} True if visible
+     */
+    function isOpen() {
+        return $modal.hasClass('show');
+    }
+
+    /**
+     * Shows a status message above the chart, or hides it when empty.
+     * @param {string} [message] - Message to display
+     */
+    function setStatus(message) {
+        $status.text(message || '').toggleClass('d-none', !message);
+    }
+
+    /**
+     * Gets the colour used for a pinned station.
+     * @param {number} index - Station position in the set
+     * @returns {string} CSS colour
+     */
+    function getStationColor(index) {
+        return CHART_COLORS[index % CHART_COLORS.length];
+    }
+
+    /**
+     * Renders the pinned station chips with remove buttons.
+     */
+    function renderStations() {
+        const stations = stationSet.getAll();
+        $count.text(stations.length);
+        $stations.empty();
+
+        if (!stations.length) {
+            $stations.append($('<span>').addClass('small text-muted').text('No stations pinned'));
+            return;
+        }
+
+        stations.forEach((station, index) => {
+            const $chip = $('<span>')
+                .addClass('badge rounded-pill text-bg-light border d-inline-flex align-items-center gap-2 py-2')
+                .append($('<i>')
+                    .addClass('bi bi-circle-fill')
+                    .css('color', getStationColor(index))
+                    .attr('aria-hidden', 'true'))
+                .append($('<span>').text(`${station.name} (${station.id})`))
+                .append($('<button>')
+                    .addClass('btn-close')
+                    .attr({ type: 'button', 'aria-label': `Remove ${station.name} from comparison` })
+                    .css('font-size', '0.6rem')
+                    .on('click', () => stationSet.remove(station)));
+            $stations.append($chip);
+        });
+    }
+
+    /**
+     * Fills the year select with every year covered by at least one pinned station.
+     */
+    function renderYears() {
+        const stations = stationSet.getAll();
+        const previous = $year.val();
+        $year.empty();
+        if (!stations.length) return;
+
+        const firstYear = Math.min(...stations.map(s => s.dataStart));
+        const lastYear = Math.max(...stations.map(s => s.dataEnd));
+        for (let year = lastYear; year >= firstYear; year--) {
+            $year.append(`<option value="${year}">${year}</option>`);
+        }
+
+        // Prefer the previous choice, then the latest year shared by all stations
+        const sharedYear = Math.min(...stations.map(s => s.dataEnd));
+        const fallback = sharedYear >= Math.max(...stations.map(s => s.dataStart)) ? sharedYear : lastYear;
+        $year.val(previous && $year.find(`option[value="${previous}"]`).length ? previous : String(fallback));
+    }
+
+    /**
+     * Fills the month select.
+     */
+    function renderMonths() {
+        for (let month = 1; month <= 12; month++) {
+            $month.append(`<option value="${month}">${getMonthName(month)}</option>`);
+        }
+        $month.append('<option value="all">Whole year</option>');
+    }
+
+    /**
+     * Fills the variable select with the numeric columns found in the loaded files.
+     */
+    function renderVariables() {
+        const previous = $variable.val();
+        const names = [];
+        loaded.forEach(({ series }) => {
+            series?.columns.forEach((column) => {
+                if (!names.includes(column.name)) names.push(column.name);
+            });
+        });
+
+        $variable.empty();
+        names.forEach((name) => {
+            $('<option>').val(name).text(name).appendTo($variable);
+        });
+        if (previous && names.includes(previous)) {
+            $variable.val(previous);
+        }
+    }
+
+    /**
+     * Plots the selected variable for each station and fills the summary table.
+     */
+    function renderComparison() {
+        const variable = $variable.val();
+        const $body = $summary.find('tbody').empty();
+        const chartSeries = [];
+
+        loaded.forEach(({ station, series, error }, index) => {
+            const column = series?.columns.find(c => c.name === variable);
+            const stats = summarize(column ? column.values : []);
+
+            if (column) {
+                chartSeries.push({
+                    name: station.name,
+                    x: series.times,
+                    y: column.values,
+                    color: getStationColor(index)
+                });
+            }
+
+            const $row = $('<tr>');
+            $('<th>').attr('scope', 'row').text(`${station.name} (${station.id})`).appendTo($row);
+            if (error || !column) {
+                $('<td>')
+                    .attr('colspan', 4)
+                    .addClass('text-muted')
+                    .text(error || 'No data for this variable')
+                    .appendTo($row);
+            } else {
+                [String(stats.count), formatStat(stats.min), formatStat(stats.max), formatStat(stats.mean)]
+                    .forEach(text => $('<td>').text(text).appendTo($row));
+            }
+            $body.append($row);
+        });
+
+        chart.setSeries(chartSeries);
+    }
+
+    /**
+     * Loads the selected period for each pinned station and refreshes the comparison.
+     */
+    async function loadComparison() {
+        if (!isOpen()) return;
+
+        const stations = stationSet.getAll();
+        const year = parseInt($year.val(), 10);
+        const month = $month.val();
+
+        if (requestController) {
+            requestController.abort();
+        }
+        requestController = api.createAbortController();
+        const { signal } = requestController;
+
+        loaded = stations.map(station => ({ station, series: null, error: null }));
+        if (!stations.length || !year) {
+            setStatus('');
+            renderVariables();
+            renderComparison();
+            return;
+        }
+
+        // Fetch one station at a time to stay within the download rate limit
+        for (const entry of loaded) {
+            const { station } = entry;
+            const cacheKey = `${station.id}_${year}_${month}`;
+
+            if (year < station.dataStart || year > station.dataEnd) {
+                entry.error = `No data for ${year}`;
+                continue;
+            }
+
+            try {
+                if (!seriesCache.has(cacheKey)) {
+                    setStatus(`Loading ${station.name}…`);
+                    const csv = await fileLoader.loadPeriod(station, year, month, { signal });
+                    seriesCache.set(cacheKey, toTimeSeries(csv));
+                }
+                entry.series = seriesCache.get(cacheKey);
+                if (!entry.series.times.length) {
+                    entry.error = 'No observations for this period';
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                entry.error = 'Failed to load data';
+                const userMessage = error.cause === 429 ? error.message : `Failed to load data for ${station.name}`;
+                toastManager.handleError(error, 'loadComparison', userMessage);
+            }
+        }
+
+        if (signal.aborted) return;
+
+        setStatus('');
+        renderVariables();
+        renderComparison();
+    }
+
+    /**
+     * Exports the comparison chart as a PNG file.
+     */
+    async function handleExportClick() {
+        try {
+            const blob = await chart.toPngBlob();
+            const month = $month.val() === 'all' ? 'all' : String($month.val()).padStart(2, '0');
+            saveBlob(blob, `comparison_${$year.val()}_${month}.png`);
+        } catch (error) {
+            toastManager.handleError(error, 'exportComparison', 'Failed to export chart image');
+        }
+    }
+
+    /**
+     * Sets up event handlers for the workspace.
+     */
+    function setupEventHandlers() {
+        $modal.on('shown.bs.modal', () => {
+            chart.redraw();
+            loadComparison();
+        });
+        $modal.on('hidden.bs.modal', () => {
+            if (requestController) {
+                requestController.abort();
+                requestController = null;
+            }
+            setStatus('');
+        });
+        $year.on('change', loadComparison);
+        $month.on('change', loadComparison);
+        $variable.on('change', renderComparison);
+        $exportBtn.on('click', handleExportClick);
+        $clearBtn.on('click', () => stationSet.clear());
+    }
+
+    // Initialize
+    UI_ELEMENTS.comparison.$max.text(CONFIG.MAX_COMPARISON_STATIONS);
+    renderMonths();
+    renderStations();
+    setupEventHandlers();
+
+    // Public API
+    const comparisonWorkspace = {
+        /**
+         * Refreshes the workspace after the pinned stations change.
+         */
+        refresh() {
+            renderStations();
+            renderYears();
+            loadComparison();
+        },
+
+        /**
+         * Opens the comparison workspace.
+         */
+        open() {
+            bootstrap.Modal.getOrCreateInstance($modal[0]).show();
+        }
+    };
+
+    return comparisonWorkspace;
+}
@@ -0,0 +1,220 @@
+/**
+ * CsvPreview component factory
+ * @module components/CsvPreview
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { parseCsv, compareCsvValues } from '../utils/csv.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+/**
+ * Creates a CsvPreview component for showing a fetched CSV file as a paginated, sortable table.
+ * @returns {Object} CsvPreview instance
+ */
+export function createCsvPreview() {
+    // Private state
+    let currentFile = null;
+    let headers = [];
+    let rows = [];
+    let sortColumn = null;
+    let sortAscending = true;
+    let page = 0;
+
+    // jQuery elements
+    const $container = UI_ELEMENTS.preview.$container;
+    const $title = UI_ELEMENTS.preview.$title;
+    const $saveBtn = UI_ELEMENTS.preview.$save;
+    const $closeBtn = UI_ELEMENTS.preview.$close;
+    const $table = UI_ELEMENTS.preview.$table;
+    const $info = UI_ELEMENTS.preview.$info;
+    const $prevBtn = UI_ELEMENTS.preview.$prev;
+    const $nextBtn = UI_ELEMENTS.preview.$next;
+
+    /**
+     * Gets the number of pages for the current rows.
+     * @returns {number} Page count (at least 1)
+     */
+    function getPageCount() {
+        return Math.max(1, Math.ceil(rows.length / CONFIG.PREVIEW_PAGE_SIZE));
+    }
+
+    /**
+     * Renders the table header with sort buttons.
+     */
+    function renderHeader() {
+        const $headRow = $('<tr>');
+
+        headers.forEach((header, index) => {
+            const isSorted = sortColumn === index;
+            const $th = $('<th>')
+                .attr({
+                    scope: 'col',
+                    'aria-sort': isSorted ? (sortAscending ? 'ascending' : 'descending') : 'none'
+                });
+
+            const $button = $('<button>')
+                .addClass('btn btn-link btn-sm p-0 text-nowrap text-decoration-none fw-bold preview-sort')
+                .attr({
+                    type: 'button',
+                    'data-column': index,
+                    'aria-label': `Sort by ${header}`
+                })
+                .text(header);
+
+            if (isSorted) {
+                $('<i>')
+                    .addClass(`bi ${sortAscending ? 'bi-caret-up-fill' : 'bi-caret-down-fill'} ms-1`)
+                    .attr('aria-hidden', 'true')
+                    .appendTo($button);
+            }
+
+            $th.append($button).appendTo($headRow);
+        });
+
+        $table.find('thead').empty().append($headRow);
+    }
+
+    /**
+     * Renders the rows of the current page and updates the pager.
+     */
+    function renderPage() {
+        const $body = $table.find('tbody').empty();
+        const start = page * CONFIG.PREVIEW_PAGE_SIZE;
+        const pageRows = rows.slice(start, start + CONFIG.PREVIEW_PAGE_SIZE);
+
+        pageRows.forEach((row) => {
+            const $row = $('<tr>');
+            headers.forEach((header, index) => {
+                $('<td>')
+                    .addClass('text-nowrap')
+                    .text(row[index] ?? '')
+                    .appendTo($row);
+            });
+            $body.append($row);
+        });
+
+        if (!rows.length) {
+            $info.text('No rows in this file');
+        } else {
+            const end = start + pageRows.length;
+            $info.text(`Rows ${start + 1}–${end} of ${rows.length} (page ${page + 1} of ${getPageCount()})`);
+        }
+
+        $prevBtn.prop('disabled', page === 0);
+        $nextBtn.prop('disabled', page >= getPageCount() - 1);
+    }
+
+    /**
+     * Sorts the rows by a column, toggling direction when already sorted by it.
+     * @param {number} column - Column index
+     */
+    function sortBy(column) {
+        if (sortColumn === column) {
+            sortAscending = !sortAscending;
+        } else {
+            sortColumn = column;
+            sortAscending = true;
+        }
+
+        rows.sort((a, b) => {
+            const result = compareCsvValues(a[column], b[column]);
+            return sortAscending ? result : -result;
+        });
+
+        page = 0;
+        renderHeader();
+        renderPage();
+    }
+
+    /**
+     * Moves to another page.
+     * @param {number} offset - Page offset (-1 or 1)
+     */
+    function changePage(offset) {
+        const nextPage = page + offset;
+        if (nextPage < 0 || nextPage >= getPageCount()) return;
+
+        page = nextPage;
+        renderPage();
+    }
+
+    /**
+     * Saves the previewed file using the already-fetched blob.
+     */
+    function handleSaveClick() {
+        if (!currentFile) return;
+        saveBlob(currentFile.blob, currentFile.fileName);
+    }
+
+    /**
+     * Hides the preview and releases the file.
+     */
+    function hidePreview() {
+        currentFile = null;
+        headers = [];
+        rows = [];
+        $table.find('thead, tbody').empty();
+        $container.addClass('d-none');
+    }
+
+    /**
+     * Sets up event handlers for the preview.
+     */
+    function setupEventHandlers() {
+        $table.on('click', '.preview-sort', (event) => {
+            sortBy(parseInt($(event.currentTarget).data('column'), 10));
+        });
+        $prevBtn.on('click', () => changePage(-1));
+        $nextBtn.on('click', () => changePage(1));
+        $saveBtn.on('click', handleSaveClick);
+        $closeBtn.on('click', hidePreview);
+    }
+
+    // Initialize event handlers
+    setupEventHandlers();
+
+    // Public API
+    const csvPreview = {
+        /**
+         * Parses and shows a CSV file in the preview table.
+         * @param {Object} file - File to preview
+         * @param {Blob} file.blob - Fetched CSV blob
+         * @param {string} file.fileName - File name used when saving
+         * @param {string} file.title - Heading shown above the table
+         * @returns {Promise<void>}
+         */
+        async show({ blob, fileName, title }) {
+            const parsed = parseCsv(await blob.text());
+
+            currentFile = { blob, fileName };
+            headers = parsed.headers;
+            rows = parsed.rows;
+            sortColumn = null;
+            sortAscending = true;
+            page = 0;
+
+            $title.text(title);
+            renderHeader();
+            renderPage();
+            $container.removeClass('d-none');
+            $container[0].scrollIntoView({ behavior: 'smooth', block: 'start' });
+        },
+
+        /**
+         * Hides the preview.
+         */
+        hide() {
+            hidePreview();
+        },
+
+        /**
+         * Checks if the preview is currently shown.
+         * @returns {boolean} True if the preview is visible
+         */
+        isOpen() {
+            return !$container.hasClass('d-none');
+        }
+    };
+
+    return csvPreview;
+}
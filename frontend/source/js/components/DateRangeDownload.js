@@ -0,0 +1,191 @@
+/**
+ * DateRangeDownload component factory
+ * @module components/DateRangeDownload
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { serializeCsv } from '../utils/csv.js';
+import { getMonthsInRange, formatCompactTimestamp } from '../utils/dateRange.js';
+import { parseTimestamp } from '../utils/timeSeries.js';
+import { getMonthName } from '../utils/formatters.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+/**
+ * Creates a DateRangeDownload component that stitches monthly files into one CSV for an arbitrary range.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @returns {Object} DateRangeDownload instance
+ */
+export function createDateRangeDownload(api, toastManager) {
+    if (!api || !toastManager) {
+        throw new Error('API and toast manager are required');
+    }
+
+    // Private state
+    let currentStation = null;
+    let requestController = null;
+    const fileLoader = createObservationFileLoader(api);
+
+    // jQuery elements
+    const $start = UI_ELEMENTS.rangeDownload.$start;
+    const $end = UI_ELEMENTS.rangeDownload.$end;
+    const $status = UI_ELEMENTS.rangeDownload.$status;
+    const $button = UI_ELEMENTS.rangeDownload.$button;
+
+    // Event callbacks
+    let onDownloaded = null;
+
+    /**
+     * Shows a status message below the inputs, or hides it when empty.
+     * @param {string} [message] - Message to display
+     */
+    function setStatus(message) {
+        $status.text(message || '').toggleClass('d-none', !message);
+    }
+
+    /**
+     * Toggles the busy state of the download button.
+     * @param {boolean} busy - Whether a download is running
+     */
+    function setBusy(busy) {
+        $button.prop('disabled', busy)
+            .html(busy
+                ? '<span class="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span> Downloading…'
+                : '<i class="bi bi-calendar-range" aria-hidden="true"></i> Download Range');
+        $start.prop('disabled', busy);
+        $end.prop('disabled', busy);
+    }
+
+    /**
+     * Validates the selected range.
+     * @param {number|null} start - Range start
+     * @param {number|null} end - Range end
+     * @returns {string|null} Error message or null when valid
+     */
+    function validateRange(start, end) {
+        if (start === null || end === null) {
+            return 'Select both a start and an end date.';
+        }
+        if (start >= end) {
+            return 'The end date must be after the start date.';
+        }
+        if (new Date(start).getUTCFullYear() < currentStation.dataStart
+            || new Date(end).getUTCFullYear() > currentStation.dataEnd) {
+            return `Data is only available from ${currentStation.dataStart} to ${currentStation.dataEnd}.`;
+        }
+        if (getMonthsInRange(start, end).length > CONFIG.MAX_RANGE_MONTHS) {
+            return `Date ranges are limited to ${CONFIG.MAX_RANGE_MONTHS} months.`;
+        }
+        return null;
+    }
+
+    /**
+     * Downloads, joins, trims and saves the selected range.
+     */
+    async function handleDownloadClick() {
+        if (!currentStation) return;
+
+        const station = currentStation;
+        const start = parseTimestamp($start.val());
+        const end = parseTimestamp($end.val());
+        const validationError = validateRange(start, end);
+
+        if (validationError) {
+            setStatus(validationError);
+            return;
+        }
+
+        requestController = api.createAbortController();
+        setBusy(true);
+        setStatus('Preparing download…');
+
+        try {
+            const { headers, rows, missing } = await fileLoader.loadRange(station, start, end, {
+                signal: requestController.signal,
+                onProgress: (done, total) => setStatus(`Downloaded ${done} of ${total} months…`)
+            });
+
+            if (!headers.length) {
+                setStatus('No data is available for this date range.');
+                return;
+            }
+
+            const fileName = `${station.id}_${formatCompactTimestamp(start)}_${formatCompactTimestamp(end)}.csv`;
+            const blob = new Blob([serializeCsv(headers, rows)], { type: 'text/csv' });
+            saveBlob(blob, fileName);
+            if (onDownloaded) {
+                onDownloaded({
+                    stationId: station.id,
+                    stationName: station.name,
+                    start,
+                    end,
+                    fileName,
+                    size: blob.size,
+                    source: 'range'
+                });
+            }
+
+            setStatus(missing.length
+                ? `Saved ${rows.length} rows. No data for ${missing.map(m => `${getMonthName(m.month)} ${m.year}`).join(', ')}.`
+                : `Saved ${rows.length} rows.`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            setStatus('The date range could not be downloaded.');
+            const userMessage = error.cause === 429 ? error.message : 'Failed to download date range';
+            toastManager.handleError(error, 'downloadRange', userMessage);
+        } finally {
+            requestController = null;
+            setBusy(false);
+        }
+    }
+
+    /**
+     * Cancels a running range download.
+     */
+    function cancelDownload() {
+        if (requestController) {
+            requestController.abort();
+            requestController = null;
+        }
+    }
+
+    // Initialize event handlers
+    $button.on('click', handleDownloadClick);
+
+    // Public API
+    const dateRangeDownload = {
+        /**
+         * Resets the range inputs for a newly selected station.
+         * @param {Object} station - WeatherStation instance
+         */
+        setStation(station) {
+            cancelDownload();
+            currentStation = station;
+            $start.attr('min', `${station.dataStart}-01-01T00:00`).val('');
+            $end.attr('max', `${station.dataEnd}-12-31T23:59`).val('');
+            setStatus('');
+        },
+
+        /**
+         * Clears the station and cancels any running download.
+         */
+        clear() {
+            cancelDownload();
+            currentStation = null;
+            $start.val('');
+            $end.val('');
+            setStatus('');
+        },
+
+        /**
+         * Sets callback for when a range is saved.
+         * @param {Function} callback - Callback function (download) => void, with the download as logged by DownloadHistory.add
+         */
+        onDownloaded(callback) {
+            onDownloaded = callback;
+        }
+    };
+
+    return dateRangeDownload;
+}
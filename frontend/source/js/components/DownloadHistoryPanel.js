@@ -0,0 +1,288 @@
+/**
+ * DownloadHistoryPanel component factory
+ * @module components/DownloadHistoryPanel
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { serializeCsv } from '../utils/csv.js';
+import { getMonthName, formatBytes } from '../utils/formatters.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+const EXPORT_HEADERS = ['timestamp', 'station_id', 'station_name', 'source', 'period', 'year', 'month', 'file', 'bytes', 'outcome', 'message'];
+
+const SOURCE_LABELS = {
+    download: 'Saved',
+    preview: 'Previewed',
+    range: 'Saved range',
+    bulk: 'Bulk export'
+};
+
+const OUTCOME_BADGES = {
+    success: 'text-bg-success',
+    failed: 'text-bg-danger',
+    cancelled: 'text-bg-secondary'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a UTC wall-clock time of a date range.
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Time (e.g., "2019-03-01 00:00")
+ */
+function formatRangeTime(time) {
+    return new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Formats the period of a history entry.
+ * @param {Object} entry - History entry
+ * @returns {string} Period text (e.g., "March 2019", "2019 (all months)" or "2019-03-01 00:00 – 2019-04-15 12:00")
+ */
+function formatPeriod(entry) {
+    if (entry.start != null) {
+        return `${formatRangeTime(entry.start)} – ${formatRangeTime(entry.end)}`;
+    }
+    return entry.month === 'all'
+        ? `${entry.year} (all months)`
+        : `${getMonthName(entry.month)} ${entry.year}`;
+}
+
+/**
+ * Creates a DownloadHistoryPanel component that lists, filters and exports the download log.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} downloadManager - DownloadManager used for re-downloads
+ * @param {Object} downloadHistory - DownloadHistory instance
+ * @returns {Object} DownloadHistoryPanel instance
+ */
+export function createDownloadHistoryPanel(api, toastManager, downloadManager, downloadHistory) {
+    if (!api || !toastManager || !downloadManager || !downloadHistory) {
+        throw new Error('API, toast manager, download manager and download history are required');
+    }
+
+    // Private state
+    let entries = [];
+    let visibleEntries = [];
+    let stationsById = new Map();
+    const fileLoader = createObservationFileLoader(api);
+
+    // jQuery elements
+    const $modal = UI_ELEMENTS.history.$modal;
+    const $search = UI_ELEMENTS.history.$search;
+    const $outcome = UI_ELEMENTS.history.$outcome;
+    const $source = UI_ELEMENTS.history.$source;
+    const $since = UI_ELEMENTS.history.$since;
+    const $table = UI_ELEMENTS.history.$table;
+    const $summary = UI_ELEMENTS.history.$summary;
+    const $exportJsonBtn = UI_ELEMENTS.history.$exportJson;
+    const $exportCsvBtn = UI_ELEMENTS.history.$exportCsv;
+    const $clearBtn = UI_ELEMENTS.history.$clear;
+
+    /**
+     * Checks if the history dialog is visible.
+     * @returns {boolean} True if visible
+     */
+    function isOpen() {
+        return $modal.hasClass('show');
+    }
+
+    /**
+     * Applies the search, outcome, type and date filters to the loaded entries.
+     * @returns {Object[]} Matching entries
+     */
+    function filterEntries() {
+        const term = $search.val().trim().toLowerCase();
+        const outcome = $outcome.val();
+        const source = $source.val();
+        const days = parseInt($since.val(), 10);
+        const since = days ? Date.now() - days * DAY_MS : 0;
+
+        // Entries logged before sources were recorded came from the download queue
+        return entries.filter(entry => (outcome === 'all' || entry.outcome === outcome)
+            && (source === 'all' || (entry.source || 'download') === source)
+            && entry.timestamp >= since
+            && (!term || [entry.stationId, entry.stationName, entry.fileName, formatPeriod(entry)]
+                .some(value => String(value).toLowerCase().includes(term))));
+    }
+
+    /**
+     * Renders the filtered entries into the table.
+     */
+    function renderTable() {
+        visibleEntries = filterEntries();
+        const $body = $table.find('tbody').empty();
+
+        if (!visibleEntries.length) {
+            $('<tr>')
+                .append($('<td>')
+                    .attr('colspan', 6)
+                    .addClass('text-muted text-center')
+                    .text(entries.length ? 'No downloads match the filters' : 'No downloads recorded yet'))
+                .appendTo($body);
+        }
+
+        visibleEntries.forEach((entry, index) => {
+            const succeeded = entry.outcome === 'success';
+            const $row = $('<tr>');
+            $('<td>').addClass('text-nowrap').text(new Date(entry.timestamp).toLocaleString()).appendTo($row);
+            $('<td>').text(`${entry.stationName} (${entry.stationId})`).appendTo($row);
+            $('<td>').addClass('text-nowrap').text(formatPeriod(entry)).appendTo($row);
+            $('<td>').addClass('text-nowrap').text(succeeded ? formatBytes(entry.size) : '–').appendTo($row);
+            $('<td>')
+                .append($('<span>')
+                    .addClass(`badge ${OUTCOME_BADGES[entry.outcome] || OUTCOME_BADGES.failed}`)
+                    .attr('title', entry.message || entry.fileName)
+                    .text(succeeded
+                        ? SOURCE_LABELS[entry.source] || SOURCE_LABELS.download
+                        : entry.outcome === 'cancelled' ? 'Cancelled' : 'Failed'))
+                .appendTo($row);
+            $('<td>')
+                .addClass('text-end')
+                .append($('<button>')
+                    .addClass('btn btn-sm btn-outline-primary history-redownload')
+                    // Date ranges are stitched together in the browser, so there is no single file to fetch again
+                    .prop('disabled', entry.month == null)
+                    .attr({
+                        type: 'button',
+                        'data-index': index,
+                        'aria-label': `Download ${entry.fileName} again`,
+                        title: 'Download again'
+                    })
+                    .append('<i class="bi bi-download" aria-hidden="true"></i>'))
+                .appendTo($row);
+            $body.append($row);
+        });
+
+        $summary.text(`Showing ${visibleEntries.length} of ${entries.length} downloads`);
+        $exportJsonBtn.prop('disabled', !visibleEntries.length);
+        $exportCsvBtn.prop('disabled', !visibleEntries.length);
+        $clearBtn.prop('disabled', !entries.length);
+    }
+
+    /**
+     * Loads the log from storage and re-renders the table.
+     */
+    async function loadEntries() {
+        try {
+            entries = await downloadHistory.getAll();
+        } catch (error) {
+            entries = [];
+            toastManager.handleError(error, 'loadHistory', 'Download history is unavailable in this browser');
+        }
+        renderTable();
+    }
+
+    /**
+     * Downloads a logged file again with a freshly issued token.
+     * @param {Event} event - The click event
+     */
+    async function handleRedownloadClick(event) {
+        const entry = visibleEntries[$(event.currentTarget).data('index')];
+        if (!entry || entry.month == null) return;
+
+        const station = stationsById.get(entry.stationId);
+        if (!station) {
+            toastManager.error(`Station ${entry.stationId} is no longer available.`);
+            return;
+        }
+
+        // Tokens expire, so drop the cached file list and always ask for a new one
+        let files;
+        try {
+            await api.invalidate('files', station.id, entry.year);
+            files = await api.loadObservationFiles(station, entry.year, null, { fresh: true });
+        } catch (error) {
+            toastManager.handleError(error, 'redownload', `Failed to request a download token for ${entry.fileName}`);
+            return;
+        }
+        const { months, combinedToken } = fileLoader.describeFiles(files);
+        const token = entry.month === 'all'
+            ? combinedToken
+            : months.find(f => f.month === parseInt(entry.month, 10))?.token;
+
+        if (!token) {
+            toastManager.error(`${entry.fileName} is no longer available for download.`);
+            return;
+        }
+
+        downloadManager.enqueueFile(station, entry.year, entry.month, token,
+            `${station.name} – ${formatPeriod(entry)}`);
+    }
+
+    /**
+     * Saves the filtered log as JSON.
+     */
+    function handleExportJsonClick() {
+        const data = visibleEntries.map(({ id, ...entry }) => ({
+            ...entry,
+            timestamp: new Date(entry.timestamp).toISOString()
+        }));
+        saveBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+            `download-history_${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    /**
+     * Saves the filtered log as CSV.
+     */
+    function handleExportCsvClick() {
+        const rows = visibleEntries.map(entry => [
+            new Date(entry.timestamp).toISOString(), entry.stationId, entry.stationName, entry.source || 'download',
+            formatPeriod(entry), entry.year ?? '', entry.month ?? '', entry.fileName, entry.size, entry.outcome, entry.message
+        ]);
+        saveBlob(new Blob([serializeCsv(EXPORT_HEADERS, rows)], { type: 'text/csv' }),
+            `download-history_${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+
+    /**
+     * Clears the log after confirmation.
+     */
+    async function handleClearClick() {
+        if (!window.confirm('Delete the entire download history?')) return;
+
+        try {
+            await downloadHistory.clear();
+        } catch (error) {
+            toastManager.handleError(error, 'clearHistory', 'Failed to clear download history');
+        }
+    }
+
+    /**
+     * Sets up event handlers for the history dialog.
+     */
+    function setupEventHandlers() {
+        $modal.on('show.bs.modal', loadEntries);
+        $search.on('input', renderTable);
+        $outcome.on('change', renderTable);
+        $source.on('change', renderTable);
+        $since.on('change', renderTable);
+        $table.on('click', '.history-redownload', handleRedownloadClick);
+        $exportJsonBtn.on('click', handleExportJsonClick);
+        $exportCsvBtn.on('click', handleExportCsvClick);
+        $clearBtn.on('click', handleClearClick);
+    }
+
+    // Initialize
+    setupEventHandlers();
+
+    // Public API
+    const downloadHistoryPanel = {
+        /**
+         * Sets the stations used to resolve logged station IDs for re-downloads.
+         * @param {Object[]} stations - WeatherStation instances
+         */
+        setStations(stations) {
+            stationsById = new Map(stations.map(station => [station.id, station]));
+        },
+
+        /**
+         * Reloads the log if the dialog is open.
+         */
+        refresh() {
+            if (isOpen()) loadEntries();
+        }
+    };
+
+    return downloadHistoryPanel;
+}
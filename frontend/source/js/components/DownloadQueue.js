@@ -0,0 +1,207 @@
+/**
+ * DownloadQueue component factory
+ * @module components/DownloadQueue
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { formatBytes } from '../utils/formatters.js';
+
+const STATE_LABELS = {
+    queued: 'Queued',
+    downloading: 'Downloading',
+    retrying: 'Waiting to retry',
+    done: 'Saved',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const ACTIVE_STATES = ['queued', 'downloading', 'retrying'];
+
+/**
+ * Describes the progress of a queue item.
+ * @param {Object} item - Queue item
+ * @returns {string} Progress text
+ */
+function describeProgress(item) {
+    if (item.state === 'done') {
+        return formatBytes(item.size);
+    }
+    if (item.state === 'retrying') {
+        return `${item.error} Retrying at ${new Date(item.retryAt).toLocaleTimeString()}.`;
+    }
+    if (item.state === 'failed') {
+        return item.error || 'Download failed';
+    }
+    if (item.state !== 'downloading') {
+        return '';
+    }
+    if (item.total) {
+        const percent = Math.round((item.received / item.total) * 100);
+        return `${formatBytes(item.received)} of ${formatBytes(item.total)} (${percent}%)`;
+    }
+    return formatBytes(item.received);
+}
+
+/**
+ * Creates a DownloadQueue component that shows queued downloads in a side drawer.
+ * @param {Object} downloadManager - DownloadManager instance
+ * @returns {Object} DownloadQueue instance
+ */
+export function createDownloadQueue(downloadManager) {
+    if (!downloadManager) {
+        throw new Error('Download manager is required');
+    }
+
+    // Private state
+    const rendered = new Map();
+    let knownIds = new Set();
+
+    // jQuery elements
+    const $drawer = UI_ELEMENTS.downloadQueue.$drawer;
+    const $count = UI_ELEMENTS.downloadQueue.$count;
+    const $list = UI_ELEMENTS.downloadQueue.$list;
+    const $clearBtn = UI_ELEMENTS.downloadQueue.$clear;
+
+    /**
+     * Creates the list item for a queue item.
+     * @param {Object} item - Queue item
+     * @returns {jQuery} List item
+     */
+    function createItem(item) {
+        const $item = $('<li>').addClass('list-group-item px-0 small').attr('data-id', item.id);
+        const $row = $('<div>').addClass('d-flex align-items-center gap-2').appendTo($item);
+
+        $('<span>').addClass('download-queue-label text-truncate flex-grow-1').text(item.label).appendTo($row);
+        $('<span>').addClass('download-queue-state badge').appendTo($row);
+        $('<button>')
+            .addClass('btn btn-sm btn-link p-0 download-queue-retry')
+            .attr({ type: 'button', 'aria-label': `Retry ${item.label}`, title: 'Retry' })
+            .append('<i class="bi bi-arrow-clockwise" aria-hidden="true"></i>')
+            .appendTo($row);
+        $('<button>')
+            .addClass('btn btn-sm btn-link p-0 text-danger download-queue-cancel')
+            .attr({ type: 'button', 'aria-label': `Cancel ${item.label}`, title: 'Cancel' })
+            .append('<i class="bi bi-x-circle" aria-hidden="true"></i>')
+            .appendTo($row);
+
+        $('<div>')
+            .addClass('progress mt-1')
+            .attr({
+                role: 'progressbar',
+                'aria-label': `${item.label} progress`,
+                'aria-valuemin': 0,
+                'aria-valuemax': 100
+            })
+            .css('height', '0.375rem')
+            .append($('<div>').addClass('progress-bar'))
+            .appendTo($item);
+        $('<div>').addClass('download-queue-progress text-muted mt-1').appendTo($item);
+
+        return $item;
+    }
+
+    /**
+     * Updates a list item to reflect the item state.
+     * @param {jQuery} $item - List item
+     * @param {Object} item - Queue item
+     */
+    function updateItem($item, item) {
+        const active = ACTIVE_STATES.includes(item.state);
+        const badgeClass = {
+            done: 'text-bg-success',
+            failed: 'text-bg-danger',
+            cancelled: 'text-bg-secondary',
+            retrying: 'text-bg-warning'
+        }[item.state] || 'text-bg-primary';
+
+        $item.find('.download-queue-state')
+            .attr('class', `download-queue-state badge ${badgeClass}`)
+            .text(STATE_LABELS[item.state]);
+        $item.find('.download-queue-cancel').toggleClass('d-none', !active);
+        $item.find('.download-queue-retry').toggleClass('d-none', !['failed', 'cancelled'].includes(item.state));
+
+        // Unknown totals show an animated full bar while bytes arrive
+        const indeterminate = item.state === 'downloading' && !item.total;
+        const percent = item.state === 'done' ? 100
+            : item.total ? Math.round((item.received / item.total) * 100)
+                : indeterminate ? 100 : 0;
+        const $progress = $item.find('.progress')
+            .toggleClass('d-none', !active)
+            .attr('aria-valuenow', percent);
+        $progress.find('.progress-bar')
+            .css('width', `${percent}%`)
+            .toggleClass('progress-bar-striped progress-bar-animated', indeterminate);
+
+        $item.find('.download-queue-progress').text(describeProgress(item));
+    }
+
+    /**
+     * Renders the queue, reusing list items so buttons keep focus while progress updates.
+     * @param {Object[]} items - Queue items
+     */
+    function render(items) {
+        const ids = new Set(items.map(item => item.id));
+        rendered.forEach(($item, id) => {
+            if (!ids.has(id)) {
+                $item.remove();
+                rendered.delete(id);
+            }
+        });
+
+        items.forEach((item) => {
+            if (!rendered.has(item.id)) {
+                rendered.set(item.id, createItem(item).prependTo($list));
+            }
+            updateItem(rendered.get(item.id), item);
+        });
+
+        $list.find('.download-queue-empty').remove();
+        if (!items.length) {
+            $('<li>')
+                .addClass('list-group-item px-0 small text-muted download-queue-empty')
+                .text('No downloads yet')
+                .appendTo($list);
+        }
+
+        const activeCount = items.filter(item => ACTIVE_STATES.includes(item.state)).length;
+        $count.text(activeCount).toggleClass('d-none', !activeCount);
+        $clearBtn.prop('disabled', activeCount === items.length);
+
+        // Open the drawer when new downloads are added
+        const added = items.some(item => !knownIds.has(item.id));
+        knownIds = ids;
+        if (added) {
+            bootstrap.Offcanvas.getOrCreateInstance($drawer[0]).show();
+        }
+    }
+
+    /**
+     * Sets up event handlers for the drawer.
+     */
+    function setupEventHandlers() {
+        $list.on('click', '.download-queue-cancel', (event) => {
+            downloadManager.cancel($(event.currentTarget).closest('li').data('id'));
+        });
+        $list.on('click', '.download-queue-retry', (event) => {
+            downloadManager.retry($(event.currentTarget).closest('li').data('id'));
+        });
+        $clearBtn.on('click', () => downloadManager.clearFinished());
+    }
+
+    // Initialize
+    setupEventHandlers();
+    render([]);
+
+    // Public API
+    const downloadQueue = {
+        /**
+         * Re-renders the drawer after the queue changes.
+         * @param {Object[]} items - Queue items from the download manager
+         */
+        render(items) {
+            render(items);
+        }
+    };
+
+    return downloadQueue;
+}
@@ -5,8 +5,15 @@
 
 
 import { MAP_CONFIG, CONFIG, UI_ELEMENTS } from '../config/constants.js';
-import { MAP_STYLES } from '../config/MapStyles.js';
+import { AREA_STYLES, MAP_STYLES, MARKER_THEMES, NEAREST_STYLES, OUTLINE_BASEMAP_STYLES, SPIDER_STYLES, createClusterStyle, createOverlayStyle, getMarkerThemeClass } from '../config/MapStyles.js';
 import { createLoader } from '../core/loaderManager.js';
+import { getDistanceKm } from '../utils/geo.js';
+import { readOverlayFeatures } from '../utils/overlayFiles.js';
+
+const CLUSTERING_STORAGE_KEY = 'wa-map-clustering';
+const MARKER_THEME_STORAGE_KEY = 'wa-map-theme';
+const BASEMAP_STORAGE_KEY = 'wa-basemap';
+
 /**
  * Creates a MapController for managing OpenLayers map functionality.
  * @param {string} containerId - ID of the map container element
@@ -18,12 +25,50 @@ export function createMapController(containerId, toastManager) {
     let map = null;
     let vectorLayer = null;
     let selectedFeature = null;
+    // Station features; vectorLayer renders them through clusterSource
+    const stationSource = new ol.source.Vector();
+    let clusterSource = null;
+    // The selected station is drawn unclustered on its own layer
+    let selectionLayer = null;
+    let clustering = loadClusteringPreference();
+    let markerTheme = loadMarkerThemePreference();
+    let hoveredCluster = null;
+    // Co-located stations fanned out around their shared point
+    let spiderLayer = null;
+    let spider = null;
     const featureMap = new Map();
     let lastHoveredFeature = null;
+    let highlightedIds = new Set();
+    // IDs of the stations shown on the map, or null for all stations
+    let visibleIds = null;
     const $tooltip = UI_ELEMENTS.map.$tooltip;
 
     // Event callbacks
     let onFeatureSelected = null;
+    let onViewChanged = null;
+    let onPointPicked = null;
+    let onAreaDrawn = null;
+    let onBasemapChanged = null;
+
+    // Nearest stations tool: lines layer and touch long-press tracking
+    let nearestLayer = null;
+    let longPressTimer = null;
+    let longPressStart = null;
+    let longPressFired = false;
+
+    // Area selection: outline of the last area drawn with the active tool, the draw interaction and the stations selected by area
+    let areaLayer = null;
+    let areaDraw = null;
+    let areaModifier = null;
+    let areaSelectedIds = new Set();
+
+    // Basemap layers in a group at the bottom of the map; later requests supersede earlier ones still loading
+    let basemapGroup = null;
+    let basemapId = null;
+    let basemapRequest = 0;
+
+    // Imported overlay layers by overlay ID (null when the file could not be read), drawn below the station layers
+    const overlayLayers = new Map();
 
     // Create loder UI element
     const mapLoaderUI = createLoader(
@@ -31,6 +76,187 @@ export function createMapController(containerId, toastManager) {
         UI_ELEMENTS.map.$error
     );
 
+    /**
+     * Loads whether markers should be clustered.
+     * @returns {boolean} True unless the user turned clustering off
+     */
+    function loadClusteringPreference() {
+        try {
+            return localStorage.getItem(CLUSTERING_STORAGE_KEY) !== 'off';
+        } catch {
+            return true;
+        }
+    }
+
+    /**
+     * Loads what the marker colours and shapes encode.
+     * @returns {string} Key of MARKER_THEMES
+     */
+    function loadMarkerThemePreference() {
+        try {
+            const stored = localStorage.getItem(MARKER_THEME_STORAGE_KEY);
+            return stored && MARKER_THEMES[stored] ? stored : 'none';
+        } catch {
+            return 'none';
+        }
+    }
+
+    /**
+     * Loads the basemap the user chose last.
+     * @returns {string} ID of a basemap in MAP_CONFIG.BASEMAPS
+     */
+    function loadBasemapPreference() {
+        try {
+            const stored = localStorage.getItem(BASEMAP_STORAGE_KEY);
+            return getBasemap(stored) ? stored : MAP_CONFIG.DEFAULT_BASEMAP;
+        } catch {
+            return MAP_CONFIG.DEFAULT_BASEMAP;
+        }
+    }
+
+    /**
+     * Finds a basemap in the registry.
+     * @param {string} id - Basemap ID
+     * @returns {Object|undefined} Basemap definition
+     */
+    function getBasemap(id) {
+        return MAP_CONFIG.BASEMAPS.find(basemap => basemap.id === id);
+    }
+
+    /**
+     * Rejects when a promise takes too long.
+     * @param {Promise<*>} promise - Promise to wait for
+     * @param {number} ms - Time limit in milliseconds
+     * @param {string} message - Error message on timeout
+     * @returns {Promise<*>} Result of the promise
+     */
+    function withTimeout(promise, ms, message) {
+        let timer = null;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Creates the layers of a basemap.
+     * @param {Object} basemap - Basemap definition from MAP_CONFIG.BASEMAPS
+     * @returns {Promise<ol.layer.Group>} Basemap layers
+     * @throws {Error} When the style or the bundled outline cannot be loaded
+     */
+    async function createBasemapLayers(basemap) {
+        const group = new ol.layer.Group();
+
+        switch (basemap.type) {
+            case 'style':
+                await withTimeout(
+                    olms.apply(group, basemap.url, { webfonts: MAP_CONFIG.WEBFONTS_PATH }),
+                    CONFIG.BASEMAP_TIMEOUT_MS,
+                    `Timed out loading the ${basemap.label} style`
+                );
+                break;
+            case 'xyz':
+                group.getLayers().push(new ol.layer.Tile({
+                    source: new ol.source.XYZ({ url: basemap.url, attributions: basemap.attributions, maxZoom: 19 })
+                }));
+                break;
+            case 'outline': {
+                const response = await fetch(basemap.url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                const features = new ol.format.GeoJSON().readFeatures(await response.json(), {
+                    featureProjection: map.getView().getProjection()
+                });
+                group.getLayers().push(new ol.layer.Vector({
+                    source: new ol.source.Vector({ features }),
+                    style: OUTLINE_BASEMAP_STYLES.land,
+                    background: OUTLINE_BASEMAP_STYLES.water
+                }));
+                break;
+            }
+            default:
+                throw new Error(`Unknown basemap type: ${basemap.type}`);
+        }
+        return group;
+    }
+
+    /**
+     * Falls back to the basemap that needs no network when tiles keep failing before any has loaded.
+     * @param {ol.layer.Group} group - Basemap layers
+     * @param {Object} basemap - Basemap definition
+     * @param {number} request - Basemap request the layers belong to
+     */
+    function watchBasemapTiles(group, basemap, request) {
+        let loaded = 0;
+        let failed = 0;
+
+        group.getLayersArray().forEach((layer) => {
+            const source = layer.getSource();
+            if (!source) return;
+            source.on('tileloadend', () => {
+                loaded++;
+            });
+            source.on('tileloaderror', () => {
+                failed++;
+                if (!loaded && failed === CONFIG.BASEMAP_TILE_ERROR_LIMIT && request === basemapRequest) {
+                    fallBackFrom(basemap, new Error(`${failed} ${basemap.label} tiles failed to load`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Replaces a basemap that failed with the fallback basemap.
+     * @param {Object} basemap - Basemap definition that failed
+     * @param {Error} error - The failure
+     * @returns {Promise<void>}
+     */
+    async function fallBackFrom(basemap, error) {
+        if (basemap.id === MAP_CONFIG.FALLBACK_BASEMAP) {
+            toastManager.handleError(error, 'basemap', 'The basemap could not be loaded. Stations are still shown.');
+            return;
+        }
+        toastManager.handleError(error, 'basemap',
+            `The ${basemap.label} basemap could not be loaded. Showing the offline BC outline instead.`);
+        await loadBasemap(MAP_CONFIG.FALLBACK_BASEMAP);
+    }
+
+    /**
+     * Shows a basemap below all other layers, falling back to the bundled outline when it fails.
+     * @param {string} id - Basemap ID; unknown IDs load the default basemap
+     * @returns {Promise<void>}
+     */
+    async function loadBasemap(id) {
+        const basemap = getBasemap(id) || getBasemap(MAP_CONFIG.DEFAULT_BASEMAP);
+        const request = ++basemapRequest;
+
+        let group;
+        try {
+            group = await createBasemapLayers(basemap);
+        } catch (error) {
+            if (request === basemapRequest) {
+                await fallBackFrom(basemap, error);
+            }
+            return;
+        }
+        // Another basemap was chosen while this one loaded
+        if (request !== basemapRequest) return;
+
+        const layers = map.getLayers();
+        if (basemapGroup) {
+            layers.remove(basemapGroup);
+        }
+        basemapGroup = group;
+        layers.insertAt(0, group);
+        basemapId = basemap.id;
+        watchBasemapTiles(group, basemap, request);
+
+        if (onBasemapChanged) {
+            onBasemapChanged(basemapId);
+        }
+    }
+
     /**
      * Initializes the OpenLayers map and base layers.
      * @returns {Promise<void>}
@@ -55,16 +281,31 @@ export function createMapController(containerId, toastManager) {
                 })
             });
 
-            // Create vector layer for weather stations
+            // Create vector layer for weather stations, clustered at low zoom levels
+            clusterSource = new ol.source.Cluster({
+                source: stationSource,
+                distance: getClusterDistance(),
+                // Leave the selected station out so it keeps its own marker
+                geometryFunction: feature => feature === selectedFeature ? null : feature.getGeometry()
+            });
             vectorLayer = new ol.layer.Vector({
+                source: clusterSource,
+                style: getClusterStyle
+            });
+            selectionLayer = new ol.layer.Vector({
                 source: new ol.source.Vector()
             });
-
-            // Apply basemap style and add layers
-            await olms.apply(map, MAP_CONFIG.BASEMAP_URL, {
-                webfonts: MAP_CONFIG.WEBFONTS_PATH
+            spiderLayer = new ol.layer.Vector({
+                source: new ol.source.Vector()
+            });
+            // Legs draw their station's current style, so redraw them when a station changes
+            stationSource.on('changefeature', () => {
+                if (spider) spiderLayer.changed();
             });
 
+            // Load the basemap; one that fails is replaced by the bundled outline so stations stay usable
+            await loadBasemap(loadBasemapPreference());
+
             // Add attribution layer
             const attrLayer = new ol.layer.Vector({
                 source: new ol.source.Vector({ 
@@ -73,7 +314,22 @@ export function createMapController(containerId, toastManager) {
                 style: MAP_STYLES.default
             });
 
+            // Create layer for the nearest stations tool, below the station markers
+            nearestLayer = new ol.layer.Vector({
+                source: new ol.source.Vector()
+            });
+
+            // Create layer for the outline of the last area drawn to select stations
+            areaLayer = new ol.layer.Vector({
+                source: new ol.source.Vector(),
+                style: AREA_STYLES.area
+            });
+
+            map.addLayer(nearestLayer);
+            map.addLayer(areaLayer);
             map.addLayer(vectorLayer);
+            map.addLayer(selectionLayer);
+            map.addLayer(spiderLayer);
             map.addLayer(attrLayer);
 
             // Setup map interactions
@@ -101,10 +357,287 @@ export function createMapController(containerId, toastManager) {
             sensorData: stationData
         });
 
-        feature.setStyle(MAP_STYLES.default);
+        feature.setStyle(getBaseStyle(feature));
         return feature;
     }
 
+    /**
+     * Gets the style of a feature that is neither selected nor hovered.
+     * @param {ol.Feature} feature - Station feature
+     * @returns {ol.style.Style} Selected style for stations selected by area, highlight style for highlighted
+     * stations, otherwise the style of the marker theme
+     */
+    function getBaseStyle(feature) {
+        const station = feature.get('sensorData');
+        if (areaSelectedIds.has(station.id)) return MAP_STYLES.selected;
+        return highlightedIds.has(station.id) ? MAP_STYLES.highlight : getMarkerThemeClass(markerTheme, station).style;
+    }
+
+    /**
+     * Gets the style of a hovered feature.
+     * @param {ol.Feature} feature - Station feature
+     * @returns {ol.style.Style} Hover style of the marker theme
+     */
+    function getHoverStyle(feature) {
+        return getMarkerThemeClass(markerTheme, feature.get('sensorData')).hoverStyle;
+    }
+
+    /**
+     * Restyles every station that is neither selected nor hovered, rebuilding the clusters once.
+     */
+    function restyleStations() {
+        batchStationChanges(() => {
+            featureMap.forEach((feature) => {
+                if (feature !== selectedFeature && feature !== lastHoveredFeature) {
+                    feature.setStyle(getBaseStyle(feature));
+                }
+            });
+        });
+    }
+
+    /**
+     * Gets the cluster distance for the current mode and zoom level.
+     * Above CONFIG.CLUSTER_MAX_ZOOM only stations at the same coordinates are grouped.
+     * @returns {number} Distance in pixels
+     */
+    function getClusterDistance() {
+        const zoom = map ? map.getView().getZoom() : MAP_CONFIG.ZOOM;
+        return clustering && zoom <= CONFIG.CLUSTER_MAX_ZOOM ? CONFIG.CLUSTER_DISTANCE : 0;
+    }
+
+    /**
+     * Styles a rendered cluster: single stations keep their marker style, groups get a count bubble.
+     * @param {ol.Feature} cluster - Cluster feature
+     * @returns {ol.style.Style} Style
+     */
+    function getClusterStyle(cluster) {
+        const members = cluster.get('features');
+        if (members.length === 1) {
+            return members[0].getStyle();
+        }
+        return createClusterStyle(members.length, {
+            highlighted: members.some(feature => highlightedIds.has(feature.get('sensorData').id)),
+            hovered: cluster === hoveredCluster
+        });
+    }
+
+    /**
+     * Resolves a rendered feature to its station feature, or to the cluster when it groups several stations.
+     * @param {ol.Feature} feature - Feature from the station, selection or spider layer
+     * @returns {ol.Feature} Station feature or cluster
+     */
+    function resolveFeature(feature) {
+        const stationFeature = feature.get('stationFeature');
+        if (stationFeature) return stationFeature;
+
+        const members = feature.get('features');
+        if (!members) return feature;
+        return members.length === 1 ? members[0] : feature;
+    }
+
+    /**
+     * Checks if a resolved feature is a cluster of several stations.
+     * @param {ol.Feature} feature - Resolved feature
+     * @returns {boolean} True for clusters
+     */
+    function isCluster(feature) {
+        return Array.isArray(feature.get('features'));
+    }
+
+    /**
+     * Finds the station or cluster at a pixel.
+     * @param {number[]} pixel - Pixel coordinates [x, y]
+     * @returns {ol.Feature|null} Station feature, cluster, or null
+     */
+    function getFeatureAtPixel(pixel) {
+        const hit = map.forEachFeatureAtPixel(pixel, feature => feature, {
+            layerFilter: layer => layer === vectorLayer || layer === selectionLayer || layer === spiderLayer
+        });
+        return hit && !hit.get('spiderLine') ? resolveFeature(hit) : null;
+    }
+
+    /**
+     * Finds the spider leg marker at a pixel.
+     * @param {number[]} pixel - Pixel coordinates [x, y]
+     * @returns {ol.Feature|null} Station feature of the leg, or null
+     */
+    function getSpiderLegAtPixel(pixel) {
+        if (!spider) return null;
+        const hit = map.forEachFeatureAtPixel(pixel, feature => feature.get('stationFeature'), {
+            layerFilter: layer => layer === spiderLayer
+        });
+        return hit || null;
+    }
+
+    /**
+     * Gets the co-located stations a station or cluster stands for, as found by findColocatedSensors.
+     * Clusters only count when all of their stations share the coordinates.
+     * @param {ol.Feature} feature - Station feature or cluster
+     * @returns {ol.Feature[]|null} Station features shown on the map, or null when there are fewer than two
+     */
+    function getColocatedGroup(feature) {
+        const stations = isCluster(feature)
+            ? feature.get('features').map(member => member.get('sensorData'))
+            : [feature.get('sensorData')];
+        const group = [stations[0], ...findColocatedSensors(stations[0])];
+        if (stations.some(station => !group.includes(station))) return null;
+
+        const features = group
+            .map(station => featureMap.get(station.id))
+            .filter(member => member && stationSource.hasFeature(member));
+        return features.length > 1 ? features : null;
+    }
+
+    /**
+     * Fans co-located stations out on a ring around their shared point, with a leg to each.
+     * @param {ol.Feature[]} features - Co-located station features
+     */
+    function openSpider(features) {
+        if (isSpiderOpenFor(features)) return;
+        closeSpider();
+
+        const center = features[0].getGeometry().getCoordinates();
+        const resolution = map.getView().getResolution();
+        // Grow the ring so the markers do not overlap
+        const radius = Math.max(CONFIG.SPIDER_RADIUS, features.length * CONFIG.SPIDER_LEG_SPACING / (2 * Math.PI));
+        const legs = [];
+
+        features.forEach((stationFeature, index) => {
+            const angle = Math.PI / 2 - 2 * Math.PI * index / features.length;
+            const position = [
+                center[0] + Math.cos(angle) * radius * resolution,
+                center[1] + Math.sin(angle) * radius * resolution
+            ];
+
+            const line = new ol.Feature({
+                geometry: new ol.geom.LineString([center, position]),
+                spiderLine: true
+            });
+            line.setStyle(SPIDER_STYLES.line);
+
+            const leg = new ol.Feature({
+                geometry: new ol.geom.Point(position),
+                stationFeature
+            });
+            leg.setStyle(() => stationFeature.getStyle());
+            legs.push(line, leg);
+        });
+
+        spiderLayer.getSource().addFeatures(legs);
+        spider = { key: getGroupKey(features), center, radius };
+    }
+
+    /**
+     * Builds a key identifying a group of co-located stations.
+     * @param {ol.Feature[]} features - Station features
+     * @returns {string} Sorted station IDs
+     */
+    function getGroupKey(features) {
+        return features.map(feature => feature.get('sensorData').id).sort((a, b) => a - b).join(',');
+    }
+
+    /**
+     * Checks if the spider is open for a group of co-located stations.
+     * @param {ol.Feature[]} features - Station features
+     * @returns {boolean} True when the group is fanned out
+     */
+    function isSpiderOpenFor(features) {
+        return Boolean(spider) && spider.key === getGroupKey(features);
+    }
+
+    /**
+     * Folds the co-located stations back onto their shared point.
+     */
+    function closeSpider() {
+        if (!spider) return;
+        spider = null;
+        spiderLayer.getSource().clear();
+    }
+
+    /**
+     * Checks if a pixel is within the open spider's ring and markers.
+     * @param {number[]} pixel - Pixel coordinates [x, y]
+     * @returns {boolean} True when the pointer is over the spider
+     */
+    function isOverSpider(pixel) {
+        const [x, y] = map.getPixelFromCoordinate(spider.center);
+        return Math.hypot(pixel[0] - x, pixel[1] - y) <= spider.radius + CONFIG.SPIDER_MARGIN;
+    }
+
+    /**
+     * Describes a cluster for the tooltip.
+     * @param {ol.Feature} cluster - Cluster feature
+     * @returns {string} Tooltip text
+     */
+    function describeCluster(cluster) {
+        const names = cluster.get('features').map(feature => feature.get('sensorData').name);
+        const shown = names.slice(0, 3).join(', ');
+        return `${names.length} stations: ${shown}${names.length > 3 ? '…' : ''}`;
+    }
+
+    /**
+     * Zooms to the extent of a cluster.
+     * @param {ol.Feature} cluster - Cluster feature
+     */
+    function zoomToCluster(cluster) {
+        const members = cluster.get('features');
+        const extent = ol.extent.boundingExtent(members.map(feature => feature.getGeometry().getCoordinates()));
+
+        map.getView().fit(extent, {
+            padding: [80, 80, 80, 80],
+            maxZoom: CONFIG.CLUSTER_MAX_ZOOM + 1,
+            duration: CONFIG.ANIMATION_DURATION
+        });
+    }
+
+    /**
+     * Sets the hovered cluster and redraws its bubble.
+     * @param {ol.Feature|null} cluster - Cluster feature, or null
+     */
+    function setHoveredCluster(cluster) {
+        if (hoveredCluster === cluster) return;
+        hoveredCluster = cluster;
+        vectorLayer.changed();
+    }
+
+    /**
+     * Applies many station feature changes, rebuilding the clusters once at the end.
+     * @param {Function} callback - () => void
+     */
+    function batchStationChanges(callback) {
+        if (!clusterSource) {
+            callback();
+            return;
+        }
+        clusterSource.setSource(null);
+        try {
+            callback();
+        } finally {
+            clusterSource.setSource(stationSource);
+        }
+    }
+
+    /**
+     * Adds or removes features so that only visible stations, and the selected one, are on the map.
+     */
+    function syncVisibleFeatures() {
+        batchStationChanges(() => {
+            const toAdd = [];
+            featureMap.forEach((feature, id) => {
+                const visible = !visibleIds || visibleIds.has(id) || feature === selectedFeature;
+                const present = stationSource.hasFeature(feature);
+                if (visible && !present) {
+                    toAdd.push(feature);
+                } else if (!visible && present) {
+                    stationSource.removeFeature(feature);
+                }
+            });
+            if (toAdd.length) {
+                stationSource.addFeatures(toAdd);
+            }
+        });
+    }
+
     /**
      * Handles pointer movement over the map for hover effects.
      * @param {ol.MapBrowserEvent} evt - The map event
@@ -117,21 +650,38 @@ export function createMapController(containerId, toastManager) {
             return lastHoveredFeature;
         }
 
-        const hit = map.forEachFeatureAtPixel(
-            evt.pixel,
-            (feature, layer) => layer === vectorLayer ? feature : null,
-            { layerFilter: (layer) => layer === vectorLayer }
-        );
+        // Fold the spider once the pointer moves away from it
+        if (spider && !isOverSpider(evt.pixel)) {
+            closeSpider();
+        }
+
+        const hit = getFeatureAtPixel(evt.pixel);
+
+        // Fan out co-located stations under the pointer
+        const group = hit && getColocatedGroup(hit);
+        if (group) {
+            openSpider(group);
+        }
 
         // Reset previous hover state
         if (lastHoveredFeature && lastHoveredFeature !== selectedFeature && lastHoveredFeature !== hit) {
-            lastHoveredFeature.setStyle(MAP_STYLES.default);
+            lastHoveredFeature.setStyle(getBaseStyle(lastHoveredFeature));
+        }
+
+        // Clusters show how many stations they hold
+        if (hit && isCluster(hit)) {
+            setHoveredCluster(hit);
+            showTooltip(evt.pixel, describeCluster(hit));
+            map.getTargetElement().style.cursor = 'pointer';
+            lastHoveredFeature = null;
+            return hit;
         }
+        setHoveredCluster(null);
 
         // Apply hover state
         if (hit && hit !== selectedFeature) {
             showTooltip(evt.pixel, hit.get('sensorData')?.name || "Unknown");
-            hit.setStyle(MAP_STYLES.hover);
+            hit.setStyle(getHoverStyle(hit));
             map.getTargetElement().style.cursor = 'pointer';
             
             lastHoveredFeature = hit;
@@ -149,13 +699,31 @@ export function createMapController(containerId, toastManager) {
      * @param {ol.MapBrowserEvent} evt - The map event
      */
     function handleMapClick(evt) {
-        const features = map.getFeaturesAtPixel(evt.pixel, {
-            layerFilter: (layer) => layer === vectorLayer
-        });
+        // Clicks place circles while an area is drawn
+        if (areaDraw) return;
 
-        if (features.length) {
+        const leg = getSpiderLegAtPixel(evt.pixel);
+        if (leg) {
             hideTooltip();
-            selectFeature(features[0], true);
+            selectFeature(leg, true);
+            return;
+        }
+
+        const hit = getFeatureAtPixel(evt.pixel);
+        if (!hit) {
+            closeSpider();
+            return;
+        }
+
+        hideTooltip();
+        // Co-located stations fan out first (touch devices have no hover), then each is picked from its leg
+        const group = getColocatedGroup(hit);
+        if (group && !isSpiderOpenFor(group)) {
+            openSpider(group);
+        } else if (isCluster(hit)) {
+            if (!group) zoomToCluster(hit);
+        } else {
+            selectFeature(hit, true);
         }
     }
 
@@ -183,6 +751,191 @@ export function createMapController(containerId, toastManager) {
         }
     }
 
+    /**
+     * Reports a picked map point to the nearest stations tool.
+     * @param {number[]} pixel - Pixel coordinates [x, y]
+     */
+    function pickPoint(pixel) {
+        if (onPointPicked) {
+            onPointPicked(ol.proj.toLonLat(map.getCoordinateFromPixel(pixel)));
+        }
+    }
+
+    /**
+     * Cancels a pending touch long-press.
+     */
+    function cancelLongPress() {
+        if (longPressTimer) {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        }
+    }
+
+    /**
+     * Sets up right-click and touch long-press to pick a point on the map.
+     */
+    function setupPointPicking() {
+        const viewport = map.getViewport();
+
+        viewport.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            // Touch browsers that fire contextmenu after a long-press have already been handled
+            if (longPressFired) {
+                longPressFired = false;
+                return;
+            }
+            pickPoint(map.getEventPixel(event));
+        });
+        viewport.addEventListener('pointerdown', (event) => {
+            cancelLongPress();
+            longPressFired = false;
+            // Ignore mouse and pen input, and second fingers of a pinch
+            if (event.pointerType !== 'touch' || !event.isPrimary) return;
+
+            const pixel = map.getEventPixel(event);
+            longPressStart = [event.clientX, event.clientY];
+            longPressTimer = setTimeout(() => {
+                longPressTimer = null;
+                longPressFired = true;
+                pickPoint(pixel);
+            }, CONFIG.LONG_PRESS_DELAY);
+        });
+        viewport.addEventListener('pointermove', (event) => {
+            if (longPressTimer && Math.hypot(event.clientX - longPressStart[0], event.clientY - longPressStart[1]) > CONFIG.LONG_PRESS_TOLERANCE) {
+                cancelLongPress();
+            }
+        });
+        viewport.addEventListener('pointerup', cancelLongPress);
+        viewport.addEventListener('pointercancel', cancelLongPress);
+    }
+
+    /**
+     * Finds the stations on the map inside a drawn area and draws its outline.
+     * @param {ol.geom.Geometry} geometry - Drawn geometry: the centre point for circles, otherwise a polygon
+     * @param {string} shape - 'box', 'polygon' or 'circle'
+     * @param {number} radiusKm - Circle radius in kilometres
+     * @returns {Object[]} WeatherStation instances inside the area
+     */
+    function selectStationsInArea(geometry, shape, radiusKm) {
+        let outline = geometry;
+        let isInside = feature => geometry.intersectsCoordinate(feature.getGeometry().getCoordinates());
+
+        if (shape === 'circle') {
+            const center = ol.proj.toLonLat(geometry.getCoordinates());
+            outline = ol.geom.Polygon.circular(center, radiusKm * 1000, 64)
+                .transform('EPSG:4326', map.getView().getProjection());
+            isInside = feature => getDistanceKm(center, feature.get('sensorData').getCoordinates()) <= radiusKm;
+        }
+
+        const source = areaLayer.getSource();
+        source.clear();
+        source.addFeature(new ol.Feature({ geometry: outline }));
+
+        return stationSource.getFeatures()
+            .filter(isInside)
+            .map(feature => feature.get('sensorData'));
+    }
+
+    /**
+     * Starts drawing areas that select stations. Drawing continues until stopped.
+     * @param {string} shape - 'box' (drag a rectangle), 'polygon' (drag a freehand outline) or 'circle' (click the centre)
+     * @param {number} radiusKm - Circle radius in kilometres
+     */
+    function startAreaDrawing(shape, radiusKm) {
+        const shapeOptions = {
+            box: { type: 'Circle', freehand: true, geometryFunction: ol.interaction.Draw.createBox() },
+            polygon: { type: 'Polygon', freehand: true },
+            circle: { type: 'Point' }
+        };
+        if (!shapeOptions[shape]) {
+            throw new Error(`Unknown area shape: ${shape}`);
+        }
+
+        stopAreaDrawing();
+        areaDraw = new ol.interaction.Draw({
+            ...shapeOptions[shape],
+            // Shift and Alt are the add and remove modifiers, so draw with any keys held
+            condition: () => true,
+            style: AREA_STYLES.sketch
+        });
+        areaDraw.on('drawend', (event) => {
+            const stations = selectStationsInArea(event.feature.getGeometry(), shape, radiusKm);
+            if (onAreaDrawn) {
+                onAreaDrawn(stations, areaModifier);
+            }
+        });
+        map.addInteraction(areaDraw);
+        map.getTargetElement().classList.add('drawing-area');
+    }
+
+    /**
+     * Stops drawing areas, discarding an unfinished shape and the last outline.
+     */
+    function stopAreaDrawing() {
+        if (!areaDraw) return;
+        areaDraw.abortDrawing();
+        areaLayer.getSource().clear();
+        map.removeInteraction(areaDraw);
+        areaDraw = null;
+        map.getTargetElement().classList.remove('drawing-area');
+    }
+
+    /**
+     * Creates the layer of an imported overlay.
+     * @param {Object} overlay - Overlay {format, text, color}
+     * @returns {ol.layer.Vector} Overlay layer
+     * @throws {Error} When the overlay file cannot be read
+     */
+    function createOverlayLayer(overlay) {
+        return new ol.layer.Vector({
+            source: new ol.source.Vector({
+                features: readOverlayFeatures(overlay.format, overlay.text, map.getView().getProjection())
+            }),
+            style: createOverlayStyle(overlay.color)
+        });
+    }
+
+    /**
+     * Adds, removes, restyles and reorders overlay layers to match a list of overlays.
+     * @param {Object[]} overlays - Overlays {id, name, format, text, color, visible, opacity}, topmost first
+     */
+    function syncOverlays(overlays) {
+        const layers = map.getLayers();
+        const ids = new Set(overlays.map(overlay => overlay.id));
+
+        overlayLayers.forEach((layer, id) => {
+            if (ids.has(id)) return;
+            if (layer) layers.remove(layer);
+            overlayLayers.delete(id);
+        });
+
+        overlays.forEach((overlay) => {
+            if (!overlayLayers.has(overlay.id)) {
+                let layer = null;
+                try {
+                    layer = createOverlayLayer(overlay);
+                } catch (error) {
+                    toastManager.handleError(error, 'overlay', `The layer "${overlay.name}" could not be shown. ${error.message}`);
+                }
+                overlayLayers.set(overlay.id, layer);
+            }
+            const layer = overlayLayers.get(overlay.id);
+            if (layer) {
+                layer.setVisible(overlay.visible);
+                layer.setOpacity(overlay.opacity);
+            }
+        });
+
+        // Insert the overlays, bottommost first, right below the station layers
+        const ordered = overlays.map(overlay => overlayLayers.get(overlay.id)).filter(Boolean).reverse();
+        const current = layers.getArray().filter(layer => ordered.includes(layer));
+        if (ordered.length !== current.length || ordered.some((layer, index) => layer !== current[index])) {
+            ordered.forEach(layer => layers.remove(layer));
+            const index = layers.getArray().indexOf(nearestLayer);
+            ordered.forEach((layer, offset) => layers.insertAt(index + offset, layer));
+        }
+    }
+
     /**
      * Sets up hover/click/zoom handling for sensor features on the map.
      */
@@ -191,35 +944,71 @@ export function createMapController(containerId, toastManager) {
 
         map.on('pointermove', handlePointerMove);
         map.on('singleclick', handleMapClick);
+        setupPointPicking();
+        // Remember the area selection modifier held when a shape is started
+        map.getViewport().addEventListener('pointerdown', (event) => {
+            areaModifier = event.shiftKey ? 'add' : event.altKey ? 'remove' : null;
+        });
         // Clear hover when pointer exits the map viewport
         map.getViewport().addEventListener('mouseout', (e) => {
             // Only clear if we're actually leaving the viewport (not going to a child element)
             if (!e.relatedTarget || !map.getViewport().contains(e.relatedTarget)) {
                 if (lastHoveredFeature && lastHoveredFeature !== selectedFeature) {
-                    lastHoveredFeature.setStyle(MAP_STYLES.default);
+                    lastHoveredFeature.setStyle(getBaseStyle(lastHoveredFeature));
                     lastHoveredFeature = null;
                 }
+                setHoveredCluster(null);
+                closeSpider();
                 hideTooltip();
                 map.getTargetElement().style.cursor = '';
             }
         });
         map.getView().on('change:resolution', () => {
             hideTooltip();
+            // Leg lengths are in pixels, so the spider only fits the zoom it opened at
+            closeSpider();
+        });
+        map.on('moveend', () => {
+            const distance = getClusterDistance();
+            if (clusterSource.getDistance() !== distance) {
+                clusterSource.setDistance(distance);
+            }
+        });
+        map.on('moveend', () => {
+            if (onViewChanged) {
+                const view = map.getView();
+                onViewChanged(ol.proj.toLonLat(view.getCenter()), view.getZoom());
+            }
         });
     }
 
+    /**
+     * Draws the selected station on the selection layer. The clusters leave it out once they are rebuilt.
+     */
+    function showSelectedFeature() {
+        if (!selectionLayer) return;
+
+        const source = selectionLayer.getSource();
+        source.clear();
+        if (selectedFeature) {
+            source.addFeature(selectedFeature);
+        }
+    }
+
     /**
      * Updates the selected feature on the map.
      * @param {ol.Feature} newFeature - The new feature to select
      */
     function updateSelectedFeature(newFeature) {
         if (selectedFeature) {
-            selectedFeature.setStyle(MAP_STYLES.default);
+            selectedFeature.setStyle(getBaseStyle(selectedFeature));
         }
         selectedFeature = newFeature;
         if (newFeature) {
             newFeature.setStyle(MAP_STYLES.active);
         }
+        showSelectedFeature();
+        syncVisibleFeatures();
     }
     /**
      * Finds all sensors co-located at the same coordinates.
@@ -298,8 +1087,10 @@ export function createMapController(containerId, toastManager) {
      */
     function clearSelection() {
         if (selectedFeature) {
-            selectedFeature.setStyle(MAP_STYLES.default);
+            selectedFeature.setStyle(getBaseStyle(selectedFeature));
             selectedFeature = null;
+            showSelectedFeature();
+            syncVisibleFeatures();
         }
 
         if (onFeatureSelected) {
@@ -353,18 +1144,36 @@ export function createMapController(containerId, toastManager) {
             }
 
             // Clear existing features
-            vectorLayer.getSource().clear();
+            closeSpider();
+            stationSource.clear();
             featureMap.clear();
+            selectedFeature = null;
+            lastHoveredFeature = null;
+            showSelectedFeature();
 
             stations.forEach((station) => {
                 try {
-                    const feature = createStationFeature(station);
-                    vectorLayer.getSource().addFeature(feature);
-                    featureMap.set(station.id, feature);
+                    featureMap.set(station.id, createStationFeature(station));
                 } catch (error) {
                     console.warn('Failed to add station to map:', station, error);
                 }
             });
+            // Adds every visible feature at once so the clusters are built once
+            syncVisibleFeatures();
+        },
+        /**
+         * Gets the stations whose markers are inside the current map view.
+         * @returns {Object[]} Array of WeatherStation instances
+         */
+        getStationsInView() {
+            if (!map || !vectorLayer) return [];
+
+            const extent = map.getView().calculateExtent(map.getSize());
+            const stations = [];
+            stationSource.forEachFeatureInExtent(extent, (feature) => {
+                stations.push(feature.get('sensorData'));
+            });
+            return stations;
         },
         /**
          * Selects a station by ID.
@@ -383,6 +1192,203 @@ export function createMapController(containerId, toastManager) {
             return false;
         },
 
+        /**
+         * Moves the map to a centre and zoom level, stopping any running animation.
+         * @param {number[]|null} center - [longitude, latitude], or null to keep the current centre
+         * @param {number|null} zoom - Zoom level, or null to keep the current zoom
+         */
+        setView(center, zoom) {
+            if (!map) return;
+
+            const view = map.getView();
+            view.cancelAnimations();
+            if (center) {
+                view.setCenter(ol.proj.fromLonLat(center));
+            }
+            if (zoom !== null && zoom !== undefined) {
+                view.setZoom(zoom);
+            }
+        },
+
+        /**
+         * Shows only some stations on the map. The selected station stays visible.
+         * @param {number[]|null} stationIds - IDs of the stations to show, or null for all stations
+         */
+        setVisibleStations(stationIds) {
+            visibleIds = stationIds ? new Set(stationIds) : null;
+            closeSpider();
+            syncVisibleFeatures();
+        },
+
+        /**
+         * Turns marker clustering on or off and remembers the choice.
+         * @param {boolean} enabled - Whether to cluster markers
+         */
+        setClustering(enabled) {
+            clustering = Boolean(enabled);
+            try {
+                localStorage.setItem(CLUSTERING_STORAGE_KEY, clustering ? 'on' : 'off');
+            } catch (error) {
+                console.warn('Failed to save clustering preference:', error);
+            }
+            if (clusterSource) {
+                clusterSource.setDistance(getClusterDistance());
+            }
+        },
+
+        /**
+         * Checks if markers are clustered.
+         * @returns {boolean} True when clustering is on
+         */
+        isClustering() {
+            return clustering;
+        },
+
+        /**
+         * Sets what the marker colours and shapes encode and remembers the choice.
+         * @param {string} themeId - Key of MARKER_THEMES
+         */
+        setMarkerTheme(themeId) {
+            markerTheme = MARKER_THEMES[themeId] ? themeId : 'none';
+            try {
+                localStorage.setItem(MARKER_THEME_STORAGE_KEY, markerTheme);
+            } catch (error) {
+                console.warn('Failed to save marker theme:', error);
+            }
+            restyleStations();
+        },
+
+        /**
+         * Gets what the marker colours and shapes encode.
+         * @returns {string} Key of MARKER_THEMES
+         */
+        getMarkerTheme() {
+            return markerTheme;
+        },
+
+        /**
+         * Starts drawing areas that select stations. Drawing continues until stopAreaDrawing is called.
+         * @param {string} shape - 'box', 'polygon' or 'circle'
+         * @param {number} [radiusKm] - Circle radius in kilometres
+         */
+        startAreaDrawing(shape, radiusKm = CONFIG.AREA_SELECTION_RADIUS_KM) {
+            if (!map) return;
+            startAreaDrawing(shape, radiusKm);
+        },
+
+        /**
+         * Stops drawing areas.
+         */
+        stopAreaDrawing() {
+            if (!map) return;
+            stopAreaDrawing();
+        },
+
+        /**
+         * Shows the stations selected by area.
+         * @param {number[]|null} stationIds - IDs of the selected stations, or null for none
+         */
+        setAreaSelection(stationIds) {
+            areaSelectedIds = new Set(stationIds || []);
+            restyleStations();
+        },
+
+        /**
+         * Shows imported overlays as layers between the basemap and the stations.
+         * @param {Object[]} overlays - Overlays {id, name, format, text, color, visible, opacity}, topmost first
+         */
+        setOverlays(overlays) {
+            if (!map) return;
+            syncOverlays(overlays);
+        },
+
+        /**
+         * Zooms to the features of an overlay.
+         * @param {number} overlayId - Overlay ID
+         */
+        zoomToOverlay(overlayId) {
+            const layer = overlayLayers.get(overlayId);
+            if (!map || !layer) return;
+
+            map.getView().fit(layer.getSource().getExtent(), {
+                padding: [60, 60, 60, 60],
+                maxZoom: 14,
+                duration: CONFIG.ANIMATION_DURATION
+            });
+        },
+
+        /**
+         * Switches the basemap and remembers the choice.
+         * @param {string} id - ID of a basemap in MAP_CONFIG.BASEMAPS
+         * @returns {Promise<void>}
+         */
+        async setBasemap(id) {
+            if (!map || !getBasemap(id)) return;
+            try {
+                localStorage.setItem(BASEMAP_STORAGE_KEY, id);
+            } catch (error) {
+                console.warn('Failed to save basemap preference:', error);
+            }
+            await loadBasemap(id);
+        },
+
+        /**
+         * Gets the basemap shown on the map.
+         * @returns {string|null} Basemap ID, or null before one has loaded
+         */
+        getBasemap() {
+            return basemapId;
+        },
+
+        /**
+         * Marks a point and draws lines from it to stations, zooming to fit them.
+         * @param {number[]} point - [longitude, latitude]
+         * @param {Object[]} stations - WeatherStation instances
+         */
+        showNearest(point, stations) {
+            if (!map || !nearestLayer) return;
+
+            const source = nearestLayer.getSource();
+            const origin = ol.proj.fromLonLat(point);
+            source.clear();
+
+            const pointFeature = new ol.Feature({ geometry: new ol.geom.Point(origin) });
+            pointFeature.setStyle(NEAREST_STYLES.point);
+            source.addFeature(pointFeature);
+
+            stations.forEach((station) => {
+                const line = new ol.Feature({
+                    geometry: new ol.geom.LineString([origin, ol.proj.fromLonLat(station.getCoordinates())])
+                });
+                line.setStyle(NEAREST_STYLES.line);
+                source.addFeature(line);
+            });
+
+            map.getView().fit(source.getExtent(), {
+                padding: [60, 60, 60, 60],
+                maxZoom: 12,
+                duration: CONFIG.ANIMATION_DURATION
+            });
+        },
+
+        /**
+         * Removes the nearest stations point and lines.
+         */
+        clearNearest() {
+            if (nearestLayer) {
+                nearestLayer.getSource().clear();
+            }
+        },
+
+        /**
+         * Highlights a set of stations on the map.
+         * @param {number[]|null} stationIds - IDs of the stations to highlight, or null to remove the highlight
+         */
+        highlightStations(stationIds) {
+            highlightedIds = new Set(stationIds || []);
+            restyleStations();
+        },
+
         /**
          * Clears the current selection.
          */
@@ -419,6 +1425,39 @@ export function createMapController(containerId, toastManager) {
             onFeatureSelected = callback;
         },
 
+        /**
+         * Sets callback for when the map finishes panning or zooming.
+         * @param {Function} callback - Callback function ([longitude, latitude], zoom) => void
+         */
+        onViewChanged(callback) {
+            onViewChanged = callback;
+        },
+
+        /**
+         * Sets callback for when the user right-clicks or long-presses a point on the map.
+         * @param {Function} callback - Callback function ([longitude, latitude]) => void
+         */
+        onPointPicked(callback) {
+            onPointPicked = callback;
+        },
+
+        /**
+         * Sets callback for when an area is drawn.
+         * @param {Function} callback - Callback function (stations, modifier) => void; modifier is
+         * 'add' (Shift held), 'remove' (Alt held) or null
+         */
+        onAreaDrawn(callback) {
+            onAreaDrawn = callback;
+        },
+
+        /**
+         * Sets callback for when a basemap is shown, including a fallback replacing the chosen one.
+         * @param {Function} callback - Callback function (basemapId) => void
+         */
+        onBasemapChanged(callback) {
+            onBasemapChanged = callback;
+        },
+
         /**
          * Gets the OpenLayers map instance.
          * @returns {ol.Map|null} Map instance or null if not initialized
@@ -0,0 +1,105 @@
+/**
+ * MapLegend component factory
+ * @module components/MapLegend
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { MARKER_THEMES, getMarkerThemeClass } from '../config/MapStyles.js';
+
+/**
+ * Creates a MapLegend component with the marker theme picker and the legend drawn on the map.
+ * @returns {Object} MapLegend instance
+ */
+export function createMapLegend() {
+    // Private state
+    let themeId = 'none';
+    let stations = [];
+
+    // jQuery elements
+    const $themeSelect = UI_ELEMENTS.legend.$themeSelect;
+    const $items = UI_ELEMENTS.legend.$items;
+
+    // Event callbacks
+    let onThemeChanged = null;
+
+    /**
+     * Counts the stations in each class of the current theme.
+     * @returns {Map<Object, number>} Station count by theme class
+     */
+    function countStations() {
+        const counts = new Map();
+        stations.forEach((station) => {
+            const themeClass = getMarkerThemeClass(themeId, station);
+            counts.set(themeClass, (counts.get(themeClass) || 0) + 1);
+        });
+        return counts;
+    }
+
+    /**
+     * Renders the legend for the current theme. Plain markers need no legend.
+     */
+    function render() {
+        $items.empty().toggleClass('d-none', themeId === 'none');
+        if (themeId === 'none') return;
+
+        const counts = countStations();
+        MARKER_THEMES[themeId].classes
+            // Only list the unknown class when some station falls in it
+            .filter((themeClass, index, classes) => index < classes.length - 1 || counts.has(themeClass))
+            .forEach((themeClass) => {
+                $('<li>')
+                    .addClass('d-flex align-items-center gap-2')
+                    .append($('<img>').attr({
+                        src: themeClass.style.getImage().getSrc(),
+                        alt: '',
+                        width: 18,
+                        height: 18
+                    }))
+                    .append($('<span>').text(themeClass.label))
+                    .append($('<span>').addClass('ms-auto text-muted').text(counts.get(themeClass) || 0))
+                    .appendTo($items);
+            });
+    }
+
+    // Initialize
+    Object.entries(MARKER_THEMES).forEach(([id, theme]) => {
+        $('<option>').val(id).text(theme.label).appendTo($themeSelect);
+    });
+    $themeSelect.on('change', () => {
+        themeId = $themeSelect.val();
+        render();
+        if (onThemeChanged) onThemeChanged(themeId);
+    });
+
+    // Public API
+    const mapLegend = {
+        /**
+         * Shows a theme in the picker and the legend.
+         * @param {string} id - Key of MARKER_THEMES
+         */
+        setTheme(id) {
+            themeId = MARKER_THEMES[id] ? id : 'none';
+            $themeSelect.val(themeId);
+            render();
+        },
+
+        /**
+         * Sets the stations counted in the legend.
+         * @param {Object[]} weatherStations - Array of WeatherStation instances
+         */
+        setStations(weatherStations) {
+            stations = weatherStations;
+            render();
+        },
+
+        /**
+         * Sets callback for when the user picks a theme.
+         * @param {Function} callback - Callback function (themeId) => void
+         */
+        onThemeChanged(callback) {
+            onThemeChanged = callback;
+        }
+    };
+
+    return mapLegend;
+}
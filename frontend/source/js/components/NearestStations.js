@@ -0,0 +1,214 @@
+/**
+ * NearestStations component factory
+ * @module components/NearestStations
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { getBearing, getDistanceKm, parseCoordinates } from '../utils/geo.js';
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Formats a distance for display.
+ * @param {number} km - Distance in kilometres
+ * @returns {string} Distance (e.g., "850 m", "12.4 km")
+ */
+function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km.toFixed(km < 100 ? 1 : 0)} km`;
+}
+
+/**
+ * Formats a bearing as a compass point and degrees.
+ * @param {number} degrees - Bearing clockwise from north
+ * @returns {string} Bearing (e.g., "NE (42°)")
+ */
+function formatBearing(degrees) {
+    return `${COMPASS_POINTS[Math.round(degrees / 22.5) % 16]} (${Math.round(degrees)}°)`;
+}
+
+/**
+ * Formats an elevation difference.
+ * @param {number|null} metres - Difference in metres
+ * @returns {string} Signed difference (e.g., "+120 m")
+ */
+function formatElevationDifference(metres) {
+    if (metres === null) return 'Elevation unknown';
+    return `${metres > 0 ? '+' : ''}${Math.round(metres)} m`;
+}
+
+/**
+ * Creates a NearestStations component that lists the stations closest to a point.
+ * @returns {Object} NearestStations instance
+ */
+export function createNearestStations() {
+    // Private state
+    let stations = [];
+    let results = [];
+
+    // jQuery elements
+    const $drawer = UI_ELEMENTS.nearest.$drawer;
+    const $form = UI_ELEMENTS.nearest.$form;
+    const $coordinates = UI_ELEMENTS.nearest.$coordinates;
+    const $elevation = UI_ELEMENTS.nearest.$elevation;
+    const $count = UI_ELEMENTS.nearest.$count;
+    const $error = UI_ELEMENTS.nearest.$error;
+    const $summary = UI_ELEMENTS.nearest.$summary;
+    const $results = UI_ELEMENTS.nearest.$results;
+
+    // Event callbacks
+    let onResults = null;
+    let onStationChosen = null;
+    let onCleared = null;
+
+    /**
+     * Shows or clears the coordinate input error.
+     * @param {string} [message] - Error message
+     */
+    function setError(message) {
+        $coordinates.toggleClass('is-invalid', Boolean(message));
+        $error.text(message || '');
+    }
+
+    /**
+     * Finds the stations closest to a point.
+     * @param {number[]} point - [longitude, latitude]
+     * @param {number} count - Number of stations
+     * @param {number|null} pointElevation - Elevation of the point in metres, or null to compare with the closest station
+     * @returns {Object[]} Results {station, distance, bearing, elevationDifference}, closest first
+     */
+    function findNearest(point, count, pointElevation) {
+        const nearest = stations
+            .map(station => ({ station, distance: getDistanceKm(point, station.getCoordinates()) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, count);
+
+        const reference = pointElevation ?? nearest[0]?.station.elevation;
+        return nearest.map(result => ({
+            ...result,
+            bearing: getBearing(point, result.station.getCoordinates()),
+            elevationDifference: Number.isFinite(result.station.elevation) && Number.isFinite(reference)
+                ? result.station.elevation - reference
+                : null
+        }));
+    }
+
+    /**
+     * Renders the result list.
+     * @param {number|null} pointElevation - Elevation of the point, or null when unknown
+     */
+    function renderResults(pointElevation) {
+        $results.empty();
+        $summary.text(pointElevation === null
+            ? 'Elevation differences are relative to the closest station.'
+            : `Elevation differences are relative to the point (${pointElevation} m).`);
+
+        results.forEach(({ station, distance, bearing, elevationDifference }, index) => {
+            $('<button>')
+                .addClass('list-group-item list-group-item-action')
+                .attr({ type: 'button', 'data-index': index })
+                .append($('<div>').addClass('fw-semibold').text(station.name))
+                .append($('<div>').addClass('small text-muted').text(
+                    `${formatDistance(distance)} · ${formatBearing(bearing)} · ${formatElevationDifference(elevationDifference)}`))
+                .appendTo($results);
+        });
+    }
+
+    /**
+     * Runs the search for a point with the chosen options.
+     * @param {number[]} point - [longitude, latitude]
+     */
+    function search(point) {
+        const count = parseInt($count.val(), 10) || CONFIG.NEAREST_STATION_COUNT;
+        const elevationText = $elevation.val().trim();
+        const pointElevation = elevationText === '' || !Number.isFinite(Number(elevationText)) ? null : Number(elevationText);
+
+        results = findNearest(point, count, pointElevation);
+        renderResults(pointElevation);
+        if (onResults) onResults(point, results.map(result => result.station));
+    }
+
+    /**
+     * Handles the coordinate form.
+     * @param {Event} event - The submit event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+        try {
+            const point = parseCoordinates($coordinates.val());
+            setError('');
+            search(point);
+        } catch (error) {
+            setError(error.message);
+        }
+    }
+
+    /**
+     * Clears the results and the map lines.
+     */
+    function clear() {
+        results = [];
+        $results.empty();
+        $summary.text('');
+        setError('');
+        if (onCleared) onCleared();
+    }
+
+    // Initialize
+    $count.val(String(CONFIG.NEAREST_STATION_COUNT));
+    $form.on('submit', handleSubmit);
+    $results.on('click', '.list-group-item', (event) => {
+        const result = results[Number($(event.currentTarget).data('index'))];
+        if (result && onStationChosen) onStationChosen(result.station);
+    });
+    $drawer.on('hidden.bs.offcanvas', clear);
+
+    // Public API
+    const nearestStations = {
+        /**
+         * Sets the stations to search.
+         * @param {Object[]} weatherStations - Array of WeatherStation instances
+         */
+        setStations(weatherStations) {
+            stations = weatherStations;
+        },
+
+        /**
+         * Opens the tool and finds the stations nearest to a point picked on the map.
+         * @param {number[]} point - [longitude, latitude]
+         */
+        findFrom(point) {
+            const [longitude, latitude] = point;
+            $coordinates.val(`${latitude.toFixed(CONFIG.COORDINATE_PRECISION)}, ${longitude.toFixed(CONFIG.COORDINATE_PRECISION)}`);
+            setError('');
+            search(point);
+            bootstrap.Offcanvas.getOrCreateInstance($drawer[0]).show();
+        },
+
+        /**
+         * Sets callback for when nearest stations are found.
+         * @param {Function} callback - Callback function ([longitude, latitude], stations) => void
+         */
+        onResults(callback) {
+            onResults = callback;
+        },
+
+        /**
+         * Sets callback for when a result is chosen.
+         * @param {Function} callback - Callback function (station) => void
+         */
+        onStationChosen(callback) {
+            onStationChosen = callback;
+        },
+
+        /**
+         * Sets callback for when the results are cleared.
+         * @param {Function} callback - Callback function () => void
+         */
+        onCleared(callback) {
+            onCleared = callback;
+        }
+    };
+
+    return nearestStations;
+}
@@ -0,0 +1,274 @@
+/**
+ * ObservationChart component factory
+ * @module components/ObservationChart
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { createLineChart } from '../core/lineChart.js';
+import { createObservationFileLoader } from '../services/ObservationFileLoader.js';
+import { toTimeSeries } from '../utils/timeSeries.js';
+import { getMonthName } from '../utils/formatters.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+// Number of variables plotted when a chart is first built
+const DEFAULT_COLUMN_COUNT = 1;
+
+/**
+ * Creates an ObservationChart component for plotting observation variables over time.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @returns {Object} ObservationChart instance
+ */
+export function createObservationChart(api, toastManager) {
+    if (!api || !toastManager) {
+        throw new Error('API and toast manager are required');
+    }
+
+    // Private state
+    let source = null;
+    let series = null;
+    let selectedColumns = [];
+    let requestController = null;
+    const parsedCache = new Map();
+    const fileLoader = createObservationFileLoader(api);
+
+    // jQuery elements
+    const $toggleBtn = UI_ELEMENTS.chart.$toggle;
+    const $container = UI_ELEMENTS.chart.$container;
+    const $title = UI_ELEMENTS.chart.$title;
+    const $resetBtn = UI_ELEMENTS.chart.$reset;
+    const $exportBtn = UI_ELEMENTS.chart.$export;
+    const $closeBtn = UI_ELEMENTS.chart.$close;
+    const $period = UI_ELEMENTS.chart.$period;
+    const $columns = UI_ELEMENTS.chart.$columns;
+    const $status = UI_ELEMENTS.chart.$status;
+
+    const chart = createLineChart(UI_ELEMENTS.chart.$canvas[0], {
+        emptyMessage: 'Select one or more variables to plot'
+    });
+
+    /**
+     * Checks if the chart card is visible.
+     * @returns {boolean} True if visible
+     */
+    function isOpen() {
+        return !$container.hasClass('d-none');
+    }
+
+    /**
+     * Shows a status message above the chart, or hides it when empty.
+     * @param {string} [message] - Message to display
+     */
+    function setStatus(message) {
+        $status.text(message || '').toggleClass('d-none', !message);
+    }
+
+    /**
+     * Fills the period select with the whole year and each available month.
+     */
+    function renderPeriods() {
+        $period.empty().append(`<option value="all">All of ${source.year}</option>`);
+        source.months.forEach((file) => {
+            $period.append(`<option value="${file.month}">${getMonthName(file.month)} ${source.year}</option>`);
+        });
+    }
+
+    /**
+     * Renders a checkbox for each numeric variable.
+     */
+    function renderColumns() {
+        $columns.empty();
+
+        if (!series.columns.length) {
+            $columns.append($('<span>').addClass('text-muted').text('No numeric variables in this file'));
+            return;
+        }
+
+        // Keep previous choices that still exist, otherwise default to the first variables
+        const names = series.columns.map(c => c.name);
+        selectedColumns = selectedColumns.filter(name => names.includes(name));
+        if (!selectedColumns.length) {
+            selectedColumns = names.slice(0, DEFAULT_COLUMN_COUNT);
+        }
+
+        series.columns.forEach((column, index) => {
+            const id = `observation-chart-column-${index}`;
+            const $check = $('<div>').addClass('form-check form-check-inline me-0');
+            $('<input>')
+                .addClass('form-check-input chart-column')
+                .attr({ type: 'checkbox', id, value: column.name })
+                .prop('checked', selectedColumns.includes(column.name))
+                .appendTo($check);
+            $('<label>')
+                .addClass('form-check-label')
+                .attr('for', id)
+                .text(column.name)
+                .appendTo($check);
+            $columns.append($check);
+        });
+    }
+
+    /**
+     * Plots the selected variables.
+     */
+    function plotSelected() {
+        if (!series) {
+            chart.setSeries([]);
+            return;
+        }
+
+        chart.setSeries(series.columns
+            .filter(column => selectedColumns.includes(column.name))
+            .map(column => ({ name: column.name, x: series.times, y: column.values })));
+    }
+
+    /**
+     * Loads the selected period and rebuilds the chart.
+     */
+    async function loadChart() {
+        if (!source || !isOpen()) return;
+
+        const period = $period.val() || 'all';
+        const cacheKey = `${source.station.id}_${source.year}_${period}`;
+
+        if (requestController) {
+            requestController.abort();
+        }
+        requestController = api.createAbortController();
+        const { signal } = requestController;
+
+        $title.text(`${source.station.name} – ${$period.find('option:selected').text()}`);
+        series = null;
+        $columns.empty();
+        plotSelected();
+
+        try {
+            if (!parsedCache.has(cacheKey)) {
+                setStatus('Loading observation data…');
+                parsedCache.set(cacheKey, await fileLoader.loadPeriod(source.station, source.year, period, {
+                    files: source.files,
+                    signal
+                }));
+            }
+
+            if (signal.aborted) return;
+
+            series = toTimeSeries(parsedCache.get(cacheKey));
+            setStatus(series.times.length ? '' : 'No timestamped observations found in this file');
+            renderColumns();
+            plotSelected();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            setStatus('Error loading observation data');
+            const userMessage = error.cause === 429 ? error.message : 'Failed to load chart data';
+            toastManager.handleError(error, 'loadChart', userMessage);
+        }
+    }
+
+    /**
+     * Shows the chart card and loads the data.
+     */
+    function openChart() {
+        if (!source) return;
+        $container.removeClass('d-none');
+        $toggleBtn.attr('aria-expanded', 'true');
+        chart.redraw();
+        loadChart();
+        $container[0].scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Hides the chart card and cancels pending requests.
+     */
+    function closeChart() {
+        if (requestController) {
+            requestController.abort();
+            requestController = null;
+        }
+        $container.addClass('d-none');
+        $toggleBtn.attr('aria-expanded', 'false');
+        setStatus('');
+    }
+
+    /**
+     * Exports the current chart view as a PNG file.
+     */
+    async function handleExportClick() {
+        if (!source) return;
+        try {
+            const blob = await chart.toPngBlob();
+            const period = $period.val() === 'all' ? 'all' : String($period.val()).padStart(2, '0');
+            saveBlob(blob, `${source.station.id}_${source.year}_${period}_chart.png`);
+        } catch (error) {
+            toastManager.handleError(error, 'exportChart', 'Failed to export chart image');
+        }
+    }
+
+    /**
+     * Sets up event handlers for the chart.
+     */
+    function setupEventHandlers() {
+        $toggleBtn.on('click', () => {
+            if (isOpen()) {
+                closeChart();
+            } else {
+                openChart();
+            }
+        });
+        $closeBtn.on('click', closeChart);
+        $resetBtn.on('click', () => chart.resetZoom());
+        $exportBtn.on('click', handleExportClick);
+        $period.on('change', loadChart);
+        $columns.on('change', '.chart-column', () => {
+            selectedColumns = $columns.find('.chart-column:checked').map((i, el) => el.value).get();
+            plotSelected();
+        });
+    }
+
+    // Initialize event handlers
+    setupEventHandlers();
+
+    // Public API
+    const observationChart = {
+        /**
+         * Sets the station and year to chart, rebuilding the chart if it is open.
+         * @param {Object} station - WeatherStation instance
+         * @param {number|string} year - Selected year
+         * @param {Object[]} files - File metadata (with tokens) returned by fetchObservationFiles
+         */
+        setSource(station, year, files) {
+            source = {
+                station,
+                year,
+                files,
+                months: fileLoader.describeFiles(files).months
+            };
+            parsedCache.clear();
+
+            $toggleBtn.prop('disabled', !source.months.length);
+            renderPeriods();
+
+            if (!source.months.length) {
+                closeChart();
+                return;
+            }
+            loadChart();
+        },
+
+        /**
+         * Clears the chart when the station or year is deselected.
+         */
+        clear() {
+            closeChart();
+            source = null;
+            series = null;
+            parsedCache.clear();
+            $toggleBtn.prop('disabled', true);
+            $period.empty();
+            $columns.empty();
+            chart.setSeries([]);
+        }
+    };
+
+    return observationChart;
+}
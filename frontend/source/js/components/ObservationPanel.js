@@ -5,23 +5,31 @@
 
 import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
 import { createObservationData } from '../models/ObservationData.js';
+import { getMonthName } from '../utils/formatters.js';
 import { createLoader } from '../core/loaderManager.js';
+import { createCsvPreview } from './CsvPreview.js';
+import { createObservationChart } from './ObservationChart.js';
+import { createDateRangeDownload } from './DateRangeDownload.js';
+import { createAvailabilityHeatmap } from './AvailabilityHeatmap.js';
 /**
  * Creates an ObservationPanel component for managing observation data display and panel behavior.
  * @param {Object} api - WeatherStationAPI instance
  * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} downloadManager - DownloadManager that queues file downloads
  * @returns {Object} ObservationPanel instance
  */
-export function createObservationPanel(api, toastManager) {
-    if (!api || !toastManager) {
-        throw new Error('API and toast manager are required');
+export function createObservationPanel(api, toastManager, downloadManager) {
+    if (!api || !toastManager || !downloadManager) {
+        throw new Error('API, toast manager and download manager are required');
     }
 
     // Private state
     let currentStation = null;
     let requestController = null;
+    let previewController = null;
     let tokenStore = new Map();
     let allMonthsToken = null;
+    let currentColocated = [];
 
     // jQuery elements
     const $yearSelect = UI_ELEMENTS.sensor.$yearSelect;
@@ -34,6 +42,7 @@ export function createObservationPanel(api, toastManager) {
     const $panel = UI_ELEMENTS.map.$panel;
     const $expandBtn = UI_ELEMENTS.buttons.$expand;
     const $closeBtn = UI_ELEMENTS.buttons.$close;
+    const $stationActions = UI_ELEMENTS.buttons.$stationActions;
     const $detailName = UI_ELEMENTS.details.$name;
     const $detailDescription = UI_ELEMENTS.details.$description;
     const $detailElevation = UI_ELEMENTS.details.$elevation;
@@ -48,9 +57,26 @@ export function createObservationPanel(api, toastManager) {
         $dataList
     );
 
+    // In-browser preview of monthly files
+    const csvPreview = createCsvPreview();
+
+    // Time-series chart of the selected year
+    const observationChart = createObservationChart(api, toastManager);
+
+    // Arbitrary date-range downloads stitched from monthly files
+    const dateRangeDownload = createDateRangeDownload(api, toastManager);
+
+    // Year × month grid of the files available for the whole station record
+    const availabilityHeatmap = createAvailabilityHeatmap(api, toastManager, downloadManager);
+
+    // Per-station action buttons (e.g. pin for comparison)
+    const stationActions = [];
+
     // Event callbacks
     let onPanelClosed = null;
     let onStationSwitched = null;
+    let onYearChanged = null;
+    let onDataReceived = null;
 
     /**
      * Updates the sensor detail display with station data.
@@ -77,6 +103,7 @@ export function createObservationPanel(api, toastManager) {
         $downloadYearContainer.addClass('d-none');
         // Add co-located stations info if present
         renderColocatedStationsInfo(colocatedStations);
+        renderStationActions();
         
     }
 
@@ -105,10 +132,12 @@ export function createObservationPanel(api, toastManager) {
     /**
      * Renders observation files in the data list.
      * @param {Object[]} files - Array of file objects from API
+     * @param {string} year - The selected year
      */
-    function renderFiles(files) {
+    function renderFiles(files, year) {
         tokenStore.clear();
         $dataList.empty();
+        observationChart.setSource(currentStation, year, files);
 
         if (!files.length) {
             obsLoader.error('No data for this year');
@@ -144,9 +173,11 @@ export function createObservationPanel(api, toastManager) {
      */
     async function updateObservationData() {
         const year = $yearSelect.val();
+        hidePreview();
         allMonthsToken = null;
         $downloadYearContainer.addClass('d-none');
         if (!year) {
+            observationChart.clear();
             obsLoader.error('Select a year to download observation data');
             return;
         }
@@ -173,12 +204,47 @@ export function createObservationPanel(api, toastManager) {
 
             // Ensure the selection hasn't changed while we were fetching
             if (currentStation && $yearSelect.val() === year) {
-                renderFiles(files);
+                renderFiles(files, year);
             }
         } catch (error) {
             obsLoader.error('Error loading observation data');
         }
     }
+    /**
+     * Creates a button for a station action.
+     * @param {Object} action - Station action definition
+     * @param {Object} station - WeatherStation instance the action applies to
+     * @param {string} [sizeClass='btn-sm'] - Bootstrap button size class
+     * @returns {jQuery} Action button
+     */
+    function createStationActionButton(action, station, sizeClass = 'btn-sm') {
+        const active = action.isActive(station);
+        const label = action.label(station, active);
+
+        return $('<button>')
+            .addClass(`btn ${sizeClass} ${active ? 'btn-primary' : 'btn-outline-primary'} station-panel-action`)
+            .attr({
+                type: 'button',
+                'aria-pressed': String(active),
+                'aria-label': label,
+                'title': label
+            })
+            .append($('<i>').addClass(`bi ${active ? action.activeIcon : action.icon}`).attr('aria-hidden', 'true'))
+            .on('click', () => action.onClick(station));
+    }
+
+    /**
+     * Renders the action buttons for the current station in the panel header.
+     */
+    function renderStationActions() {
+        $stationActions.empty();
+        if (!currentStation) return;
+
+        stationActions.forEach((action) => {
+            $stationActions.append(createStationActionButton(action, currentStation));
+        });
+    }
+
     /**
      * Handles click on a co-located station badge.
      * @param {Object} station - WeatherStation instance to switch to
@@ -195,6 +261,7 @@ export function createObservationPanel(api, toastManager) {
      * @param {Object[]} colocated - Array of co-located WeatherStation instances
      */
     function renderColocatedStationsInfo(colocatedStations) {
+        currentColocated = colocatedStations;
         if(colocatedStations.length == 0){
             removeColocatedStationsInfo();
             return;
@@ -223,6 +290,10 @@ export function createObservationPanel(api, toastManager) {
         
         // Create clickable badge for each co-located station
         colocatedStations.forEach(station => {
+            const $group = $('<span>')
+                .addClass('d-inline-flex align-items-center gap-1')
+                .attr('data-station-id', station.id);
+
             const $badge = $('<button>')
                 .addClass('badge border-0 bg-primary')
                 .attr({
@@ -235,7 +306,19 @@ export function createObservationPanel(api, toastManager) {
                     handleColocatedStationClick(station);
                 });
             
-            $badgeContainer.append($badge);
+            $group.append($badge);
+
+            // Actions that also apply to co-located stations
+            stationActions
+                .filter(action => action.colocated)
+                .forEach((action) => {
+                    $group.append(
+                        createStationActionButton(action, station, 'btn-sm py-0 px-1')
+                            .addClass('colocated-action')
+                    );
+                });
+
+            $badgeContainer.append($group);
         });
     }
     /**
@@ -253,7 +336,8 @@ export function createObservationPanel(api, toastManager) {
 
         try {
             const year = $downloadYearBtn.data('year');
-            await api.downloadFile(currentStation.id, year, 'all', allMonthsToken);
+            await downloadManager.enqueueFile(currentStation, year, 'all', allMonthsToken,
+                `${currentStation.name} – ${year} (all months)`);
         } finally {
             $downloadYearBtn.prop('disabled', false)
                 .html('<i class="bi bi-file-earmark-arrow-down" aria-hidden="true"></i> Download All');
@@ -276,7 +360,81 @@ export function createObservationPanel(api, toastManager) {
         }
 
         if (currentStation) {
-            api.downloadFile(currentStation.id, year, month, token);
+            downloadManager.enqueueFile(currentStation, year, month, token,
+                `${currentStation.name} – ${getMonthName(month)} ${year}`);
+        }
+    }
+
+    /**
+     * Hides the preview and cancels a preview that is still loading.
+     */
+    function hidePreview() {
+        if (previewController) {
+            previewController.abort();
+            previewController = null;
+        }
+        csvPreview.hide();
+    }
+
+    /**
+     * Handles preview button clicks by fetching the file and showing it as a table.
+     * @param {Event} event - The click event
+     */
+    async function handlePreviewClick(event) {
+        const $button = $(event.currentTarget);
+        const year = $button.data('year');
+        const month = $button.data('month');
+        const token = getToken(year, month);
+
+        if (!token) {
+            toastManager.error('Download token not found. Please reselect the year.');
+            return;
+        }
+
+        if (!currentStation) return;
+
+        // Only the latest preview is shown; an earlier one still loading is cancelled
+        hidePreview();
+        const controller = api.createAbortController();
+        previewController = controller;
+
+        const station = currentStation;
+        const $icon = $button.find('i');
+        $button.prop('disabled', true);
+        $icon.removeClass('bi-eye').addClass('spinner-border spinner-border-sm');
+
+        try {
+            const file = await api.fetchStationFile(station, year, month, token, { signal: controller.signal });
+
+            // Ensure the preview wasn't superseded while we were fetching
+            if (previewController !== controller) return;
+            previewController = null;
+
+            if (onDataReceived) {
+                onDataReceived({
+                    stationId: station.id,
+                    stationName: station.name,
+                    year,
+                    month,
+                    fileName: file.fileName,
+                    size: file.blob.size,
+                    source: 'preview'
+                });
+            }
+
+            await csvPreview.show({
+                ...file,
+                title: `${station.name} – ${getMonthName(month)} ${year}`
+            });
+        } catch (error) {
+            // Cancelled or superseded previews fail silently
+            if (error.name === 'AbortError' || previewController !== controller) return;
+            previewController = null;
+            const userMessage = error.cause === 429 ? error.message : 'Failed to preview file';
+            toastManager.handleError(error, 'previewFile', userMessage);
+        } finally {
+            $button.prop('disabled', false);
+            $icon.removeClass('spinner-border spinner-border-sm').addClass('bi-eye');
         }
     }
 
@@ -338,7 +496,12 @@ export function createObservationPanel(api, toastManager) {
         allMonthsToken = null;
         $downloadYearContainer.addClass('d-none');
         currentStation = null;
+        renderStationActions();
         $yearSelect.prop('selectedIndex', 0);
+        hidePreview();
+        observationChart.clear();
+        dateRangeDownload.clear();
+        availabilityHeatmap.clear();
         obsLoader.error('Select a station to view observation data');
 
         // Cancel any pending requests
@@ -358,7 +521,13 @@ export function createObservationPanel(api, toastManager) {
      */
     function setupEventHandlers() {
         // Year selection change
-        $yearSelect.on('change', updateObservationData);
+        $yearSelect.on('change', () => {
+            updateObservationData();
+            if (onYearChanged) {
+                const year = parseInt($yearSelect.val(), 10);
+                onYearChanged(Number.isNaN(year) ? null : year);
+            }
+        });
 
         // Close button
         $closeBtn.on('click', closePanel);
@@ -369,12 +538,18 @@ export function createObservationPanel(api, toastManager) {
         // Download button clicks
         $dataList.on('click', '.download-observation', handleDownloadClick);
 
+        // Preview button clicks
+        $dataList.on('click', '.preview-observation', handlePreviewClick);
+
         // Window resize for mobile expand button
         $(window).on('resize', toggleExpandButton);
     }
 
     // Initialize event handlers
     setupEventHandlers();
+    dateRangeDownload.onDownloaded((download) => {
+        if (onDataReceived) onDataReceived(download);
+    });
 
     // Public API
     const observationPanel = {
@@ -395,6 +570,10 @@ export function createObservationPanel(api, toastManager) {
 
             // Reset year selection
             $yearSelect.prop('selectedIndex', 0);
+            hidePreview();
+            observationChart.clear();
+            dateRangeDownload.setStation(station);
+            availabilityHeatmap.setStation(station);
             // Clear the download all token
             allMonthsToken = null;
             $downloadYearContainer.addClass('d-none');
@@ -405,6 +584,85 @@ export function createObservationPanel(api, toastManager) {
             obsLoader.error('Select a year to view observation data');
         },
 
+        /**
+         * Selects a year of the current station and loads its observation files.
+         * @param {number|null} year - Year to select, or null to clear the selection
+         * @returns {boolean} True if the year is available for the station
+         */
+        selectYear(year) {
+            const value = year === null ? '' : String(year);
+            if (!currentStation || !$yearSelect.find(`option[value="${value}"]`).length) {
+                return false;
+            }
+            if ($yearSelect.val() !== value) {
+                $yearSelect.val(value).trigger('change');
+            }
+            return true;
+        },
+
+        /**
+         * Replaces the stored download tokens when the API issued fresh ones for the shown year,
+         * so later downloads don't repeat the rejected request.
+         * @param {Object} station - WeatherStation instance
+         * @param {number|string} year - The year
+         * @param {Object[]} files - File metadata with the fresh tokens
+         */
+        updateTokens(station, year, files) {
+            if (!currentStation || currentStation.id !== station.id || $yearSelect.val() !== String(year)) {
+                return;
+            }
+            files.forEach((fileData) => {
+                if (fileData.isYearlyCombined) {
+                    allMonthsToken = fileData.token;
+                } else {
+                    storeToken(fileData.year, fileData.month, fileData.token);
+                }
+            });
+        },
+
+        /**
+         * Sets callback for when the user selects a year.
+         * @param {Function} callback - Callback function (year) => void; year is null when cleared
+         */
+        onYearChanged(callback) {
+            onYearChanged = callback;
+        },
+
+        /**
+         * Sets callback for when observation data is previewed or a date range is saved.
+         * Files queued with the download manager are reported by the manager instead.
+         * @param {Function} callback - Callback function (download) => void, with the download as logged by DownloadHistory.add
+         */
+        onDataReceived(callback) {
+            onDataReceived = callback;
+        },
+
+        /**
+         * Adds an action button for the current station to the panel header.
+         * @param {Object} action - Action definition
+         * @param {string} action.id - Unique action ID
+         * @param {string} action.icon - Bootstrap icon class when inactive
+         * @param {string} action.activeIcon - Bootstrap icon class when active
+         * @param {Function} action.label - (station, active) => accessible label
+         * @param {Function} action.isActive - (station) => boolean
+         * @param {Function} action.onClick - (station) => void
+         * @param {boolean} [action.colocated] - Also show the action next to co-located station badges
+         */
+        addStationAction(action) {
+            stationActions.push(action);
+            renderStationActions();
+        },
+
+        /**
+         * Refreshes the state of the station action buttons.
+         */
+        refreshStationActions() {
+            renderStationActions();
+            if (currentStation) {
+                renderColocatedStationsInfo(currentColocated);
+            }
+        },
+
         /**
          * Closes the observation panel.
          */
@@ -0,0 +1,48 @@
+/**
+ * OfflineBanner component factory
+ * @module components/OfflineBanner
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+
+/**
+ * Creates an OfflineBanner component that shows a notice while the browser has no connection.
+ * @param {Object} toastManager - Toast manager for notifications
+ * @returns {Object} OfflineBanner instance
+ */
+export function createOfflineBanner(toastManager) {
+    if (!toastManager) {
+        throw new Error('Toast manager is required');
+    }
+
+    // jQuery elements
+    const $banner = UI_ELEMENTS.offline.$banner;
+
+    /**
+     * Shows or hides the banner to match the connection state.
+     */
+    function update() {
+        $banner.toggleClass('d-none', navigator.onLine);
+    }
+
+    // Initialize event handlers
+    $(window).on('offline', update);
+    $(window).on('online', () => {
+        update();
+        toastManager.success('You are back online.');
+    });
+    update();
+
+    // Public API
+    const offlineBanner = {
+        /**
+         * Checks if the browser is offline.
+         * @returns {boolean} True if offline
+         */
+        isOffline() {
+            return !navigator.onLine;
+        }
+    };
+
+    return offlineBanner;
+}
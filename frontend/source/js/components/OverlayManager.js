@@ -0,0 +1,303 @@
+/**
+ * OverlayManager component factory
+ * @module components/OverlayManager
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { OVERLAY_COLORS } from '../config/MapStyles.js';
+import { detectOverlayFormat, readOverlayFeatures } from '../utils/overlayFiles.js';
+import { formatBytes } from '../utils/formatters.js';
+
+/**
+ * Creates an OverlayManager component that imports GeoJSON, KML and GPX files and lists the overlay layers.
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Object} overlayStore - OverlayStore keeping the overlays
+ * @returns {Object} OverlayManager instance
+ */
+export function createOverlayManager(toastManager, overlayStore) {
+    if (!toastManager || !overlayStore) {
+        throw new Error('Toast manager and overlay store are required');
+    }
+
+    // Private state
+    let overlays = [];
+
+    // jQuery elements
+    const $dropZone = UI_ELEMENTS.overlays.$dropZone;
+    const $fileInput = UI_ELEMENTS.overlays.$fileInput;
+    const $list = UI_ELEMENTS.overlays.$list;
+    const $mapContainer = UI_ELEMENTS.map.$container;
+
+    // Event callbacks
+    let onOverlaysChanged = null;
+    let onZoomRequested = null;
+
+    /**
+     * Notifies the overlays callback.
+     */
+    function notifyChange() {
+        if (onOverlaysChanged) onOverlaysChanged(overlays);
+    }
+
+    /**
+     * Imports one overlay file.
+     * @param {File} file - GeoJSON, KML or GPX file
+     * @returns {Promise<void>}
+     */
+    async function importFile(file) {
+        if (file.size > CONFIG.MAX_OVERLAY_FILE_BYTES) {
+            toastManager.error(`${file.name} is larger than ${formatBytes(CONFIG.MAX_OVERLAY_FILE_BYTES)}.`);
+            return;
+        }
+
+        let overlay;
+        try {
+            const text = await file.text();
+            const format = detectOverlayFormat(file.name, text);
+            const featureCount = readOverlayFeatures(format, text).length;
+            overlay = {
+                name: file.name.replace(/\.[^.]+$/, '') || file.name,
+                format,
+                text,
+                featureCount,
+                color: OVERLAY_COLORS[overlays.length % OVERLAY_COLORS.length],
+                visible: true,
+                opacity: 1
+            };
+        } catch (error) {
+            toastManager.error(`${file.name}: ${error.message}`);
+            return;
+        }
+
+        try {
+            await overlayStore.add(overlay);
+            toastManager.success(`Added ${overlay.name} with ${overlay.featureCount} features.`);
+        } catch (error) {
+            toastManager.handleError(error, 'importOverlay', `${file.name} could not be saved.`);
+        }
+    }
+
+    /**
+     * Imports overlay files one after another.
+     * @param {FileList|File[]} files - Chosen or dropped files
+     * @returns {Promise<void>}
+     */
+    async function importFiles(files) {
+        for (const file of files) {
+            await importFile(file);
+        }
+    }
+
+    /**
+     * Saves a change to an overlay.
+     * @param {number} id - Overlay ID
+     * @param {Object} changes - Properties to change
+     * @returns {Promise<void>}
+     */
+    async function updateOverlay(id, changes) {
+        try {
+            await overlayStore.update(id, changes);
+        } catch (error) {
+            toastManager.handleError(error, 'updateOverlay', 'The layer could not be updated.');
+        }
+    }
+
+    /**
+     * Moves an overlay up or down in the drawing order.
+     * @param {number} id - Overlay ID
+     * @param {number} step - -1 to draw it higher, 1 to draw it lower
+     * @returns {Promise<void>}
+     */
+    async function moveOverlay(id, step) {
+        const ids = overlays.map(overlay => overlay.id);
+        const index = ids.indexOf(id);
+        const target = index + step;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        try {
+            await overlayStore.reorder(ids);
+        } catch (error) {
+            toastManager.handleError(error, 'reorderOverlays', 'The layers could not be reordered.');
+        }
+    }
+
+    /**
+     * Deletes an overlay.
+     * @param {number} id - Overlay ID
+     * @returns {Promise<void>}
+     */
+    async function removeOverlay(id) {
+        try {
+            await overlayStore.remove(id);
+        } catch (error) {
+            toastManager.handleError(error, 'removeOverlay', 'The layer could not be removed.');
+        }
+    }
+
+    /**
+     * Creates a small icon button for an overlay.
+     * @param {string} icon - Bootstrap icon class
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {jQuery} Button
+     */
+    function createIconButton(icon, label, onClick) {
+        return $('<button>')
+            .addClass('btn btn-sm btn-link p-0 text-body')
+            .attr({ type: 'button', title: label, 'aria-label': label })
+            .append($('<i>').addClass(`bi ${icon}`).attr('aria-hidden', 'true'))
+            .on('click', onClick);
+    }
+
+    /**
+     * Renders the overlay list, topmost layer first.
+     */
+    function render() {
+        $list.empty();
+        if (!overlays.length) {
+            $('<li>')
+                .addClass('list-group-item small text-muted')
+                .text('No layers imported')
+                .appendTo($list);
+            return;
+        }
+
+        overlays.forEach((overlay, index) => {
+            const visibleId = `overlay-visible-${overlay.id}`;
+            const opacityId = `overlay-opacity-${overlay.id}`;
+            const $item = $('<li>').addClass('list-group-item small');
+
+            $('<div>')
+                .addClass('d-flex align-items-center gap-2')
+                .append($('<input>')
+                    .addClass('form-check-input mt-0')
+                    .attr({ type: 'checkbox', id: visibleId })
+                    .prop('checked', overlay.visible)
+                    .on('change', event => updateOverlay(overlay.id, { visible: event.target.checked })))
+                .append($('<span>').addClass('overlay-swatch').css('background-color', overlay.color))
+                .append($('<label>')
+                    .addClass('text-truncate fw-semibold')
+                    .attr('for', visibleId)
+                    .text(overlay.name))
+                .append($('<span>')
+                    .addClass('text-muted text-nowrap')
+                    .text(`${overlay.format.toUpperCase()} · ${overlay.featureCount}`))
+                .append($('<span>')
+                    .addClass('ms-auto d-flex gap-2')
+                    .append(createIconButton('bi-zoom-in', `Zoom to ${overlay.name}`, () => {
+                        if (onZoomRequested) onZoomRequested(overlay.id);
+                    }))
+                    .append(createIconButton('bi-arrow-up', `Move ${overlay.name} up`, () => moveOverlay(overlay.id, -1))
+                        .prop('disabled', index === 0))
+                    .append(createIconButton('bi-arrow-down', `Move ${overlay.name} down`, () => moveOverlay(overlay.id, 1))
+                        .prop('disabled', index === overlays.length - 1))
+                    .append(createIconButton('bi-trash', `Remove ${overlay.name}`, () => removeOverlay(overlay.id))))
+                .appendTo($item);
+
+            $('<div>')
+                .addClass('d-flex align-items-center gap-2 mt-1')
+                .append($('<label>').addClass('text-muted').attr('for', opacityId).text('Opacity'))
+                .append($('<input>')
+                    .addClass('form-range')
+                    .attr({ type: 'range', id: opacityId, min: 0, max: 100, step: 5 })
+                    .val(Math.round(overlay.opacity * 100))
+                    // Preview while dragging, save on release
+                    .on('input', (event) => {
+                        overlay.opacity = Number(event.target.value) / 100;
+                        notifyChange();
+                    })
+                    .on('change', event => updateOverlay(overlay.id, { opacity: Number(event.target.value) / 100 })))
+                .appendTo($item);
+
+            $list.append($item);
+        });
+    }
+
+    /**
+     * Reloads the overlays from the store.
+     * @returns {Promise<void>}
+     */
+    async function load() {
+        try {
+            overlays = await overlayStore.getAll();
+        } catch (error) {
+            console.warn('Failed to load overlays:', error);
+            overlays = [];
+        }
+        render();
+        notifyChange();
+    }
+
+    /**
+     * Checks if a drag carries files.
+     * @param {DragEvent} event - The drag event
+     * @returns {boolean} True when files are dragged
+     */
+    function isFileDrag(event) {
+        return Array.from(event.originalEvent.dataTransfer?.types || []).includes('Files');
+    }
+
+    /**
+     * Lets an element accept dropped overlay files.
+     * @param {jQuery} $target - Drop target
+     */
+    function setupDropTarget($target) {
+        $target.on('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.originalEvent.dataTransfer.dropEffect = 'copy';
+            $target.addClass('overlay-drop-active');
+        });
+        $target.on('dragleave', (event) => {
+            if (!$target[0].contains(event.relatedTarget)) {
+                $target.removeClass('overlay-drop-active');
+            }
+        });
+        $target.on('drop', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            $target.removeClass('overlay-drop-active');
+            importFiles(event.originalEvent.dataTransfer.files);
+        });
+    }
+
+    // Initialize
+    overlayStore.onChange(load);
+    $fileInput.on('change', () => {
+        const files = Array.from($fileInput[0].files);
+        $fileInput.val('');
+        importFiles(files);
+    });
+    setupDropTarget($dropZone);
+    setupDropTarget($mapContainer);
+
+    // Public API
+    const overlayManager = {
+        /**
+         * Loads the saved overlays and shows them.
+         * @returns {Promise<void>}
+         */
+        async load() {
+            await load();
+        },
+
+        /**
+         * Sets callback for when overlays are added, removed or changed.
+         * @param {Function} callback - Callback function (overlays) => void; overlays are topmost first
+         */
+        onOverlaysChanged(callback) {
+            onOverlaysChanged = callback;
+        },
+
+        /**
+         * Sets callback for when the user asks to zoom to an overlay.
+         * @param {Function} callback - Callback function (overlayId) => void
+         */
+        onZoomRequested(callback) {
+            onZoomRequested = callback;
+        }
+    };
+
+    return overlayManager;
+}
@@ -4,6 +4,58 @@
  */
 
 import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { searchStations } from '../utils/fuzzySearch.js';
+import { parseStationQuery } from '../utils/stationQuery.js';
+import { getDistanceKm } from '../utils/geo.js';
+
+const SORT_STORAGE_KEY = 'wa-station-sort';
+
+// Order of station statuses when sorting by status
+const STATUS_ORDER = ['active', 'inactive', 'decommissioned'];
+
+/**
+ * Gets the value a station is sorted by.
+ * @param {Object} station - WeatherStation instance
+ * @param {string} key - Sort key
+ * @param {number[]|null} origin - [longitude, latitude] for distance sorting
+ * @returns {number|string|null} Sort value, or null when unknown
+ */
+function getSortValue(station, key, origin) {
+    switch (key) {
+        case 'id':
+            return station.id;
+        case 'elevation':
+            return Number.isFinite(station.elevation) ? station.elevation : null;
+        case 'dataStart':
+            return Number.isFinite(station.dataStart) ? station.dataStart : null;
+        case 'dataEnd':
+            return Number.isFinite(station.dataEnd) ? station.dataEnd : null;
+        case 'status': {
+            const index = STATUS_ORDER.indexOf((station.status || '').toLowerCase());
+            return index === -1 ? null : index;
+        }
+        case 'distance':
+            return origin ? getDistanceKm(origin, station.getCoordinates()) : null;
+        default:
+            return station.name;
+    }
+}
+
+/**
+ * Loads the saved sort order.
+ * @returns {{key: string, descending: boolean}} Sort order
+ */
+function loadSort() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY) || 'null');
+        if (saved && typeof saved.key === 'string') {
+            return { key: saved.key, descending: Boolean(saved.descending) };
+        }
+    } catch (error) {
+        console.warn('Failed to load station list sort order:', error);
+    }
+    return { key: 'name', descending: false };
+}
 
 /**
  * Creates a SensorList component for managing sensor list UI and interactions.
@@ -18,14 +70,29 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
     }
 
     let stations = [];
+    let stationsById = new Map();
+    // IDs of the stations the list is limited to, or null for all stations
+    let scopeIds = null;
+    // Attribute filter predicate (station) => boolean, or null for none
+    let stationFilter = null;
+    // Sort order, and the points distances are measured from
+    let sort = loadSort();
+    let mapCenter = null;
+    let highlightedId = null;
     // jQuery elements
     const $container = $(containerSelector);
     const $searchInput = $(searchSelector);
+    const $searchError = UI_ELEMENTS.sensor.$searchError;
+    const $sortSelect = UI_ELEMENTS.sensor.$sort;
+    const $sortDirectionBtn = UI_ELEMENTS.sensor.$sortDirection;
     const $listOverlay = $(listOverlaySelector);
     const $listButton = $(UI_ELEMENTS.buttons.$list);
     let $currentActiveItem = null;
+    // Per-station action buttons (e.g. pin for comparison)
+    const itemActions = [];
     // Event callbacks
     let onItemClicked = null;
+    let onSearchChanged = null;
 
     /**
      * Checks if a keyboard interaction key is valid for activation.
@@ -36,6 +103,49 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
         return key === 'Enter' || key === ' ';
     }
 
+    /**
+     * Applies an action's current state to its button.
+     * @param {jQuery} $button - Action button
+     * @param {Object} action - Item action definition
+     * @param {Object} station - WeatherStation instance
+     */
+    function updateActionButton($button, action, station) {
+        const active = action.isActive(station);
+        const label = action.label(station, active);
+        $button
+            .toggleClass('text-primary', active)
+            .toggleClass('text-secondary', !active)
+            .attr({
+                'aria-pressed': String(active),
+                'aria-label': label,
+                'title': label
+            });
+        $button.find('i').attr('class', `bi ${active ? action.activeIcon : action.icon}`);
+    }
+
+    /**
+     * Creates the action buttons for a station list item.
+     * @param {Object} station - WeatherStation instance
+     * @returns {jQuery} Action button container
+     */
+    function createItemActions(station) {
+        const $actions = $('<div>').addClass('station-actions d-flex align-items-center gap-1 ms-auto');
+
+        itemActions.forEach((action) => {
+            const $button = $('<button>')
+                .addClass('btn btn-link btn-sm p-0 station-action')
+                .attr({
+                    type: 'button',
+                    'data-action': action.id
+                })
+                .append($('<i>').attr('aria-hidden', 'true'));
+            updateActionButton($button, action, station);
+            $actions.append($button);
+        });
+
+        return $actions;
+    }
+
     /**
      * Creates a sensor list item element.
      * @param {Object} station - WeatherStation instance
@@ -96,23 +206,51 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
                 $listItem.append($statusPill);
             }
         }
+
+        if (itemActions.length) {
+            $listItem.append(createItemActions(station));
+        }
         return $listItem;
     }
 
     /**
-     * Handles search input with filtering.
+     * Shows or clears the query syntax error below the search input.
+     * @param {string} [message] - Error message
+     */
+    function setSearchError(message) {
+        $searchInput.toggleClass('is-invalid', Boolean(message));
+        $searchError.text(message || '').toggleClass('d-none', !message);
+    }
+
+    /**
+     * Handles search input. Field conditions such as "elev:>800" filter on station attributes and
+     * the remaining free text is matched with the fuzzy search on station ID, name and description.
+     * An invalid query leaves the list as it was.
      */
     const handleSearch = () => {
-        const rawQuery = $searchInput.val();
-        const query = rawQuery
-            .toLowerCase()
-            .substring(0, CONFIG.MAX_SEARCH_LENGTH);
-        
+        const query = $searchInput.val().substring(0, CONFIG.MAX_SEARCH_LENGTH);
+        let parsed;
+        try {
+            parsed = parseStationQuery(query);
+        } catch (error) {
+            setSearchError(error.message);
+            return;
+        }
+        setSearchError('');
+
+        const matchingIds = parsed.text.trim()
+            ? new Set(searchStations(stations, parsed.text).map(result => result.station.id))
+            : null;
+
         $container.find('li').each(function () {
             const $item = $(this);
-            // Get only the station name (first span), not the status badge
-            const stationName = $item.find('span').first().text().toLowerCase();
-            if (stationName.includes(query)) {
+            const stationId = parseInt($item.data('id'), 10);
+            const station = stationsById.get(stationId);
+            const inScope = !scopeIds || scopeIds.has(stationId);
+            const matchesFilter = !stationFilter || (station && stationFilter(station));
+            const matchesQuery = !parsed.predicate || (station && parsed.predicate(station));
+            const matchesSearch = !matchingIds || matchingIds.has(stationId);
+            if (inScope && matchesFilter && matchesQuery && matchesSearch) {
                 $item.removeClass('d-none');
             } else {
                 $item.addClass('d-none');
@@ -139,6 +277,100 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
         }
     }
 
+    /**
+     * Handles clicks on a list item's action buttons without selecting the station.
+     * @param {Event} event - The click event
+     */
+    function handleActionClick(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const $button = $(event.currentTarget);
+        const stationId = parseInt($button.closest('li').data('id'), 10);
+        const station = stations.find(s => s.id === stationId);
+        const action = itemActions.find(a => a.id === $button.data('action'));
+
+        if (station && action) {
+            action.onClick(station);
+        }
+    }
+
+    /**
+     * Gets the point distances are sorted from: the selected station, otherwise the map centre.
+     * @returns {number[]|null} [longitude, latitude], or null when unknown
+     */
+    function getDistanceOrigin() {
+        const selected = highlightedId !== null ? stationsById.get(highlightedId) : null;
+        return selected ? selected.getCoordinates() : mapCenter;
+    }
+
+    /**
+     * Sorts stations by the current sort order. Stations without a value come last; ties are sorted by name.
+     * @param {Object[]} list - WeatherStation instances
+     * @returns {Object[]} Sorted copy
+     */
+    function sortStations(list) {
+        const origin = getDistanceOrigin();
+        const direction = sort.descending ? -1 : 1;
+        const values = new Map(list.map(station => [station.id, getSortValue(station, sort.key, origin)]));
+
+        return [...list].sort((a, b) => {
+            const valueA = values.get(a.id);
+            const valueB = values.get(b.id);
+            if (valueA === null || valueB === null) {
+                if (valueA !== valueB) return valueA === null ? 1 : -1;
+            } else if (valueA !== valueB) {
+                const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+                if (order) return order * direction;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Reorders the existing list items, keeping the highlight, filters and keyboard focus.
+     */
+    function applySort() {
+        const items = new Map();
+        $container.children('li').each(function () {
+            items.set(parseInt($(this).data('id'), 10), this);
+        });
+        const focused = $container[0].contains(document.activeElement) ? document.activeElement : null;
+
+        sortStations(stations).forEach((station) => {
+            const item = items.get(station.id);
+            if (item) $container[0].appendChild(item);
+        });
+
+        if (focused) focused.focus({ preventScroll: true });
+    }
+
+    /**
+     * Shows the sort order in the controls.
+     */
+    function renderSortControls() {
+        $sortSelect.val(sort.key);
+        const label = sort.descending ? 'Sort descending' : 'Sort ascending';
+        $sortDirectionBtn
+            .attr({ 'aria-label': `${label}. Click to reverse.`, title: label })
+            .find('i').attr('class', `bi ${sort.descending ? 'bi-sort-down' : 'bi-sort-up'}`);
+    }
+
+    /**
+     * Applies and remembers a new sort order.
+     * @param {Object} changes - Sort properties to change {key, descending}
+     */
+    function setSort(changes) {
+        sort = { ...sort, ...changes };
+        try {
+            localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(sort));
+        } catch (error) {
+            console.warn('Failed to save station list sort order:', error);
+        }
+        renderSortControls();
+        applySort();
+    }
+
     /**
      * Updates the visual selection state of a list item.
      * @param {number|null} stationId - The station ID to highlight, or null to clear
@@ -178,15 +410,34 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
      */
     function setupEventHandlers() {
         // Search input
-        $searchInput.on('input', handleSearch);
+        $searchInput.on('input', () => {
+            handleSearch();
+            if (onSearchChanged) onSearchChanged($searchInput.val());
+        });
+
+        // Item action buttons (handled before the list item itself)
+        $container.on('click', '.station-action', handleActionClick);
+        $container.on('keydown', '.station-action', (event) => {
+            if (isValidInteractionKey(event.key)) {
+                event.stopPropagation();
+            }
+        });
 
         // List item interactions
         $container.on('click keydown', 'li', handleItemInteraction);
 
+        // Sort controls
+        $sortSelect.on('change', () => setSort({ key: $sortSelect.val() }));
+        $sortDirectionBtn.on('click', () => setSort({ descending: !sort.descending }));
+
     }
 
     // Initialize event handlers
     setupEventHandlers();
+    if (!$sortSelect.find(`option[value="${sort.key}"]`).length) {
+        sort = { key: 'name', descending: false };
+    }
+    renderSortControls();
 
     // Public API
     const sensorList = {
@@ -200,11 +451,9 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
             }
             $currentActiveItem = null;
             stations = weatherStations;
-            
-            // Sort stations by name for better UX
-            const sortedStations = [...stations].sort((a, b) => 
-                a.name.localeCompare(b.name)
-            );
+            stationsById = new Map(stations.map(station => [station.id, station]));
+
+            const sortedStations = sortStations(stations);
 
             $container.empty();
 
@@ -216,6 +465,7 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
                     console.warn('Failed to create list item for station:', station, error);
                 }
             });
+            handleSearch();
         },
 
         /**
@@ -232,10 +482,57 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
             } else if (station && typeof station.id !== 'undefined') {
                 stationId = station.id;
             }
-            
+
+            highlightedId = stationId;
+            if (sort.key === 'distance') {
+                applySort();
+            }
             updateListItemHighlight(stationId);
         },
 
+        /**
+         * Sets the map centre used for distance sorting when no station is selected.
+         * @param {number[]} center - [longitude, latitude]
+         */
+        setMapCenter(center) {
+            mapCenter = center;
+            if (sort.key === 'distance' && highlightedId === null) {
+                applySort();
+            }
+        },
+
+        /**
+         * Adds an action button to every station list item.
+         * @param {Object} action - Action definition
+         * @param {string} action.id - Unique action ID
+         * @param {string} action.icon - Bootstrap icon class when inactive
+         * @param {string} action.activeIcon - Bootstrap icon class when active
+         * @param {Function} action.label - (station, active) => accessible label
+         * @param {Function} action.isActive - (station) => boolean
+         * @param {Function} action.onClick - (station) => void
+         */
+        addItemAction(action) {
+            itemActions.push(action);
+            if (stations.length) {
+                this.render(stations);
+            }
+        },
+
+        /**
+         * Refreshes the state of every item action button.
+         */
+        refreshItemActions() {
+            $container.find('.station-action').each(function () {
+                const $button = $(this);
+                const stationId = parseInt($button.closest('li').data('id'), 10);
+                const station = stations.find(s => s.id === stationId);
+                const action = itemActions.find(a => a.id === $button.data('action'));
+                if (station && action) {
+                    updateActionButton($button, action, station);
+                }
+            });
+        },
+
         /**
          * Sets callback for when a list item is clicked.
          * @param {Function} callback - Callback function (station) => void
@@ -245,11 +542,47 @@ export function createSensorList(containerSelector, searchSelector, listOverlayS
         },
 
         /**
-         * Clears the search filter and shows all stations.
+         * Clears the search filter and shows all stations in scope.
          */
         clearFilter() {
             $searchInput.val('');
-            $container.find('li').removeClass('d-none');
+            handleSearch();
+            if (onSearchChanged) onSearchChanged('');
+        },
+
+        /**
+         * Limits the list to a set of stations, such as favourites or a collection.
+         * @param {number[]|null} stationIds - IDs of the stations to show, or null for all stations
+         */
+        setScope(stationIds) {
+            scopeIds = stationIds ? new Set(stationIds) : null;
+            handleSearch();
+        },
+
+        /**
+         * Limits the list to stations matching attribute filters.
+         * @param {Function|null} predicate - (station) => boolean, or null for no filter
+         */
+        setStationFilter(predicate) {
+            stationFilter = predicate;
+            handleSearch();
+        },
+
+        /**
+         * Sets the search text and filters the list.
+         * @param {string} text - Search text
+         */
+        setFilter(text) {
+            $searchInput.val(text.substring(0, CONFIG.MAX_SEARCH_LENGTH));
+            handleSearch();
+        },
+
+        /**
+         * Sets callback for when the user changes the search text.
+         * @param {Function} callback - Callback function (text) => void
+         */
+        onSearchChanged(callback) {
+            onSearchChanged = callback;
         },
 
         /**
@@ -0,0 +1,228 @@
+/**
+ * StationAutocomplete component factory
+ * @module components/StationAutocomplete
+ */
+
+import { CONFIG, UI_ELEMENTS } from '../config/constants.js';
+import { searchStations } from '../utils/fuzzySearch.js';
+import { parseStationQuery } from '../utils/stationQuery.js';
+
+const FIELD_LABELS = {
+    id: 'ID',
+    name: 'Name',
+    description: 'Description'
+};
+
+/**
+ * Creates a StationAutocomplete component that suggests stations below the station search input.
+ * @returns {Object} StationAutocomplete instance
+ */
+export function createStationAutocomplete() {
+    // Private state
+    let stations = [];
+    let results = [];
+    let activeIndex = -1;
+
+    // jQuery elements
+    const $input = UI_ELEMENTS.sensor.$searchInput;
+    const $menu = UI_ELEMENTS.sensor.$suggestions;
+
+    // Event callbacks
+    let onStationChosen = null;
+
+    /**
+     * Appends text to an element, wrapping the matched characters in <mark>.
+     * @param {jQuery} $element - Target element
+     * @param {string} text - Text to display
+     * @param {number[]} indices - Matched character positions
+     */
+    function appendHighlighted($element, text, indices) {
+        const matched = new Set(indices);
+        let run = '';
+        let runMatched = false;
+
+        const flush = () => {
+            if (!run) return;
+            $element.append(runMatched ? $('<mark>').addClass('p-0').text(run) : document.createTextNode(run));
+            run = '';
+        };
+
+        [...text].forEach((char, index) => {
+            const isMatched = matched.has(index);
+            if (isMatched !== runMatched) {
+                flush();
+                runMatched = isMatched;
+            }
+            run += char;
+        });
+        flush();
+    }
+
+    /**
+     * Creates a suggestion element.
+     * @param {Object} result - Search result {station, field, indices}
+     * @param {number} index - Position in the suggestions
+     * @returns {jQuery} Suggestion element
+     */
+    function createSuggestion(result, index) {
+        const { station, field, indices } = result;
+        const $name = $('<div>').addClass('fw-semibold text-truncate');
+        const $meta = $('<div>').addClass('small text-muted text-truncate');
+
+        appendHighlighted($name, station.name, field === 'name' ? indices : []);
+        if (field === 'description') {
+            appendHighlighted($meta, station.description, indices);
+        } else {
+            $meta.append(`${FIELD_LABELS.id} `);
+            appendHighlighted($meta, String(station.id), field === 'id' ? indices : []);
+        }
+
+        return $('<li>')
+            .addClass('dropdown-item station-suggestion')
+            .attr({
+                id: `station-suggestion-${index}`,
+                role: 'option',
+                'aria-selected': 'false',
+                'data-index': index
+            })
+            .append($name, $meta);
+    }
+
+    /**
+     * Marks a suggestion as active.
+     * @param {number} index - Suggestion index, or -1 for none
+     */
+    function setActive(index) {
+        activeIndex = index;
+        $menu.find('.station-suggestion').each(function (i) {
+            $(this).toggleClass('active', i === index).attr('aria-selected', String(i === index));
+        });
+
+        if (index === -1) {
+            $input.removeAttr('aria-activedescendant');
+            return;
+        }
+        $input.attr('aria-activedescendant', `station-suggestion-${index}`);
+        $menu.find('.station-suggestion')[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Hides the suggestions.
+     */
+    function close() {
+        results = [];
+        activeIndex = -1;
+        $menu.removeClass('show').empty();
+        $input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+    }
+
+    /**
+     * Shows suggestions for the free text of the current query, limited by its field conditions.
+     */
+    function update() {
+        let parsed;
+        try {
+            parsed = parseStationQuery($input.val());
+        } catch {
+            close();
+            return;
+        }
+
+        const candidates = parsed.predicate ? stations.filter(parsed.predicate) : stations;
+        results = searchStations(candidates, parsed.text, CONFIG.MAX_SUGGESTIONS);
+        activeIndex = -1;
+        $menu.empty();
+
+        if (!results.length) {
+            close();
+            return;
+        }
+
+        results.forEach((result, index) => $menu.append(createSuggestion(result, index)));
+        $menu.addClass('show');
+        $input.attr('aria-expanded', 'true').removeAttr('aria-activedescendant');
+    }
+
+    /**
+     * Chooses a suggestion.
+     * @param {number} index - Suggestion index
+     */
+    function choose(index) {
+        const result = results[index];
+        close();
+        if (result && onStationChosen) {
+            onStationChosen(result.station);
+        }
+    }
+
+    /**
+     * Handles arrow keys, Enter and Escape in the search input.
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleKeydown(event) {
+        const open = $menu.hasClass('show');
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!open) update();
+                if (results.length) setActive((activeIndex + 1) % results.length);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (results.length) setActive(activeIndex <= 0 ? results.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                if (open && results.length) {
+                    event.preventDefault();
+                    choose(Math.max(activeIndex, 0));
+                }
+                break;
+            case 'Escape':
+                if (open) {
+                    // Keep the global Escape handler from closing the station list
+                    event.stopPropagation();
+                    close();
+                }
+                break;
+        }
+    }
+
+    // Initialize
+    $input.attr({
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-expanded': 'false',
+        'aria-controls': $menu.attr('id')
+    });
+    $input.on('input', update);
+    $input.on('keydown', handleKeydown);
+    $input.on('blur', close);
+    // Keep focus in the input so blur does not close the menu before the click
+    $menu.on('mousedown', '.station-suggestion', event => event.preventDefault());
+    $menu.on('click', '.station-suggestion', (event) => {
+        choose(Number($(event.currentTarget).data('index')));
+    });
+
+    // Public API
+    const stationAutocomplete = {
+        /**
+         * Sets the stations to suggest.
+         * @param {Object[]} weatherStations - Array of WeatherStation instances
+         */
+        setStations(weatherStations) {
+            stations = weatherStations;
+            close();
+        },
+
+        /**
+         * Sets callback for when a suggestion is chosen.
+         * @param {Function} callback - Callback function (station) => void
+         */
+        onStationChosen(callback) {
+            onStationChosen = callback;
+        }
+    };
+
+    return stationAutocomplete;
+}
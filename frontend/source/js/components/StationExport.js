@@ -0,0 +1,83 @@
+/**
+ * StationExport component factory
+ * @module components/StationExport
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { STATION_EXPORT_FORMATS } from '../utils/stationExport.js';
+import { saveBlob } from '../utils/fileSaver.js';
+
+/**
+ * Creates a StationExport component that saves the station catalogue as GeoJSON, KML, GPX or CSV.
+ * @param {Object} toastManager - Toast manager for notifications
+ * @param {Function} getScopeStations - (scope) => WeatherStation[]; scope is 'all', 'filtered', 'area' or 'bulk'
+ * @returns {Object} StationExport instance
+ */
+export function createStationExport(toastManager, getScopeStations) {
+    if (!toastManager || typeof getScopeStations !== 'function') {
+        throw new Error('Toast manager and station scope function are required');
+    }
+
+    // jQuery elements
+    const $modal = UI_ELEMENTS.stationExport.$modal;
+    const $scopes = UI_ELEMENTS.stationExport.$scopes;
+    const $format = UI_ELEMENTS.stationExport.$format;
+    const $downloadBtn = UI_ELEMENTS.stationExport.$download;
+
+    /**
+     * Shows the number of stations in each scope and disables empty scopes.
+     */
+    function renderScopes() {
+        $scopes.find('input[name="station-export-scope"]').each(function () {
+            const count = getScopeStations(this.value).length;
+            $(this).prop('disabled', !count);
+            $scopes.find(`[data-count="${this.value}"]`).text(`(${count})`);
+        });
+
+        if ($scopes.find('input[name="station-export-scope"]:checked').prop('disabled')) {
+            $scopes.find('input[value="all"]').prop('checked', true);
+        }
+    }
+
+    /**
+     * Serializes the stations of the chosen scope in the chosen format and saves the file.
+     */
+    function download() {
+        const scope = $scopes.find('input[name="station-export-scope"]:checked').val() || 'all';
+        const format = STATION_EXPORT_FORMATS[$format.val()] || STATION_EXPORT_FORMATS.geojson;
+        const stations = getScopeStations(scope);
+
+        if (!stations.length) {
+            toastManager.error('There are no stations to export.');
+            return;
+        }
+
+        try {
+            const blob = new Blob([format.serialize(stations)], { type: format.mimeType });
+            const date = new Date().toISOString().slice(0, 10);
+            saveBlob(blob, `weather-stations-${scope}-${date}.${format.extension}`);
+            toastManager.success(`Exported ${stations.length} stations as ${format.label}.`);
+        } catch (error) {
+            toastManager.handleError(error, 'stationExport', 'The station export could not be created.');
+        }
+    }
+
+    // Initialize
+    Object.entries(STATION_EXPORT_FORMATS).forEach(([id, format]) => {
+        $('<option>').val(id).text(format.label).appendTo($format);
+    });
+    $modal.on('show.bs.modal', renderScopes);
+    $downloadBtn.on('click', download);
+
+    // Public API
+    const stationExport = {
+        /**
+         * Opens the export dialog.
+         */
+        open() {
+            bootstrap.Modal.getOrCreateInstance($modal[0]).show();
+        }
+    };
+
+    return stationExport;
+}
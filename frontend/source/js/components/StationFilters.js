@@ -0,0 +1,153 @@
+/**
+ * StationFilters component factory
+ * @module components/StationFilters
+ */
+
+import { UI_ELEMENTS } from '../config/constants.js';
+import { EMPTY_STATION_FILTERS, countActiveFilters, matchesStationFilters } from '../utils/stationFilters.js';
+
+// Pairs of range inputs whose lower bound must not exceed the upper bound
+const RANGE_PAIRS = [
+    ['elevationMin', 'elevationMax'],
+    ['startFrom', 'startTo'],
+    ['endFrom', 'endTo']
+];
+
+/**
+ * Creates a StationFilters component for the advanced filter panel beside the station search.
+ * @returns {Object} StationFilters instance
+ */
+export function createStationFilters() {
+    // jQuery elements
+    const $panel = UI_ELEMENTS.filters.$panel;
+    const $toggleBtn = UI_ELEMENTS.filters.$toggle;
+    const $activeCount = UI_ELEMENTS.filters.$activeCount;
+    const $resultCount = UI_ELEMENTS.filters.$resultCount;
+    const $resetBtn = UI_ELEMENTS.filters.$reset;
+    const inputs = {
+        status: UI_ELEMENTS.filters.$status,
+        elevationMin: UI_ELEMENTS.filters.$elevationMin,
+        elevationMax: UI_ELEMENTS.filters.$elevationMax,
+        startFrom: UI_ELEMENTS.filters.$startFrom,
+        startTo: UI_ELEMENTS.filters.$startTo,
+        endFrom: UI_ELEMENTS.filters.$endFrom,
+        endTo: UI_ELEMENTS.filters.$endTo,
+        hasDataYear: UI_ELEMENTS.filters.$hasDataYear
+    };
+
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Reads a number input.
+     * @param {jQuery} $input - Number input
+     * @returns {number|null} Value, or null when empty or invalid
+     */
+    function readNumber($input) {
+        const value = $input.val().trim();
+        if (value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Reads the filter criteria from the panel.
+     * @returns {Object} Filter criteria
+     */
+    function readFilters() {
+        const filters = { status: inputs.status.val() || '' };
+        Object.keys(inputs)
+            .filter(key => key !== 'status')
+            .forEach((key) => {
+                filters[key] = readNumber(inputs[key]);
+            });
+        return filters;
+    }
+
+    /**
+     * Marks range inputs whose lower bound exceeds the upper bound.
+     * @param {Object} filters - Filter criteria
+     */
+    function validateRanges(filters) {
+        RANGE_PAIRS.forEach(([minKey, maxKey]) => {
+            const invalid = filters[minKey] !== null && filters[maxKey] !== null && filters[minKey] > filters[maxKey];
+            inputs[minKey].toggleClass('is-invalid', invalid);
+            inputs[maxKey].toggleClass('is-invalid', invalid);
+        });
+    }
+
+    /**
+     * Updates the panel after an input changes and notifies listeners.
+     */
+    function handleInput() {
+        const filters = readFilters();
+        const active = countActiveFilters(filters);
+
+        validateRanges(filters);
+        $activeCount.text(active).toggleClass('d-none', !active);
+        $toggleBtn.attr('aria-label', active ? `Station filters (${active} active)` : 'Station filters');
+        $resetBtn.prop('disabled', !active);
+
+        if (onChange) onChange(stationFilters.getPredicate());
+    }
+
+    // Initialize
+    Object.values(inputs).forEach($input => $input.on('input change', handleInput));
+    $resetBtn.on('click', () => stationFilters.reset());
+    $panel.on('shown.bs.collapse hidden.bs.collapse', () => {
+        $toggleBtn.toggleClass('active', $panel.hasClass('show'));
+    });
+
+    // Public API
+    const stationFilters = {
+        /**
+         * Gets the current filter criteria.
+         * @returns {Object} Filter criteria
+         */
+        getFilters() {
+            return readFilters();
+        },
+
+        /**
+         * Gets a predicate for the current criteria.
+         * @returns {Function|null} (station) => boolean, or null when no filter is set
+         */
+        getPredicate() {
+            const filters = readFilters();
+            return countActiveFilters(filters)
+                ? (station) => matchesStationFilters(station, filters)
+                : null;
+        },
+
+        /**
+         * Clears every filter.
+         */
+        reset() {
+            Object.entries(inputs).forEach(([key, $input]) => {
+                $input.val(EMPTY_STATION_FILTERS[key] ?? '');
+            });
+            handleInput();
+        },
+
+        /**
+         * Shows how many stations match the filters.
+         * @param {number} matching - Number of matching stations
+         * @param {number} total - Total number of stations
+         */
+        setCount(matching, total) {
+            $resultCount.text(matching === total
+                ? `All ${total} stations`
+                : `${matching} of ${total} stations match`);
+        },
+
+        /**
+         * Sets callback for when the filters change.
+         * @param {Function} callback - Callback function (predicate) => void; predicate is null when no filter is set
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return stationFilters;
+}
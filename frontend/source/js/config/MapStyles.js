@@ -5,6 +5,13 @@
 
 //import {Style, Icon} from 'ol/style.js';
 
+// SVG outlines for marker shapes in a 16x16 view box
+const MARKER_SHAPES = {
+    square: '<rect x="0.5" y="0.5" width="15" height="15" rx="4" ry="4"',
+    circle: '<circle cx="8" cy="8" r="7.5"',
+    diamond: '<path d="M8 0.5 15.5 8 8 15.5 0.5 8z"'
+};
+
 /**
  * Generates an OpenLayers icon style from an inline SVG.
  * @param {string} bgColor - Background fill color
@@ -12,12 +19,13 @@
  * @param {string} iconColor - Inner icon fill color
  * @param {number} zIndex - Rendering order
  * @param {number} [scale=0.8] - Icon scale factor
+ * @param {string} [shape='square'] - Marker shape: 'square', 'circle' or 'diamond'
  * @returns {ol.style.Style}
  */
-export function createMarkerStyle(bgColor, strokeColor, iconColor, zIndex, scale = 0.8) {
+export function createMarkerStyle(bgColor, strokeColor, iconColor, zIndex, scale = 0.8, shape = 'square') {
     const svg = `
       <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 16 16">
-        <rect x="0.5" y="0.5" width="15" height="15" rx="4" ry="4" 
+        ${MARKER_SHAPES[shape] || MARKER_SHAPES.square}
               fill="${bgColor}" stroke="${strokeColor}" stroke-width="1"/>
         <g fill="${iconColor}" transform="translate(4 4) scale(0.5)">
           <path d="M9.5 12.5a1.5 1.5 0 1 1-2-1.415V6.5a.5.5 0 0 1 1 0v4.585a1.5 1.5 0 0 1 1 1.415"/>
@@ -37,5 +45,232 @@ export function createMarkerStyle(bgColor, strokeColor, iconColor, zIndex, scale
 export const MAP_STYLES = {
     default: createMarkerStyle('white', 'black', 'black', 0),
     hover: createMarkerStyle('#f0f0f0', 'black', 'black', 0),
-    active: createMarkerStyle('#38598a', '#38598a', 'white', 1, 0.9)
-};
\ No newline at end of file
+    highlight: createMarkerStyle('#fcba19', 'black', 'black', 0),
+    active: createMarkerStyle('#38598a', '#38598a', 'white', 1, 0.9),
+    selected: createMarkerStyle('#d3e3f6', '#38598a', '#38598a', 0, 0.85)
+};
+
+/**
+ * Creates a legend class of a marker theme with its normal and hover styles.
+ * @param {string} label - Legend label
+ * @param {Function} test - (station) => boolean
+ * @param {string} color - Marker fill color
+ * @param {string} [iconColor='black'] - Inner icon color
+ * @param {string} [shape='square'] - Marker shape
+ * @returns {Object} Theme class {label, test, style, hoverStyle}
+ */
+function createThemeClass(label, test, color, iconColor = 'black', shape = 'square') {
+    return {
+        label,
+        test,
+        style: createMarkerStyle(color, 'black', iconColor, 0, 0.8, shape),
+        hoverStyle: createMarkerStyle(color, 'black', iconColor, 0, 0.9, shape)
+    };
+}
+
+// Catch-all class for stations without the themed value
+const UNKNOWN_CLASS = {
+    label: 'Unknown',
+    test: () => true,
+    style: MAP_STYLES.default,
+    hoverStyle: MAP_STYLES.hover
+};
+
+/**
+ * Creates the classes of a theme that bands a numeric station value, followed by the unknown class.
+ * @param {Function} getValue - (station) => number
+ * @param {Object[]} bands - Bands {label, min, max, color, iconColor}; min is inclusive and max exclusive
+ * @returns {Object[]} Theme classes
+ */
+function createBandClasses(getValue, bands) {
+    return [
+        ...bands.map(({ label, min = -Infinity, max = Infinity, color, iconColor }) => createThemeClass(
+            label,
+            (station) => {
+                const value = getValue(station);
+                return typeof value === 'number' && Number.isFinite(value) && value >= min && value < max;
+            },
+            color,
+            iconColor
+        )),
+        UNKNOWN_CLASS
+    ];
+}
+
+/**
+ * Gets a station's status in lower case.
+ * @param {Object} station - WeatherStation instance
+ * @returns {string} Status, or '' when unknown
+ */
+function getStatus(station) {
+    return (station.status || '').toLowerCase();
+}
+
+/**
+ * Gets the length of a station's record.
+ * @param {Object} station - WeatherStation instance
+ * @returns {number|null} Last data year minus first data year, or null when either is unknown
+ */
+function getRecordLength(station) {
+    return Number.isFinite(station.dataStart) && Number.isFinite(station.dataEnd)
+        ? station.dataEnd - station.dataStart
+        : null;
+}
+
+// Marker themes by ID: what the marker colours and shapes encode, in legend order
+export const MARKER_THEMES = {
+    none: {
+        label: 'Plain markers',
+        classes: [{ ...UNKNOWN_CLASS, label: 'Station' }]
+    },
+    status: {
+        label: 'Status',
+        classes: [
+            createThemeClass('Active', station => getStatus(station) === 'active', '#2e8540', 'white', 'circle'),
+            createThemeClass('Inactive', station => getStatus(station) === 'inactive', '#f28c28', 'black', 'square'),
+            createThemeClass('Decommissioned', station => getStatus(station) === 'decommissioned', '#d8292f', 'white', 'diamond'),
+            UNKNOWN_CLASS
+        ]
+    },
+    elevation: {
+        label: 'Elevation',
+        classes: createBandClasses(station => station.elevation, [
+            { label: 'Below 500 m', max: 500, color: '#1a9850', iconColor: 'white' },
+            { label: '500–999 m', min: 500, max: 1000, color: '#a6d96a' },
+            { label: '1,000–1,499 m', min: 1000, max: 1500, color: '#fee08b' },
+            { label: '1,500–1,999 m', min: 1500, max: 2000, color: '#fdae61' },
+            { label: '2,000 m and above', min: 2000, color: '#d73027', iconColor: 'white' }
+        ])
+    },
+    recordLength: {
+        label: 'Record length',
+        classes: createBandClasses(getRecordLength, [
+            { label: 'Under 5 years', max: 5, color: '#eff3ff' },
+            { label: '5–9 years', min: 5, max: 10, color: '#bdd7e7' },
+            { label: '10–19 years', min: 10, max: 20, color: '#6baed6' },
+            { label: '20–29 years', min: 20, max: 30, color: '#3182bd', iconColor: 'white' },
+            { label: '30 years and more', min: 30, color: '#08519c', iconColor: 'white' }
+        ])
+    },
+    firstYear: {
+        label: 'First data year',
+        classes: createBandClasses(station => station.dataStart, [
+            { label: 'Before 1990', max: 1990, color: '#440154', iconColor: 'white' },
+            { label: '1990–1999', min: 1990, max: 2000, color: '#3b528b', iconColor: 'white' },
+            { label: '2000–2009', min: 2000, max: 2010, color: '#21918c', iconColor: 'white' },
+            { label: '2010–2019', min: 2010, max: 2020, color: '#5ec962' },
+            { label: '2020 and later', min: 2020, color: '#fde725' }
+        ])
+    }
+};
+
+/**
+ * Finds the legend class of a station in a marker theme.
+ * @param {string} themeId - Key of MARKER_THEMES; unknown IDs use plain markers
+ * @param {Object} station - WeatherStation instance
+ * @returns {Object} Theme class {label, test, style, hoverStyle}
+ */
+export function getMarkerThemeClass(themeId, station) {
+    const theme = MARKER_THEMES[themeId] || MARKER_THEMES.none;
+    return theme.classes.find(themeClass => themeClass.test(station));
+}
+
+// Cluster bubble styles, cached by count and state
+const clusterStyleCache = new Map();
+
+/**
+ * Generates a count bubble style for a cluster of stations.
+ * @param {number} count - Number of stations in the cluster
+ * @param {Object} [options] - Bubble state
+ * @param {boolean} [options.highlighted=false] - Whether the cluster contains highlighted stations
+ * @param {boolean} [options.hovered=false] - Whether the pointer is over the cluster
+ * @returns {ol.style.Style}
+ */
+export function createClusterStyle(count, { highlighted = false, hovered = false } = {}) {
+    const key = `${count}|${highlighted}|${hovered}`;
+    if (!clusterStyleCache.has(key)) {
+        const radius = Math.min(12 + Math.log2(count) * 3, 26);
+        clusterStyleCache.set(key, new ol.style.Style({
+            image: new ol.style.Circle({
+                radius,
+                fill: new ol.style.Fill({ color: hovered ? '#f0f0f0' : highlighted ? '#fcba19' : 'white' }),
+                stroke: new ol.style.Stroke({ color: '#38598a', width: 2 })
+            }),
+            text: new ol.style.Text({
+                text: String(count),
+                font: 'bold 12px sans-serif',
+                fill: new ol.style.Fill({ color: 'black' })
+            }),
+            zIndex: 0
+        }));
+    }
+    return clusterStyleCache.get(key);
+}
+
+// Styles for the nearest stations tool: the picked point and lines to the stations
+export const NEAREST_STYLES = {
+    point: new ol.style.Style({
+        image: new ol.style.Circle({
+            radius: 7,
+            fill: new ol.style.Fill({ color: '#d8292f' }),
+            stroke: new ol.style.Stroke({ color: 'white', width: 2 })
+        }),
+        zIndex: 2
+    }),
+    line: new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: '#d8292f', width: 2, lineDash: [6, 6] })
+    })
+};
+
+// Styles for co-located stations fanned out around their shared point
+export const SPIDER_STYLES = {
+    line: new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: '#38598a', width: 1.5 }),
+        zIndex: -1
+    })
+};
+
+// Styles for drawing areas that select stations: the shape being drawn and the last drawn area
+export const AREA_STYLES = {
+    sketch: new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: '#38598a', width: 2, lineDash: [4, 4] }),
+        fill: new ol.style.Fill({ color: 'rgba(56, 89, 138, 0.1)' }),
+        image: new ol.style.Circle({
+            radius: 5,
+            fill: new ol.style.Fill({ color: '#38598a' })
+        })
+    }),
+    area: new ol.style.Style({
+        stroke: new ol.style.Stroke({ color: '#38598a', width: 2 }),
+        fill: new ol.style.Fill({ color: 'rgba(56, 89, 138, 0.08)' })
+    })
+};
+
+// Colours given to imported overlay layers in turn
+export const OVERLAY_COLORS = ['#d8292f', '#2e8540', '#6f42c1', '#f28c28', '#0d6efd', '#8b572a'];
+
+/**
+ * Generates the style of an imported overlay layer: lines, polygon outlines and points in one colour.
+ * @param {string} color - Layer colour as a hex value
+ * @returns {ol.style.Style}
+ */
+export function createOverlayStyle(color) {
+    return new ol.style.Style({
+        stroke: new ol.style.Stroke({ color, width: 2 }),
+        fill: new ol.style.Fill({ color: `${color}26` }),
+        image: new ol.style.Circle({
+            radius: 5,
+            fill: new ol.style.Fill({ color }),
+            stroke: new ol.style.Stroke({ color: 'white', width: 1.5 })
+        })
+    });
+}
+
+// Style of the bundled offline BC outline basemap: land polygons over a water background
+export const OUTLINE_BASEMAP_STYLES = {
+    land: new ol.style.Style({
+        fill: new ol.style.Fill({ color: '#f4f1ea' }),
+        stroke: new ol.style.Stroke({ color: '#8c8c8c', width: 1 })
+    }),
+    water: '#d6e6f2'
+};
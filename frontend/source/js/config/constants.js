@@ -8,23 +8,79 @@ export const CONFIG = {
     API_BASE: 'api',
     MOBILE_BREAKPOINT: 768,
     MAX_DISPLAY_LENGTH: 500,
-    MAX_SEARCH_LENGTH: 50,
+    MAX_SEARCH_LENGTH: 120,
+    MAX_SUGGESTIONS: 8,
     SENSOR_ID_RANGE: { MIN: 1, MAX: 100000 },
     YEAR_RANGE: { MIN: 1975 },
     THROTTLE_DELAY: 50,
     DEBOUNCE_DELAY: 150,
     ANIMATION_DURATION: 300,
-    COORDINATE_PRECISION: 5
+    COORDINATE_PRECISION: 5,
+    PREVIEW_PAGE_SIZE: 25,
+    MAX_COMPARISON_STATIONS: 5,
+    MAX_RANGE_MONTHS: 24,
+    BULK_EXPORT_CONCURRENCY: 3,
+    BULK_EXPORT_RETRIES: 4,
+    THROTTLE_BACKOFF_MS: 15000,
+    DOWNLOAD_CONCURRENCY: 2,
+    DOWNLOAD_RETRIES: 3,
+    DOWNLOAD_BACKOFF_MS: 2000,
+    MAX_QUEUE_ITEMS: 50,
+    MAX_HISTORY_ENTRIES: 1000,
+    STATION_CACHE_TTL_MS: 10 * 60 * 1000,
+    FILE_LIST_CACHE_TTL_MS: 30 * 60 * 1000,
+    TOKEN_LIFETIME_MS: 120 * 60 * 1000,
+    TOKEN_EXPIRY_MARGIN_MS: 60 * 1000,
+    API_CACHE_PERSISTENCE: 'session',
+    AVAILABILITY_CONCURRENCY: 2,
+    AVAILABILITY_RETRIES: 3,
+    NEAREST_STATION_COUNT: 5,
+    LONG_PRESS_DELAY: 600,
+    LONG_PRESS_TOLERANCE: 10,
+    CLUSTER_DISTANCE: 40,
+    CLUSTER_MAX_ZOOM: 11,
+    SPIDER_RADIUS: 48,
+    SPIDER_LEG_SPACING: 32,
+    SPIDER_MARGIN: 32,
+    AREA_SELECTION_RADIUS_KM: 25,
+    MAX_OVERLAY_FILE_BYTES: 10 * 1024 * 1024,
+    BASEMAP_TIMEOUT_MS: 10000,
+    BASEMAP_TILE_ERROR_LIMIT: 8
 };
 
+// Vector style of the BC basemap
+const BC_BASEMAP_STYLE_URL = 'https://www.arcgis.com/sharing/rest/content/items/b1624fea73bd46c681fab55be53d96ae/resources/styles/root.json';
+
 // Map-specific configuration
 export const MAP_CONFIG = {
     BC_EXTENT: [-160, 40, -100, 70],
     CENTER: [-127.545, 54.15],
     ZOOM: 6,
     MIN_ZOOM: 5,
-    BASEMAP_URL: 'https://www.arcgis.com/sharing/rest/content/items/b1624fea73bd46c681fab55be53d96ae/resources/styles/root.json',
-    WEBFONTS_PATH: './vendor/fonts/{font-family}/{fontweight}{-fontstyle}.css'
+    BASEMAP_URL: BC_BASEMAP_STYLE_URL,
+    WEBFONTS_PATH: './vendor/fonts/{font-family}/{fontweight}{-fontstyle}.css',
+    // Basemaps offered in the switcher. 'style' is a Mapbox style applied with olms, 'xyz' a raster tile URL
+    // and 'outline' the bundled GeoJSON that needs no network; FALLBACK_BASEMAP replaces one that fails.
+    BASEMAPS: [
+        { id: 'bc', label: 'BC Basemap', type: 'style', url: BC_BASEMAP_STYLE_URL },
+        {
+            id: 'imagery',
+            label: 'Imagery',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attributions: 'Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community'
+        },
+        {
+            id: 'topographic',
+            label: 'Topographic',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Topo_Map/MapServer/tile/{z}/{y}/{x}',
+            attributions: 'Tiles © Esri'
+        },
+        { id: 'outline', label: 'BC Outline (offline)', type: 'outline', url: './assets/data/bc-outline.geojson' }
+    ],
+    DEFAULT_BASEMAP: 'bc',
+    FALLBACK_BASEMAP: 'outline'
 };
 
 // UI element selectors organized by component responsibility
@@ -34,7 +90,11 @@ export const UI_ELEMENTS = {
         $detailsContents: $('#sensorDetailsContents'),
         $list: $('#sensorList'),
         $listGroup: $('#sensorListGroup'),
-        $searchInput: $('#stationSearchInput')
+        $searchInput: $('#stationSearchInput'),
+        $suggestions: $('#stationSearchSuggestions'),
+        $searchError: $('#stationSearchError'),
+        $sort: $('#stationListSort'),
+        $sortDirection: $('#stationListSortDirection')
     },
     observation: {
         $dataList: $('#observation-data-list'),
@@ -43,17 +103,170 @@ export const UI_ELEMENTS = {
         $downloadYearContainer: $('#download-year-container'),
         $downloadYearBtn: $('#download-year-btn')
     },
+    availability: {
+        $container: $('#availability-container'),
+        $toggle: $('#availability-toggle'),
+        $grid: $('#availability-grid'),
+        $status: $('#availability-status')
+    },
+    rangeDownload: {
+        $start: $('#range-download-start'),
+        $end: $('#range-download-end'),
+        $status: $('#range-download-status'),
+        $button: $('#range-download-btn')
+    },
+    chart: {
+        $toggle: $('#chart-toggle-btn'),
+        $container: $('#observation-chart'),
+        $title: $('#observation-chart-title'),
+        $reset: $('#observation-chart-reset'),
+        $export: $('#observation-chart-export'),
+        $close: $('#observation-chart-close'),
+        $period: $('#observation-chart-period'),
+        $columns: $('#observation-chart-columns'),
+        $status: $('#observation-chart-status'),
+        $canvas: $('#observation-chart-canvas')
+    },
+    comparison: {
+        $modal: $('#comparisonModal'),
+        $count: $('#comparisonCount'),
+        $max: $('#comparison-max'),
+        $stations: $('#comparison-stations'),
+        $year: $('#comparison-year'),
+        $month: $('#comparison-month'),
+        $variable: $('#comparison-variable'),
+        $status: $('#comparison-status'),
+        $canvas: $('#comparison-chart-canvas'),
+        $summary: $('#comparison-summary'),
+        $export: $('#comparison-export'),
+        $clear: $('#comparison-clear')
+    },
+    bulkExport: {
+        $modal: $('#bulkExportModal'),
+        $count: $('#bulkExportCount'),
+        $addVisible: $('#bulk-export-add-visible'),
+        $clear: $('#bulk-export-clear'),
+        $stations: $('#bulk-export-stations'),
+        $yearStart: $('#bulk-export-year-start'),
+        $monthStart: $('#bulk-export-month-start'),
+        $yearEnd: $('#bulk-export-year-end'),
+        $monthEnd: $('#bulk-export-month-end'),
+        $progress: $('#bulk-export-progress'),
+        $status: $('#bulk-export-status'),
+        $cancel: $('#bulk-export-cancel'),
+        $start: $('#bulk-export-start')
+    },
+    downloadQueue: {
+        $drawer: $('#downloadQueue'),
+        $count: $('#downloadQueueCount'),
+        $list: $('#download-queue-list'),
+        $clear: $('#download-queue-clear')
+    },
+    history: {
+        $modal: $('#historyModal'),
+        $search: $('#history-search'),
+        $outcome: $('#history-outcome'),
+        $source: $('#history-source'),
+        $since: $('#history-since'),
+        $table: $('#history-table'),
+        $summary: $('#history-summary'),
+        $exportJson: $('#history-export-json'),
+        $exportCsv: $('#history-export-csv'),
+        $clear: $('#history-clear')
+    },
+    filters: {
+        $panel: $('#stationFilters'),
+        $toggle: $('#stationFiltersToggle'),
+        $activeCount: $('#stationFiltersActive'),
+        $resultCount: $('#stationFiltersCount'),
+        $reset: $('#station-filters-reset'),
+        $status: $('#station-filter-status'),
+        $elevationMin: $('#station-filter-elevation-min'),
+        $elevationMax: $('#station-filter-elevation-max'),
+        $startFrom: $('#station-filter-start-from'),
+        $startTo: $('#station-filter-start-to'),
+        $endFrom: $('#station-filter-end-from'),
+        $endTo: $('#station-filter-end-to'),
+        $hasDataYear: $('#station-filter-year')
+    },
+    areaSelection: {
+        $drawer: $('#areaSelection'),
+        $count: $('#areaSelectionCount'),
+        $tools: $('#area-selection-tools'),
+        $radius: $('#area-selection-radius'),
+        $mode: $('#area-selection-mode'),
+        $summary: $('#area-selection-summary'),
+        $list: $('#area-selection-list'),
+        $export: $('#area-selection-export'),
+        $compare: $('#area-selection-compare'),
+        $clear: $('#area-selection-clear')
+    },
+    stationExport: {
+        $modal: $('#stationExportModal'),
+        $scopes: $('#station-export-scopes'),
+        $format: $('#station-export-format'),
+        $download: $('#station-export-download')
+    },
+    overlays: {
+        $drawer: $('#overlayLayers'),
+        $dropZone: $('#overlay-drop-zone'),
+        $fileInput: $('#overlay-file-input'),
+        $list: $('#overlay-list')
+    },
+    legend: {
+        $themeSelect: $('#mapThemeSelect'),
+        $items: $('#mapLegendItems')
+    },
+    nearest: {
+        $drawer: $('#nearestStations'),
+        $form: $('#nearest-form'),
+        $coordinates: $('#nearest-coordinates'),
+        $elevation: $('#nearest-elevation'),
+        $count: $('#nearest-count'),
+        $error: $('#nearest-error'),
+        $summary: $('#nearest-summary'),
+        $results: $('#nearest-results')
+    },
+    collections: {
+        $modal: $('#collectionsModal'),
+        $scope: $('#stationListScope'),
+        $stationSection: $('#collections-station'),
+        $stationName: $('#collections-station-name'),
+        $stationCollections: $('#collections-station-list'),
+        $list: $('#collections-list'),
+        $nameInput: $('#collections-new-name'),
+        $create: $('#collections-create'),
+        $importInput: $('#collections-import-input'),
+        $export: $('#collections-export')
+    },
+    preview: {
+        $container: $('#observation-preview'),
+        $title: $('#observation-preview-title'),
+        $save: $('#observation-preview-save'),
+        $close: $('#observation-preview-close'),
+        $table: $('#observation-preview-table'),
+        $info: $('#observation-preview-info'),
+        $prev: $('#observation-preview-prev'),
+        $next: $('#observation-preview-next')
+    },
+    offline: {
+        $banner: $('#offlineBanner')
+    },
     map: {
         $loading: $('#mapLoading'),
         $error: $('#mapError'),
         $panel: $('.map-panel'),
-        $tooltip: $('#mapTooltip')
+        $tooltip: $('#mapTooltip'),
+        $container: $('#mapContainer'),
+        $clusterToggle: $('#clusterToggleBtn'),
+        $basemapSelect: $('#basemapSelect')
     },
     buttons: {
         $expand: $('#expandBtn'),
         $list: $('#stationsListBtn'),
         $listClose: $('#stationsListCloseBtn'),
-        $close: $('#closeBtn')
+        $close: $('#closeBtn'),
+        $stationActions: $('#stationActions')
     },
     details: {
         $name: $('#detailName'),
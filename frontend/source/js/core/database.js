@@ -0,0 +1,79 @@
+/**
+ * IndexedDB helpers
+ * @module core/database
+ */
+
+const DB_NAME = 'weather-archive';
+const DB_VERSION = 3;
+
+// Object stores created on upgrade, keyed by store name
+const STORES = {
+    downloads: { keyPath: 'id', autoIncrement: true, indexes: ['timestamp'] },
+    apiCache: { keyPath: 'key', autoIncrement: false, indexes: [] },
+    overlays: { keyPath: 'id', autoIncrement: true, indexes: [] }
+};
+
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens the application database, creating any missing object stores.
+ * @returns {Promise<IDBDatabase>} Open database
+ * @throws {Error} When IndexedDB is unavailable
+ */
+export function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, { keyPath, autoIncrement, indexes }]) => {
+            if (db.objectStoreNames.contains(name)) return;
+            const store = db.createObjectStore(name, { keyPath, autoIncrement });
+            indexes.forEach(index => store.createIndex(index, index));
+        });
+    };
+
+    databasePromise = requestToPromise(request).catch((error) => {
+        // Allow a later call to try again
+        databasePromise = null;
+        throw error;
+    });
+    return databasePromise;
+}
+
+/**
+ * Runs work inside a transaction on a single object store.
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - (store) => IDBRequest|void; the request result is returned
+ * @returns {Promise<*>} Result of the request returned by the callback, once the transaction completes
+ */
+export async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
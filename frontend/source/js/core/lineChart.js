@@ -0,0 +1,539 @@
+/**
+ * Canvas line chart with zoom, pan, hover readout and PNG export
+ * @module core/lineChart
+ */
+
+// Default series colours (BC Design System palette)
+export const CHART_COLORS = ['#013366', '#e3a82b', '#2e8540', '#d8292f', '#6f42c1', '#0d6efd', '#8a4f00', '#20c997'];
+
+const PADDING = { top: 36, right: 16, bottom: 40, left: 56 };
+const FONT = '12px "BC Sans", "Noto Sans", Arial, sans-serif';
+const ZOOM_FACTOR = 1.25;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MIN_SPAN_MS = HOUR_MS;
+const FIXED_TIME_STEPS = [HOUR_MS, 3 * HOUR_MS, 6 * HOUR_MS, 12 * HOUR_MS, DAY_MS, 2 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS];
+
+/**
+ * Computes evenly spaced "nice" tick values for an axis.
+ * @param {number} min - Axis minimum
+ * @param {number} max - Axis maximum
+ * @param {number} count - Desired number of ticks
+ * @returns {number[]} Tick values
+ */
+function niceTicks(min, max, count) {
+    const span = max - min || 1;
+    const rawStep = span / Math.max(count, 1);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step / 1e6; value += step) {
+        ticks.push(Math.abs(value) < step / 1e6 ? 0 : value);
+    }
+    return ticks;
+}
+
+/**
+ * Computes time ticks aligned to whole hours, days or calendar months (UTC).
+ * @param {number} min - Range start in epoch milliseconds
+ * @param {number} max - Range end in epoch milliseconds
+ * @param {number} count - Desired number of ticks
+ * @returns {number[]} Tick times
+ */
+function timeTicks(min, max, count) {
+    const rawStep = (max - min) / Math.max(count, 1);
+    const fixedStep = FIXED_TIME_STEPS.find(step => step >= rawStep);
+
+    const ticks = [];
+    if (fixedStep) {
+        for (let time = Math.ceil(min / fixedStep) * fixedStep; time <= max; time += fixedStep) {
+            ticks.push(time);
+        }
+        return ticks;
+    }
+
+    const monthStep = [1, 2, 3, 6, 12].find(months => months * 30 * DAY_MS >= rawStep) || 12;
+    const start = new Date(min);
+    const year = start.getUTCFullYear();
+    let month = Math.ceil(start.getUTCMonth() / monthStep) * monthStep;
+    for (let time = Date.UTC(year, month, 1); time <= max; time = Date.UTC(year, month, 1)) {
+        if (time >= min) ticks.push(time);
+        month += monthStep;
+    }
+    return ticks;
+}
+
+/**
+ * Formats an epoch time for the x axis, showing more detail for short spans.
+ * @param {number} time - Epoch milliseconds
+ * @param {number} span - Visible span in milliseconds
+ * @returns {string} Formatted label
+ */
+function formatTimeLabel(time, span) {
+    const date = new Date(time);
+    const options = span <= 2 * DAY_MS
+        ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+        : span <= 90 * DAY_MS
+            ? { month: 'short', day: 'numeric' }
+            : { year: 'numeric', month: 'short' };
+    return date.toLocaleString('en-CA', { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Formats an epoch time for the hover readout.
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Formatted date and time
+ */
+function formatReadoutTime(time) {
+    return new Date(time).toLocaleString('en-CA', {
+        year: 'numeric', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: 'UTC'
+    });
+}
+
+/**
+ * Finds the index of the point closest to a time in a sorted array.
+ * @param {number[]} times - Sorted epoch times
+ * @param {number} time - Target time
+ * @returns {number} Closest index or -1 for an empty array
+ */
+function findClosestIndex(times, time) {
+    if (!times.length) return -1;
+
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    if (low > 0 && Math.abs(times[low - 1] - time) < Math.abs(times[low] - time)) {
+        return low - 1;
+    }
+    return low;
+}
+
+/**
+ * Creates a line chart bound to a canvas element.
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Object} [options] - Chart options
+ * @param {string} [options.emptyMessage] - Text shown when there is nothing to plot
+ * @param {Function} [options.formatValue] - Formats y values for the readout
+ * @returns {Object} LineChart instance
+ */
+export function createLineChart(canvas, { emptyMessage = 'No data to display', formatValue = (v) => String(+v.toFixed(2)) } = {}) {
+    if (!canvas || typeof canvas.getContext !== 'function') {
+        throw new Error('A canvas element is required');
+    }
+
+    const context = canvas.getContext('2d');
+
+    // Private state
+    let series = [];
+    let fullExtent = null;
+    let view = null;
+    let hoverTime = null;
+    let dragStart = null;
+
+    /**
+     * Gets the plotting area in CSS pixels.
+     * @returns {{left: number, top: number, width: number, height: number}} Plot rectangle
+     */
+    function getPlotArea() {
+        return {
+            left: PADDING.left,
+            top: PADDING.top,
+            width: Math.max(canvas.clientWidth - PADDING.left - PADDING.right, 1),
+            height: Math.max(canvas.clientHeight - PADDING.top - PADDING.bottom, 1)
+        };
+    }
+
+    /**
+     * Computes the time extent across all series.
+     * @returns {{min: number, max: number}|null} Time extent
+     */
+    function computeExtent() {
+        let min = Infinity;
+        let max = -Infinity;
+        series.forEach(({ x }) => {
+            if (x.length) {
+                min = Math.min(min, x[0]);
+                max = Math.max(max, x[x.length - 1]);
+            }
+        });
+
+        if (!isFinite(min)) return null;
+        if (min === max) {
+            return { min: min - MIN_SPAN_MS, max: max + MIN_SPAN_MS };
+        }
+        return { min, max };
+    }
+
+    /**
+     * Computes the value range of points within the visible time range.
+     * @returns {{min: number, max: number}} Value range with padding
+     */
+    function computeValueRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        series.forEach(({ x, y }) => {
+            for (let i = 0; i < x.length; i++) {
+                if (x[i] < view.min || x[i] > view.max || y[i] === null) continue;
+                min = Math.min(min, y[i]);
+                max = Math.max(max, y[i]);
+            }
+        });
+
+        if (!isFinite(min)) return { min: 0, max: 1 };
+        const pad = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+        return { min: min - pad, max: max + pad };
+    }
+
+    /**
+     * Resizes the canvas backing store to match its displayed size.
+     */
+    function resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Draws the legend above the plot area.
+     */
+    function drawLegend() {
+        let x = PADDING.left;
+        context.textBaseline = 'middle';
+        context.textAlign = 'left';
+        series.forEach((s) => {
+            const labelWidth = context.measureText(s.name).width;
+            context.fillStyle = s.color;
+            context.fillRect(x, 14, 12, 4);
+            context.fillStyle = '#313132';
+            context.fillText(s.name, x + 16, 16);
+            x += labelWidth + 32;
+        });
+    }
+
+    /**
+     * Draws the hover line and value readout.
+     * @param {Object} plot - Plot rectangle
+     * @param {Function} toX - Time to pixel mapping
+     */
+    function drawReadout(plot, toX) {
+        if (hoverTime === null || hoverTime < view.min || hoverTime > view.max) return;
+
+        const lines = [];
+        let snappedTime = null;
+        series.forEach((s) => {
+            const index = findClosestIndex(s.x, hoverTime);
+            if (index === -1) return;
+            snappedTime = snappedTime ?? s.x[index];
+            const value = s.y[index];
+            lines.push({ color: s.color, text: `${s.name}: ${value === null ? '–' : formatValue(value)}` });
+        });
+
+        if (snappedTime === null) return;
+
+        const x = toX(snappedTime);
+        context.strokeStyle = '#9f9d9c';
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(x, plot.top);
+        context.lineTo(x, plot.top + plot.height);
+        context.stroke();
+        context.setLineDash([]);
+
+        const title = formatReadoutTime(snappedTime);
+        const boxWidth = Math.max(context.measureText(title).width, ...lines.map(l => context.measureText(l.text).width)) + 24;
+        const boxHeight = (lines.length + 1) * 16 + 8;
+        const boxX = x + boxWidth + 12 > plot.left + plot.width ? x - boxWidth - 8 : x + 8;
+        const boxY = plot.top + 4;
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        context.strokeStyle = '#dee2e6';
+        context.fillRect(boxX, boxY, boxWidth, boxHeight);
+        context.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+        context.textAlign = 'left';
+        context.fillStyle = '#313132';
+        context.fillText(title, boxX + 8, boxY + 12);
+        lines.forEach((line, i) => {
+            context.fillStyle = line.color;
+            context.fillRect(boxX + 8, boxY + 26 + i * 16, 8, 4);
+            context.fillStyle = '#313132';
+            context.fillText(line.text, boxX + 20, boxY + 28 + i * 16);
+        });
+    }
+
+    /**
+     * Redraws the whole chart.
+     */
+    function draw() {
+        resizeCanvas();
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.font = FONT;
+
+        if (!view) {
+            context.fillStyle = '#6c757d';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(emptyMessage, width / 2, height / 2);
+            return;
+        }
+
+        const plot = getPlotArea();
+        const range = computeValueRange();
+        const toX = (time) => plot.left + ((time - view.min) / (view.max - view.min)) * plot.width;
+        const toY = (value) => plot.top + plot.height - ((value - range.min) / (range.max - range.min)) * plot.height;
+
+        // Grid and axis labels
+        context.strokeStyle = '#e9ecef';
+        context.fillStyle = '#495057';
+        context.lineWidth = 1;
+
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        niceTicks(range.min, range.max, Math.max(Math.floor(plot.height / 40), 2)).forEach((value) => {
+            const y = Math.round(toY(value)) + 0.5;
+            context.beginPath();
+            context.moveTo(plot.left, y);
+            context.lineTo(plot.left + plot.width, y);
+            context.stroke();
+            context.fillText(formatValue(value), plot.left - 6, y);
+        });
+
+        const span = view.max - view.min;
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        timeTicks(view.min, view.max, Math.max(Math.floor(plot.width / 110), 2)).forEach((time) => {
+            const x = Math.round(toX(time)) + 0.5;
+            context.beginPath();
+            context.moveTo(x, plot.top);
+            context.lineTo(x, plot.top + plot.height);
+            context.stroke();
+            context.fillText(formatTimeLabel(time, span), x, plot.top + plot.height + 8);
+        });
+
+        context.strokeStyle = '#adb5bd';
+        context.strokeRect(plot.left + 0.5, plot.top + 0.5, plot.width, plot.height);
+
+        // Series lines, clipped to the plot area and broken at missing values
+        context.save();
+        context.beginPath();
+        context.rect(plot.left, plot.top, plot.width, plot.height);
+        context.clip();
+        context.lineWidth = 1.5;
+        series.forEach(({ x, y, color }) => {
+            context.strokeStyle = color;
+            context.beginPath();
+            let penDown = false;
+            for (let i = 0; i < x.length; i++) {
+                if (y[i] === null) {
+                    penDown = false;
+                    continue;
+                }
+                const px = toX(x[i]);
+                const py = toY(y[i]);
+                if (penDown) {
+                    context.lineTo(px, py);
+                } else {
+                    context.moveTo(px, py);
+                    penDown = true;
+                }
+            }
+            context.stroke();
+        });
+        context.restore();
+
+        drawLegend();
+        drawReadout(plot, toX);
+    }
+
+    /**
+     * Sets the visible time range, clamped to the data extent.
+     * @param {number} min - Range start
+     * @param {number} max - Range end
+     */
+    function setView(min, max) {
+        if (!fullExtent) return;
+
+        const fullSpan = fullExtent.max - fullExtent.min;
+        const span = Math.min(Math.max(max - min, Math.min(MIN_SPAN_MS, fullSpan)), fullSpan);
+        const start = Math.max(fullExtent.min, Math.min(min, fullExtent.max - span));
+
+        view = { min: start, max: start + span };
+        draw();
+    }
+
+    /**
+     * Zooms around a time by a factor (less than 1 zooms in).
+     * @param {number} factor - Zoom factor
+     * @param {number} [anchor] - Time to keep fixed, defaults to the view centre
+     */
+    function zoom(factor, anchor) {
+        if (!view) return;
+        const center = anchor ?? (view.min + view.max) / 2;
+        setView(center - (center - view.min) * factor, center + (view.max - center) * factor);
+    }
+
+    /**
+     * Pans the view by a fraction of the visible span.
+     * @param {number} fraction - Fraction of the span (negative pans left)
+     */
+    function pan(fraction) {
+        if (!view) return;
+        const offset = (view.max - view.min) * fraction;
+        setView(view.min + offset, view.max + offset);
+    }
+
+    /**
+     * Converts a pointer event to a time value.
+     * @param {MouseEvent} event - Pointer event
+     * @returns {number} Epoch milliseconds
+     */
+    function eventToTime(event) {
+        const plot = getPlotArea();
+        const rect = canvas.getBoundingClientRect();
+        const ratio = (event.clientX - rect.left - plot.left) / plot.width;
+        return view.min + Math.min(Math.max(ratio, 0), 1) * (view.max - view.min);
+    }
+
+    /**
+     * Sets up zoom, pan, hover and keyboard handlers.
+     */
+    function setupEventHandlers() {
+        canvas.addEventListener('wheel', (event) => {
+            if (!view) return;
+            event.preventDefault();
+            zoom(event.deltaY < 0 ? 1 / ZOOM_FACTOR : ZOOM_FACTOR, eventToTime(event));
+        }, { passive: false });
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!view) return;
+            canvas.setPointerCapture(event.pointerId);
+            dragStart = { clientX: event.clientX, view: { ...view } };
+            canvas.style.cursor = 'grabbing';
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!view) return;
+            if (dragStart) {
+                const plot = getPlotArea();
+                const span = dragStart.view.max - dragStart.view.min;
+                const offset = ((dragStart.clientX - event.clientX) / plot.width) * span;
+                hoverTime = null;
+                setView(dragStart.view.min + offset, dragStart.view.max + offset);
+                return;
+            }
+            hoverTime = eventToTime(event);
+            draw();
+        });
+
+        const endDrag = () => {
+            dragStart = null;
+            canvas.style.cursor = '';
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+
+        canvas.addEventListener('pointerleave', () => {
+            if (dragStart) return;
+            hoverTime = null;
+            draw();
+        });
+
+        canvas.addEventListener('dblclick', () => {
+            if (fullExtent) setView(fullExtent.min, fullExtent.max);
+        });
+
+        canvas.addEventListener('keydown', (event) => {
+            const actions = {
+                '+': () => zoom(1 / ZOOM_FACTOR),
+                '=': () => zoom(1 / ZOOM_FACTOR),
+                '-': () => zoom(ZOOM_FACTOR),
+                ArrowLeft: () => pan(-0.1),
+                ArrowRight: () => pan(0.1),
+                '0': () => fullExtent && setView(fullExtent.min, fullExtent.max)
+            };
+            if (actions[event.key] && view) {
+                event.preventDefault();
+                actions[event.key]();
+            }
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => draw()).observe(canvas);
+        }
+    }
+
+    // Initialize event handlers
+    setupEventHandlers();
+
+    // Public API
+    const lineChart = {
+        /**
+         * Replaces the plotted series and resets the zoom.
+         * @param {{name: string, x: number[], y: (number|null)[], color?: string}[]} newSeries - Series sorted by time
+         */
+        setSeries(newSeries) {
+            series = (newSeries || []).map((s, index) => ({
+                ...s,
+                color: s.color || CHART_COLORS[index % CHART_COLORS.length]
+            }));
+            fullExtent = computeExtent();
+            view = fullExtent ? { ...fullExtent } : null;
+            hoverTime = null;
+            draw();
+        },
+
+        /**
+         * Resets the zoom to the full data extent.
+         */
+        resetZoom() {
+            if (fullExtent) setView(fullExtent.min, fullExtent.max);
+        },
+
+        /**
+         * Redraws the chart, e.g. after its container becomes visible.
+         */
+        redraw() {
+            draw();
+        },
+
+        /**
+         * Exports the current chart view as a PNG image.
+         * @returns {Promise<Blob>} PNG blob
+         */
+        toPngBlob() {
+            hoverTime = null;
+            draw();
+            return new Promise((resolve, reject) => {
+                canvas.toBlob((blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Failed to export chart image'));
+                    }
+                }, 'image/png');
+            });
+        }
+    };
+
+    return lineChart;
+}
@@ -0,0 +1,175 @@
+/**
+ * Response cache factory
+ * @module core/responseCache
+ */
+
+import { withStore } from './database.js';
+
+const STORAGE_PREFIX = 'wa-cache:';
+const STORE_NAME = 'apiCache';
+
+/**
+ * Creates a sessionStorage backend.
+ * @returns {Object} Storage backend
+ */
+function createSessionBackend() {
+    return {
+        /**
+         * Reads a stored entry.
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} Stored entry
+         */
+        async get(key) {
+            const raw = sessionStorage.getItem(STORAGE_PREFIX + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+        /**
+         * Writes an entry.
+         * @param {string} key - Cache key
+         * @param {Object} entry - Entry with value and expiresAt
+         */
+        async set(key, entry) {
+            try {
+                sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+            } catch (error) {
+                // Quota exceeded; the in-memory copy is still used
+                console.warn('Failed to persist cached response:', error);
+            }
+        },
+        /**
+         * Deletes every entry whose key starts with a prefix.
+         * @param {string} prefix - Key prefix
+         */
+        async delete(prefix) {
+            Object.keys(sessionStorage)
+                .filter(name => name.startsWith(STORAGE_PREFIX + prefix))
+                .forEach(name => sessionStorage.removeItem(name));
+        }
+    };
+}
+
+/**
+ * Creates an IndexedDB backend.
+ * @returns {Object} Storage backend
+ */
+function createIndexedDbBackend() {
+    return {
+        /**
+         * Reads a stored entry.
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} Stored entry
+         */
+        async get(key) {
+            const record = await withStore(STORE_NAME, 'readonly', store => store.get(key));
+            return record ? record.entry : null;
+        },
+        /**
+         * Writes an entry.
+         * @param {string} key - Cache key
+         * @param {Object} entry - Entry with value and expiresAt
+         */
+        async set(key, entry) {
+            await withStore(STORE_NAME, 'readwrite', store => store.put({ key, entry }));
+        },
+        /**
+         * Deletes every entry whose key starts with a prefix.
+         * @param {string} prefix - Key prefix
+         */
+        async delete(prefix) {
+            // Keys starting with the prefix sort between the prefix and the prefix followed by the highest code unit
+            const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : null;
+            await withStore(STORE_NAME, 'readwrite', store => (range ? store.delete(range) : store.clear()));
+        }
+    };
+}
+
+/**
+ * Creates a cache of API responses with per-entry expiry and optional persistence.
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.persistence='memory'] - 'memory', 'session' (sessionStorage) or 'indexeddb'
+ * @returns {Object} ResponseCache instance
+ */
+export function createResponseCache({ persistence = 'memory' } = {}) {
+    const backends = {
+        memory: null,
+        session: typeof sessionStorage !== 'undefined' ? createSessionBackend : null,
+        indexeddb: typeof indexedDB !== 'undefined' ? createIndexedDbBackend : null
+    };
+    if (!(persistence in backends)) {
+        throw new Error(`Unknown cache persistence: ${persistence}`);
+    }
+
+    // Private state
+    const entries = new Map();
+    const backend = backends[persistence] ? backends[persistence]() : null;
+
+    /**
+     * Runs a backend operation, ignoring storage failures.
+     * @param {Function} operation - () => Promise
+     * @returns {Promise<*>} Operation result, or null on failure
+     */
+    async function safely(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            console.warn('Response cache storage failed:', error);
+            return null;
+        }
+    }
+
+    // Public API
+    const responseCache = {
+        /**
+         * Gets a cached value that has not expired.
+         * @param {string} key - Cache key
+         * @returns {Promise<*>} Cached value, or undefined when missing or expired
+         */
+        async get(key) {
+            let entry = entries.get(key);
+            if (!entry && backend) {
+                entry = await safely(() => backend.get(key));
+                if (entry) entries.set(key, entry);
+            }
+
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                await responseCache.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        /**
+         * Stores a value until the given time.
+         * @param {string} key - Cache key
+         * @param {*} value - JSON-serializable value
+         * @param {number} expiresAt - Expiry time in epoch milliseconds
+         * @returns {Promise<void>}
+         */
+        async set(key, value, expiresAt) {
+            if (expiresAt <= Date.now()) return;
+
+            const entry = { value, expiresAt };
+            entries.set(key, entry);
+            if (backend) {
+                await safely(() => backend.set(key, entry));
+            }
+        },
+
+        /**
+         * Deletes every entry whose key starts with a prefix.
+         * @param {string} [prefix=''] - Key prefix; empty deletes everything
+         * @returns {Promise<void>}
+         */
+        async delete(prefix = '') {
+            [...entries.keys()]
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => entries.delete(key));
+            if (backend) {
+                await safely(() => backend.delete(prefix));
+            }
+        }
+    };
+
+    return responseCache;
+}
@@ -0,0 +1,123 @@
+/**
+ * URL router factory
+ * @module core/router
+ */
+
+const COORDINATE_DECIMALS = 4;
+const ZOOM_DECIMALS = 2;
+
+/**
+ * Parses a number from a URL parameter.
+ * @param {string|null} value - Parameter value
+ * @returns {number|null} Parsed number or null when missing or invalid
+ */
+function parseNumber(value) {
+    if (value === null || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Reads the application state from a URL hash.
+ * @param {string} hash - URL hash (e.g., "#station=11000&year=2019&center=-123.1,49.3&zoom=9&q=coq")
+ * @returns {Object} Route state {station, year, center, zoom, search}
+ */
+function parseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const center = (params.get('center') || '').split(',').map(value => parseNumber(value));
+
+    return {
+        station: parseNumber(params.get('station')),
+        year: parseNumber(params.get('year')),
+        center: center.length === 2 && center.every(value => value !== null) ? center : null,
+        zoom: parseNumber(params.get('zoom')),
+        search: params.get('q') || ''
+    };
+}
+
+/**
+ * Writes the application state as a URL hash.
+ * @param {Object} state - Route state
+ * @returns {string} URL hash, or an empty string when there is no state
+ */
+function formatHash(state) {
+    const params = new URLSearchParams();
+    if (state.station !== null) params.set('station', state.station);
+    if (state.station !== null && state.year !== null) params.set('year', state.year);
+    if (state.center) params.set('center', state.center.map(value => value.toFixed(COORDINATE_DECIMALS)).join(','));
+    if (state.zoom !== null) params.set('zoom', +state.zoom.toFixed(ZOOM_DECIMALS));
+    if (state.search) params.set('q', state.search);
+
+    // Keep the comma in the centre readable
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `#${query}` : '';
+}
+
+/**
+ * Creates a router that keeps the selected station, year, map view and search text in the URL hash.
+ * @returns {Object} Router instance
+ */
+export function createRouter() {
+    // Private state
+    let state = parseHash(window.location.hash);
+
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Handles back/forward navigation and manually edited URLs.
+     */
+    function handleNavigation() {
+        const next = parseHash(window.location.hash);
+        if (formatHash(next) === formatHash(state)) return;
+
+        state = next;
+        if (onChange) onChange({ ...state });
+    }
+
+    // Initialize event handlers
+    window.addEventListener('popstate', handleNavigation);
+    window.addEventListener('hashchange', handleNavigation);
+
+    // Public API
+    const router = {
+        /**
+         * Gets the current route state.
+         * @returns {Object} Route state {station, year, center, zoom, search}
+         */
+        getState() {
+            return { ...state };
+        },
+
+        /**
+         * Updates part of the route state and writes it to the URL.
+         * @param {Object} changes - State properties to change
+         * @param {Object} [options] - Update options
+         * @param {boolean} [options.push=false] - Add a history entry (for selections) instead of replacing the current one
+         */
+        update(changes, { push = false } = {}) {
+            const next = { ...state, ...changes };
+            const hash = formatHash(next);
+            state = next;
+
+            if (hash === window.location.hash) return;
+
+            const url = `${window.location.pathname}${window.location.search}${hash}`;
+            if (push) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        },
+
+        /**
+         * Sets callback for when the URL changes through back/forward navigation.
+         * @param {Function} callback - Callback function (state) => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return router;
+}
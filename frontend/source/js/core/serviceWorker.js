@@ -0,0 +1,29 @@
+/**
+ * Service worker registration
+ * @module core/serviceWorker
+ */
+
+/**
+ * Registers the service worker that keeps the app available offline.
+ * Once it is active, the scripts and styles the page has already loaded are handed to it
+ * so modules imported at runtime are cached along with the precached shell.
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        const registration = await navigator.serviceWorker.ready;
+
+        const urls = performance.getEntriesByType('resource')
+            .map(entry => entry.name)
+            .filter(url => new URL(url).origin === window.location.origin && !url.includes('/api/'));
+        registration.active?.postMessage({ type: 'CACHE_URLS', urls });
+    } catch (error) {
+        // The app still works online without a service worker
+        console.warn('Service worker registration failed:', error);
+    }
+}
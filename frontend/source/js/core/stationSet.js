@@ -0,0 +1,154 @@
+/**
+ * Observable set of weather stations
+ * @module core/stationSet
+ */
+
+/**
+ * Creates an ordered set of stations with an optional size limit.
+ * @param {Object} [options] - Set options
+ * @param {number} [options.maxSize=Infinity] - Maximum number of stations
+ * @returns {Object} StationSet instance
+ */
+export function createStationSet({ maxSize = Infinity } = {}) {
+    const stations = new Map();
+
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Notifies the change callback with the current stations.
+     */
+    function notifyChange() {
+        if (onChange) {
+            onChange([...stations.values()]);
+        }
+    }
+
+    // Public API
+    const stationSet = {
+        /**
+         * Adds a station to the set.
+         * @param {Object} station - WeatherStation instance
+         * @returns {boolean} True if added, false if already present or the set is full
+         */
+        add(station) {
+            if (!station || stations.has(station.id) || stations.size >= maxSize) {
+                return false;
+            }
+            stations.set(station.id, station);
+            notifyChange();
+            return true;
+        },
+
+        /**
+         * Adds several stations, ignoring those already present.
+         * @param {Object[]} newStations - WeatherStation instances
+         * @returns {number} Number of stations added
+         */
+        addAll(newStations) {
+            let added = 0;
+            newStations.forEach((station) => {
+                if (station && !stations.has(station.id) && stations.size < maxSize) {
+                    stations.set(station.id, station);
+                    added++;
+                }
+            });
+            if (added) notifyChange();
+            return added;
+        },
+
+        /**
+         * Removes a station from the set.
+         * @param {Object|number} station - WeatherStation instance or station ID
+         * @returns {boolean} True if removed
+         */
+        remove(station) {
+            const id = typeof station === 'number' ? station : station?.id;
+            const removed = stations.delete(id);
+            if (removed) notifyChange();
+            return removed;
+        },
+
+        /**
+         * Removes several stations, ignoring those not present.
+         * @param {Object[]} oldStations - WeatherStation instances
+         * @returns {number} Number of stations removed
+         */
+        removeAll(oldStations) {
+            let removed = 0;
+            oldStations.forEach((station) => {
+                if (station && stations.delete(station.id)) {
+                    removed++;
+                }
+            });
+            if (removed) notifyChange();
+            return removed;
+        },
+
+        /**
+         * Adds the station if absent, removes it otherwise.
+         * @param {Object} station - WeatherStation instance
+         * @returns {boolean} True if the station is in the set afterwards
+         */
+        toggle(station) {
+            if (stationSet.has(station)) {
+                stationSet.remove(station);
+                return false;
+            }
+            return stationSet.add(station);
+        },
+
+        /**
+         * Checks if a station is in the set.
+         * @param {Object|number} station - WeatherStation instance or station ID
+         * @returns {boolean} True if present
+         */
+        has(station) {
+            const id = typeof station === 'number' ? station : station?.id;
+            return stations.has(id);
+        },
+
+        /**
+         * Removes all stations.
+         */
+        clear() {
+            if (!stations.size) return;
+            stations.clear();
+            notifyChange();
+        },
+
+        /**
+         * Gets the stations in insertion order.
+         * @returns {Object[]} WeatherStation instances
+         */
+        getAll() {
+            return [...stations.values()];
+        },
+
+        /**
+         * Gets the number of stations in the set.
+         * @returns {number} Station count
+         */
+        size() {
+            return stations.size;
+        },
+
+        /**
+         * Checks if the set has reached its size limit.
+         * @returns {boolean} True if full
+         */
+        isFull() {
+            return stations.size >= maxSize;
+        },
+
+        /**
+         * Sets callback for when the set changes.
+         * @param {Function} callback - Callback function (stations) => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return stationSet;
+}
@@ -3,13 +3,33 @@
  * @module main
  */
 
-import { CONFIG, UI_ELEMENTS } from './config/constants.js';
+import { CONFIG, MAP_CONFIG, UI_ELEMENTS } from './config/constants.js';
 import { createToastManager } from './core/toastManager.js';
+import { registerServiceWorker } from './core/serviceWorker.js';
+import { createRouter } from './core/router.js';
 import { createWeatherStation } from './models/WeatherStation.js';
 import { createWeatherStationAPI } from './services/WeatherStationAPI.js';
+import { createDownloadManager } from './services/DownloadManager.js';
+import { createDownloadHistory } from './services/DownloadHistory.js';
+import { createCollectionStore } from './services/CollectionStore.js';
+import { createOverlayStore } from './services/OverlayStore.js';
 import { createMapController } from './components/MapController.js';
 import { createSensorList } from './components/SensorList.js';
 import { createObservationPanel } from './components/ObservationPanel.js';
+import { createComparisonWorkspace } from './components/ComparisonWorkspace.js';
+import { createBulkExport } from './components/BulkExport.js';
+import { createDownloadQueue } from './components/DownloadQueue.js';
+import { createDownloadHistoryPanel } from './components/DownloadHistoryPanel.js';
+import { createOfflineBanner } from './components/OfflineBanner.js';
+import { createCollectionsManager } from './components/CollectionsManager.js';
+import { createStationFilters } from './components/StationFilters.js';
+import { createStationAutocomplete } from './components/StationAutocomplete.js';
+import { createNearestStations } from './components/NearestStations.js';
+import { createMapLegend } from './components/MapLegend.js';
+import { createAreaSelection } from './components/AreaSelection.js';
+import { createStationExport } from './components/StationExport.js';
+import { createOverlayManager } from './components/OverlayManager.js';
+import { createStationSet } from './core/stationSet.js';
 
 /**
  * Creates the main Weather App instance.
@@ -18,16 +38,55 @@ import { createObservationPanel } from './components/ObservationPanel.js';
 function createWeatherApp() {
     // Core services
     const toastManager = createToastManager();
-    const api = createWeatherStationAPI(CONFIG.API_BASE, toastManager);
+    const api = createWeatherStationAPI(CONFIG.API_BASE, toastManager, {
+        persistence: CONFIG.API_CACHE_PERSISTENCE
+    });
+    const downloadManager = createDownloadManager(api, toastManager);
+    const downloadHistory = createDownloadHistory();
+
+    // URL state (selected station, year, map view and search text)
+    const router = createRouter();
+    let stationsById = new Map();
+    let restoringRoute = false;
 
     // UI Components
+    const offlineBanner = createOfflineBanner(toastManager);
     const mapController = createMapController('map', toastManager);
+    const mapLegend = createMapLegend();
     const sensorList = createSensorList(
         UI_ELEMENTS.sensor.$listGroup,
         UI_ELEMENTS.sensor.$searchInput,
         UI_ELEMENTS.sensor.$list
     );
-    const observationPanel = createObservationPanel(api, toastManager);
+    const stationFilters = createStationFilters();
+    const stationAutocomplete = createStationAutocomplete();
+    const nearestStations = createNearestStations();
+    const observationPanel = createObservationPanel(api, toastManager, downloadManager);
+    const downloadQueue = createDownloadQueue(downloadManager);
+    const downloadHistoryPanel = createDownloadHistoryPanel(api, toastManager, downloadManager, downloadHistory);
+
+    // Stations pinned for comparison
+    const comparisonSet = createStationSet({ maxSize: CONFIG.MAX_COMPARISON_STATIONS });
+    const comparisonWorkspace = createComparisonWorkspace(api, toastManager, comparisonSet);
+
+    // Stations selected for bulk export
+    const exportSet = createStationSet();
+    const bulkExport = createBulkExport(api, toastManager, exportSet);
+
+    // Favourite stations and named collections
+    const collectionStore = createCollectionStore();
+    const collectionsManager = createCollectionsManager(toastManager, collectionStore);
+
+    // Stations selected by drawing areas on the map
+    const areaSet = createStationSet();
+    const areaSelection = createAreaSelection(areaSet);
+
+    // User overlay layers
+    const overlayStore = createOverlayStore();
+    const overlayManager = createOverlayManager(toastManager, overlayStore);
+
+    // Station catalogue export
+    const stationExport = createStationExport(toastManager, getExportStations);
 
     /**
      * Handles station selection from any source (map click, list click).
@@ -53,6 +112,10 @@ function createWeatherApp() {
         sensorList.highlightStation(station);
         // Show observation panel
         observationPanel.showForStation(station, coLocatedStations);
+
+        if (!restoringRoute) {
+            router.update({ station: station.id, year: null }, { push: true });
+        }
     }
 
     /**
@@ -73,7 +136,9 @@ function createWeatherApp() {
             const rawStationData = await api.fetchStations();
 
             if (!rawStationData.length ) {
-                mapController.showError("No weather stations found.");
+                mapController.showError(offlineBanner.isOffline()
+                    ? 'Weather stations have not been saved for offline use yet. Connect once to load them.'
+                    : "No weather stations found.");
                 return;
             }
 
@@ -86,18 +151,281 @@ function createWeatherApp() {
                         console.warn('Failed to create weather station:', rawData, error);
                         return null;
                     }
-                });
+                })
+                .filter(Boolean);
 
             // Populate components
             sensorList.render(allStations);
             mapController.addStations(allStations);
-            
+            downloadHistoryPanel.setStations(allStations);
+            stationAutocomplete.setStations(allStations);
+            nearestStations.setStations(allStations);
+            mapLegend.setStations(allStations);
+            stationsById = new Map(allStations.map(station => [station.id, station]));
+            applyStationFilters(stationFilters.getPredicate());
+
             mapController.hideLoader();
+
+            // Restore the station, year and view from the URL
+            applyRoute(router.getState());
         } catch (error) {
             toastManager.handleError(error, 'loadStations', 'Failed to load weather stations');
         }
     }
 
+    /**
+     * Restores the application state described by the URL.
+     * @param {Object} state - Route state from the router
+     */
+    function applyRoute(state) {
+        restoringRoute = true;
+        try {
+            sensorList.setFilter(state.search);
+
+            const station = stationsById.get(state.station);
+            if (station) {
+                mapController.selectStation(station);
+                observationPanel.selectYear(state.year);
+            } else if (observationPanel.isOpen()) {
+                observationPanel.close();
+            }
+
+            // Apply the view last so it wins over the animation to the selected station
+            mapController.setView(state.center, state.zoom);
+        } finally {
+            restoringRoute = false;
+        }
+    }
+
+    /**
+     * Keeps the URL in sync with the selection, map view and search text.
+     */
+    function setupRouting() {
+        observationPanel.onYearChanged((year) => {
+            if (!restoringRoute) {
+                router.update({ year }, { push: true });
+            }
+        });
+        mapController.onViewChanged((center, zoom) => {
+            sensorList.setMapCenter(center);
+            if (!restoringRoute) {
+                router.update({ center, zoom });
+            }
+        });
+        sensorList.onSearchChanged((search) => {
+            if (!restoringRoute) {
+                router.update({ search });
+            }
+        });
+
+        // Back/forward navigation
+        router.onChange(applyRoute);
+    }
+
+    /**
+     * Pins or unpins a station for comparison.
+     * @param {Object} station - WeatherStation instance
+     */
+    function toggleComparisonPin(station) {
+        if (!comparisonSet.has(station) && comparisonSet.isFull()) {
+            toastManager.error(`You can compare up to ${CONFIG.MAX_COMPARISON_STATIONS} stations. Unpin one to add another.`);
+            return;
+        }
+        comparisonSet.toggle(station);
+    }
+
+    /**
+     * Adds the comparison pin buttons to the station list and observation panel.
+     */
+    function setupComparison() {
+        const pinAction = {
+            id: 'compare',
+            icon: 'bi-pin-angle',
+            activeIcon: 'bi-pin-angle-fill',
+            label: (station, active) => active
+                ? `Unpin ${station.name} from comparison`
+                : `Pin ${station.name} for comparison`,
+            isActive: (station) => comparisonSet.has(station),
+            onClick: toggleComparisonPin
+        };
+
+        sensorList.addItemAction(pinAction);
+        observationPanel.addStationAction({ ...pinAction, colocated: true });
+
+        comparisonSet.onChange(() => {
+            sensorList.refreshItemActions();
+            observationPanel.refreshStationActions();
+            comparisonWorkspace.refresh();
+        });
+    }
+
+    /**
+     * Adds the bulk export selection buttons to the station list and observation panel.
+     */
+    function setupBulkExport() {
+        const exportAction = {
+            id: 'export',
+            icon: 'bi-square',
+            activeIcon: 'bi-check-square-fill',
+            label: (station, active) => active
+                ? `Remove ${station.name} from bulk export`
+                : `Select ${station.name} for bulk export`,
+            isActive: (station) => exportSet.has(station),
+            onClick: (station) => exportSet.toggle(station)
+        };
+
+        sensorList.addItemAction(exportAction);
+        observationPanel.addStationAction(exportAction);
+
+        bulkExport.onAddVisibleClicked(() => {
+            const added = exportSet.addAll(mapController.getStationsInView());
+            toastManager.success(added
+                ? `Added ${added} stations from the map view.`
+                : 'No new stations in the map view.');
+        });
+
+        exportSet.onChange(() => {
+            sensorList.refreshItemActions();
+            observationPanel.refreshStationActions();
+            bulkExport.refresh();
+        });
+    }
+
+    /**
+     * Applies the advanced filters to the station list and the map markers.
+     * @param {Function|null} predicate - (station) => boolean, or null for no filter
+     */
+    function applyStationFilters(predicate) {
+        const stations = [...stationsById.values()];
+        const matching = predicate ? stations.filter(predicate) : stations;
+
+        sensorList.setStationFilter(predicate);
+        mapController.setVisibleStations(predicate ? matching.map(station => station.id) : null);
+        stationFilters.setCount(matching.length, stations.length);
+    }
+
+    /**
+     * Adds the favourite and collection buttons and wires the collection scope and highlight.
+     */
+    function setupCollections() {
+        const favouriteAction = {
+            id: 'favourite',
+            icon: 'bi-star',
+            activeIcon: 'bi-star-fill',
+            label: (station, active) => active
+                ? `Remove ${station.name} from favourites`
+                : `Add ${station.name} to favourites`,
+            isActive: (station) => collectionStore.isFavourite(station),
+            onClick: (station) => collectionStore.toggleFavourite(station)
+        };
+
+        sensorList.addItemAction(favouriteAction);
+        observationPanel.addStationAction(favouriteAction);
+        observationPanel.addStationAction({
+            id: 'collections',
+            icon: 'bi-collection',
+            activeIcon: 'bi-collection-fill',
+            label: (station) => `Add ${station.name} to a collection`,
+            isActive: (station) => collectionStore.isInAnyCollection(station),
+            onClick: (station) => collectionsManager.open(station)
+        });
+
+        collectionsManager.onScopeChanged((stationIds) => sensorList.setScope(stationIds));
+        collectionsManager.onHighlightChanged((stationIds) => mapController.highlightStations(stationIds));
+
+        collectionStore.onChange(() => {
+            sensorList.refreshItemActions();
+            observationPanel.refreshStationActions();
+            collectionsManager.refresh();
+        });
+        collectionsManager.refresh();
+    }
+
+    /**
+     * Shows the imported overlay layers on the map and loads the saved ones.
+     */
+    function setupOverlays() {
+        overlayManager.onOverlaysChanged((overlays) => {
+            mapController.setOverlays(overlays);
+        });
+        overlayManager.onZoomRequested((overlayId) => {
+            mapController.zoomToOverlay(overlayId);
+        });
+        overlayManager.load();
+    }
+
+    /**
+     * Gets the loaded stations for a catalogue export scope.
+     * @param {string} scope - 'all', 'filtered' (matching the advanced filters), 'area' or 'bulk'
+     * @returns {Object[]} WeatherStation instances
+     */
+    function getExportStations(scope) {
+        const stations = [...stationsById.values()];
+        switch (scope) {
+            case 'filtered': {
+                const predicate = stationFilters.getPredicate();
+                return predicate ? stations.filter(predicate) : stations;
+            }
+            case 'area':
+                return areaSet.getAll();
+            case 'bulk':
+                return exportSet.getAll();
+            default:
+                return stations;
+        }
+    }
+
+    /**
+     * Wires the map draw tools to the area selection and its export and comparison buttons.
+     */
+    function setupAreaSelection() {
+        areaSelection.onToolChanged((tool, radiusKm) => {
+            if (tool) {
+                mapController.startAreaDrawing(tool, radiusKm);
+            } else {
+                mapController.stopAreaDrawing();
+            }
+        });
+
+        mapController.onAreaDrawn((stations, modifier) => {
+            const mode = modifier || areaSelection.getMode();
+            if (mode === 'remove') {
+                areaSet.removeAll(stations);
+                return;
+            }
+            if (mode === 'replace') {
+                areaSet.clear();
+            }
+            areaSet.addAll(stations);
+        });
+
+        areaSelection.onStationChosen((station) => {
+            mapController.selectStation(station);
+        });
+        areaSelection.onExportClicked((stations) => {
+            const added = exportSet.addAll(stations);
+            toastManager.success(added
+                ? `Added ${added} stations to bulk export.`
+                : 'The selected stations are already in bulk export.');
+        });
+        areaSelection.onCompareClicked((stations) => {
+            const added = comparisonSet.addAll(stations);
+            const missing = stations.filter(station => !comparisonSet.has(station)).length;
+            if (missing) {
+                toastManager.error(`You can compare up to ${CONFIG.MAX_COMPARISON_STATIONS} stations. ${missing} selected stations were not pinned.`);
+            } else {
+                toastManager.success(added
+                    ? `Pinned ${added} stations for comparison.`
+                    : 'The selected stations are already pinned.');
+            }
+        });
+
+        areaSet.onChange((stations) => {
+            mapController.setAreaSelection(stations.map(station => station.id));
+            areaSelection.refresh();
+        });
+    }
+
     /**
      * Sets up communication between components.
      */
@@ -116,10 +444,58 @@ function createWeatherApp() {
             mapController.selectStation(station);
             //handleStationSelection(station, false);
         });
+        // Search suggestions
+        stationAutocomplete.onStationChosen((station) => {
+            mapController.selectStation(station);
+        });
+
+        // Keep the panel's download tokens current after the API replaced rejected ones
+        api.onTokensRefreshed((station, year, files) => {
+            observationPanel.updateTokens(station, year, files);
+        });
 
         // Observation panel close events
         observationPanel.onPanelClosed(() => {
             clearSelection();
+            if (!restoringRoute) {
+                router.update({ station: null, year: null }, { push: true });
+            }
+        });
+
+        // Download queue updates
+        downloadManager.onChange((items) => {
+            downloadQueue.render(items);
+        });
+
+        // Nearest stations tool
+        mapController.onPointPicked((point) => {
+            nearestStations.findFrom(point);
+        });
+        nearestStations.onResults((point, stations) => {
+            mapController.showNearest(point, stations);
+        });
+        nearestStations.onStationChosen((station) => {
+            mapController.selectStation(station);
+        });
+        nearestStations.onCleared(() => {
+            mapController.clearNearest();
+        });
+
+        // Advanced station filters
+        stationFilters.onChange(applyStationFilters);
+
+        // Download history logging
+        downloadManager.onSettled((item) => {
+            downloadHistory.record(item);
+        });
+        observationPanel.onDataReceived((download) => {
+            downloadHistory.add([download]);
+        });
+        bulkExport.onDownloaded((downloads) => {
+            downloadHistory.add(downloads);
+        });
+        downloadHistory.onChange(() => {
+            downloadHistoryPanel.refresh();
         });
     }
 
@@ -136,6 +512,33 @@ function createWeatherApp() {
             sensorList.hide();
         });
 
+        // Basemap switcher; shows the fallback when the chosen basemap fails
+        const $basemapSelect = UI_ELEMENTS.map.$basemapSelect;
+        MAP_CONFIG.BASEMAPS.forEach((basemap) => {
+            $('<option>').val(basemap.id).text(basemap.label).appendTo($basemapSelect);
+        });
+        $basemapSelect.val(mapController.getBasemap());
+        $basemapSelect.on('change', () => {
+            mapController.setBasemap($basemapSelect.val());
+        });
+        mapController.onBasemapChanged((basemapId) => {
+            $basemapSelect.val(basemapId);
+        });
+
+        // Marker clustering toggle
+        const $clusterToggle = UI_ELEMENTS.map.$clusterToggle;
+        $clusterToggle.attr('aria-pressed', String(mapController.isClustering()));
+        $clusterToggle.on('click', () => {
+            mapController.setClustering(!mapController.isClustering());
+            $clusterToggle.attr('aria-pressed', String(mapController.isClustering()));
+        });
+
+        // Marker theme and legend
+        mapLegend.setTheme(mapController.getMarkerTheme());
+        mapLegend.onThemeChanged((themeId) => {
+            mapController.setMarkerTheme(themeId);
+        });
+
         // Handle window resize for mobile responsiveness
         $(window).on('resize', () => {
             observationPanel.updateExpandButton();
@@ -145,7 +548,9 @@ function createWeatherApp() {
         $(document).on('keydown', (event) => {
             // ESC key closes overlays
             if (event.key === 'Escape') {
-                if (observationPanel.isOpen()) {
+                if (areaSelection.isDrawing()) {
+                    areaSelection.stopTool();
+                } else if (observationPanel.isOpen()) {
                     observationPanel.close();
                 } else if (sensorList.isOpen()) {
                     sensorList.hide();
@@ -164,6 +569,12 @@ function createWeatherApp() {
 
             // Setup component communication
             setupComponentCommunication();
+            setupComparison();
+            setupBulkExport();
+            setupCollections();
+            setupAreaSelection();
+            setupOverlays();
+            setupRouting();
 
             // Setup global event handlers
             setupGlobalEventHandlers();
@@ -171,6 +582,9 @@ function createWeatherApp() {
             // Load stations data
             await loadStations();
 
+            // Cache the app for offline use
+            registerServiceWorker();
+
         } catch (error) {
             toastManager.handleError(error, 'initialization', 'Failed to initialize Weather Archive');
         }
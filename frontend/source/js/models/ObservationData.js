@@ -68,6 +68,31 @@ export function createObservationData(fileData) {
             return $button;
         },
 
+        /**
+         * Creates a preview button element for this observation data.
+         * @returns {jQuery} Preview button element
+         */
+        createPreviewButton() {
+            const monthName = this.getMonthName();
+
+            const $button = $('<button>')
+                .addClass('btn btn-link preview-observation')
+                .attr({
+                    type: 'button',
+                    'data-year': this.year,
+                    'data-month': this.month,
+                    'aria-label': `Preview data for ${monthName}`,
+                    'title': `Preview data for ${monthName}`
+                });
+
+            $('<i>')
+                .addClass('bi bi-eye')
+                .attr('aria-hidden', 'true')
+                .appendTo($button);
+
+            return $button;
+        },
+
         /**
          * Creates a list item element for this observation data.
          * @returns {jQuery} List item element
@@ -84,7 +109,8 @@ export function createObservationData(fileData) {
                 .appendTo($listItem);
 
             const $button = this.createDownloadButton();
-            $listItem.append($button);
+            const $previewButton = this.createPreviewButton();
+            $listItem.append($button, $previewButton);
 
             return $listItem;
         }
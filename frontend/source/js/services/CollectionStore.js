@@ -0,0 +1,272 @@
+/**
+ * Collection store factory
+ * @module services/CollectionStore
+ */
+
+const STORAGE_KEY = 'wa-collections';
+const EXPORT_VERSION = 1;
+
+/**
+ * Normalizes a list of station IDs.
+ * @param {*} ids - Candidate ID list
+ * @returns {number[]} Unique positive integer IDs
+ */
+function toStationIds(ids) {
+    if (!Array.isArray(ids)) return [];
+    return [...new Set(ids.map(Number).filter(id => Number.isInteger(id) && id > 0))];
+}
+
+/**
+ * Creates a store of favourite stations and named station collections, saved in localStorage.
+ * @returns {Object} CollectionStore instance
+ */
+export function createCollectionStore() {
+    // Private state
+    let favourites = new Set();
+    let collections = [];
+    let nextId = 1;
+
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Loads saved favourites and collections.
+     */
+    function load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (!saved) return;
+
+            favourites = new Set(toStationIds(saved.favourites));
+            collections = (Array.isArray(saved.collections) ? saved.collections : [])
+                .filter(collection => collection && typeof collection.name === 'string')
+                .map(collection => ({
+                    id: Number(collection.id) || 0,
+                    name: collection.name,
+                    stationIds: toStationIds(collection.stationIds)
+                }));
+            collections.forEach((collection) => {
+                if (!collection.id) collection.id = nextId;
+                nextId = Math.max(nextId, collection.id + 1);
+            });
+        } catch (error) {
+            console.warn('Failed to load saved collections:', error);
+        }
+    }
+
+    /**
+     * Saves favourites and collections, then notifies listeners.
+     */
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                favourites: [...favourites],
+                collections
+            }));
+        } catch (error) {
+            console.warn('Failed to save collections:', error);
+        }
+        if (onChange) onChange();
+    }
+
+    /**
+     * Finds a collection by ID.
+     * @param {number} id - Collection ID
+     * @returns {Object} Collection
+     * @throws {Error} When the collection does not exist
+     */
+    function findCollection(id) {
+        const collection = collections.find(c => c.id === id);
+        if (!collection) {
+            throw new Error('Collection not found');
+        }
+        return collection;
+    }
+
+    /**
+     * Validates a collection name.
+     * @param {string} name - Proposed name
+     * @param {number} [exceptId] - Collection being renamed
+     * @returns {string} Trimmed name
+     * @throws {Error} When the name is empty or already used
+     */
+    function validateName(name, exceptId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Collection name is required');
+        }
+        if (collections.some(c => c.id !== exceptId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A collection named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    // Initialize
+    load();
+
+    // Public API
+    const collectionStore = {
+        /**
+         * Checks if a station is a favourite.
+         * @param {Object} station - WeatherStation instance
+         * @returns {boolean} True if starred
+         */
+        isFavourite(station) {
+            return favourites.has(station.id);
+        },
+
+        /**
+         * Stars or unstars a station.
+         * @param {Object} station - WeatherStation instance
+         */
+        toggleFavourite(station) {
+            if (favourites.has(station.id)) {
+                favourites.delete(station.id);
+            } else {
+                favourites.add(station.id);
+            }
+            save();
+        },
+
+        /**
+         * Gets the IDs of the starred stations.
+         * @returns {number[]} Station IDs
+         */
+        getFavouriteIds() {
+            return [...favourites];
+        },
+
+        /**
+         * Gets every collection.
+         * @returns {Object[]} Collections {id, name, stationIds}
+         */
+        getCollections() {
+            return collections.map(c => ({ ...c, stationIds: [...c.stationIds] }));
+        },
+
+        /**
+         * Gets a collection.
+         * @param {number} id - Collection ID
+         * @returns {Object|null} Collection {id, name, stationIds}, or null if not found
+         */
+        getCollection(id) {
+            const collection = collections.find(c => c.id === id);
+            return collection ? { ...collection, stationIds: [...collection.stationIds] } : null;
+        },
+
+        /**
+         * Checks if a station belongs to any collection.
+         * @param {Object} station - WeatherStation instance
+         * @returns {boolean} True if the station is in at least one collection
+         */
+        isInAnyCollection(station) {
+            return collections.some(c => c.stationIds.includes(station.id));
+        },
+
+        /**
+         * Creates a collection.
+         * @param {string} name - Collection name
+         * @param {number[]} [stationIds=[]] - Initial station IDs
+         * @returns {Object} The new collection
+         * @throws {Error} When the name is empty or already used
+         */
+        createCollection(name, stationIds = []) {
+            const collection = { id: nextId++, name: validateName(name), stationIds: toStationIds(stationIds) };
+            collections.push(collection);
+            save();
+            return { ...collection };
+        },
+
+        /**
+         * Renames a collection.
+         * @param {number} id - Collection ID
+         * @param {string} name - New name
+         * @throws {Error} When the name is empty or already used
+         */
+        renameCollection(id, name) {
+            const collection = findCollection(id);
+            collection.name = validateName(name, id);
+            save();
+        },
+
+        /**
+         * Deletes a collection.
+         * @param {number} id - Collection ID
+         */
+        deleteCollection(id) {
+            collections = collections.filter(c => c.id !== id);
+            save();
+        },
+
+        /**
+         * Adds a station to, or removes it from, a collection.
+         * @param {number} id - Collection ID
+         * @param {Object} station - WeatherStation instance
+         */
+        toggleInCollection(id, station) {
+            const collection = findCollection(id);
+            collection.stationIds = collection.stationIds.includes(station.id)
+                ? collection.stationIds.filter(stationId => stationId !== station.id)
+                : [...collection.stationIds, station.id];
+            save();
+        },
+
+        /**
+         * Serializes favourites and collections as JSON.
+         * @returns {string} JSON text
+         */
+        exportJson() {
+            return JSON.stringify({
+                version: EXPORT_VERSION,
+                favourites: [...favourites],
+                collections: collections.map(({ name, stationIds }) => ({ name, stationIds }))
+            }, null, 2);
+        },
+
+        /**
+         * Merges favourites and collections from exported JSON.
+         * Collections with the same name are combined.
+         * @param {string} text - JSON text
+         * @returns {{favourites: number, collections: number}} Number of favourites and collections imported
+         * @throws {Error} When the text is not a valid collections file
+         */
+        importJson(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                throw new Error('The file is not valid JSON');
+            }
+            if (!data || typeof data !== 'object' || (!Array.isArray(data.favourites) && !Array.isArray(data.collections))) {
+                throw new Error('The file does not contain station collections');
+            }
+
+            const importedFavourites = toStationIds(data.favourites);
+            importedFavourites.forEach(id => favourites.add(id));
+
+            const importedCollections = (Array.isArray(data.collections) ? data.collections : [])
+                .filter(c => c && typeof c.name === 'string' && c.name.trim());
+            importedCollections.forEach(({ name, stationIds }) => {
+                const existing = collections.find(c => c.name.toLowerCase() === name.trim().toLowerCase());
+                if (existing) {
+                    existing.stationIds = toStationIds([...existing.stationIds, ...toStationIds(stationIds)]);
+                } else {
+                    collections.push({ id: nextId++, name: name.trim(), stationIds: toStationIds(stationIds) });
+                }
+            });
+
+            save();
+            return { favourites: importedFavourites.length, collections: importedCollections.length };
+        },
+
+        /**
+         * Sets callback for when favourites or collections change.
+         * @param {Function} callback - Callback function () => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return collectionStore;
+}
@@ -0,0 +1,158 @@
+/**
+ * Download history factory
+ * @module services/DownloadHistory
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { withStore } from '../core/database.js';
+
+const STORE_NAME = 'downloads';
+
+// History outcome of each final download manager state
+const ITEM_OUTCOMES = {
+    done: 'success',
+    failed: 'failed',
+    cancelled: 'cancelled'
+};
+
+/**
+ * Creates a download history that keeps a log of file downloads in IndexedDB.
+ * @returns {Object} DownloadHistory instance
+ */
+export function createDownloadHistory() {
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Notifies the change callback.
+     */
+    function notifyChange() {
+        if (onChange) onChange();
+    }
+
+    /**
+     * Deletes the oldest entries once the log grows beyond the configured limit.
+     */
+    async function prune() {
+        await withStore(STORE_NAME, 'readwrite', (store) => {
+            let excess = 0;
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                excess = countRequest.result - CONFIG.MAX_HISTORY_ENTRIES;
+                if (excess <= 0) return;
+
+                // Walk the timestamp index from the oldest entry
+                store.index('timestamp').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    // Public API
+    const downloadHistory = {
+        /**
+         * Logs downloads of observation data with their outcome.
+         * @param {Object[]} downloads - Downloads to log
+         * @param {string} downloads[].stationId - Station ID
+         * @param {string} downloads[].stationName - Station name
+         * @param {string} downloads[].fileName - Saved or previewed file name
+         * @param {number} downloads[].size - Size in bytes
+         * @param {string} downloads[].source - 'download', 'preview', 'range' or 'bulk'
+         * @param {number} [downloads[].year] - Year of a monthly or yearly file
+         * @param {number|string} [downloads[].month] - Month (1-12) or 'all' of a monthly or yearly file
+         * @param {number} [downloads[].start] - Range start in epoch milliseconds, for date ranges
+         * @param {number} [downloads[].end] - Range end in epoch milliseconds, for date ranges
+         * @param {string} [downloads[].outcome='success'] - 'success', 'failed' or 'cancelled'
+         * @param {string} [downloads[].message] - Error message, or extra detail (e.g., the archive a file was saved in)
+         * @param {number} [downloads[].timestamp] - When the download settled; defaults to now
+         * @returns {Promise<void>}
+         */
+        async add(downloads) {
+            if (!downloads.length) return;
+
+            const entries = downloads.map(download => ({
+                stationId: download.stationId,
+                stationName: download.stationName,
+                year: download.year ?? null,
+                month: download.month ?? null,
+                start: download.start ?? null,
+                end: download.end ?? null,
+                fileName: download.fileName,
+                size: download.size || 0,
+                source: download.source,
+                timestamp: download.timestamp || Date.now(),
+                outcome: download.outcome || 'success',
+                message: download.message || ''
+            }));
+
+            try {
+                await withStore(STORE_NAME, 'readwrite', (store) => {
+                    entries.forEach(entry => store.add(entry));
+                });
+                await prune();
+                notifyChange();
+            } catch (error) {
+                // History is a convenience; never let it break a download
+                console.warn('Failed to record download history:', error);
+            }
+        },
+
+        /**
+         * Logs a settled observation file download from the download manager with its outcome.
+         * @param {Object} item - Download manager item
+         * @returns {Promise<void>}
+         */
+        async record(item) {
+            const { meta } = item;
+            if (!meta || !meta.stationId || !ITEM_OUTCOMES[item.state]) {
+                return;
+            }
+
+            await downloadHistory.add([{
+                stationId: meta.stationId,
+                stationName: meta.stationName,
+                year: meta.year,
+                month: meta.month,
+                fileName: item.fileName || meta.fileName,
+                size: item.size,
+                source: 'download',
+                outcome: ITEM_OUTCOMES[item.state],
+                message: item.error || '',
+                timestamp: item.finishedAt
+            }]);
+        },
+
+        /**
+         * Gets every logged download, newest first.
+         * @returns {Promise<Object[]>} History entries
+         */
+        async getAll() {
+            const entries = await withStore(STORE_NAME, 'readonly', store => store.index('timestamp').getAll());
+            return entries.reverse();
+        },
+
+        /**
+         * Deletes every logged download.
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            await withStore(STORE_NAME, 'readwrite', store => store.clear());
+            notifyChange();
+        },
+
+        /**
+         * Sets callback for when the history changes.
+         * @param {Function} callback - Callback function () => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return downloadHistory;
+}
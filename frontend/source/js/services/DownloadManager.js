@@ -0,0 +1,287 @@
+/**
+ * Download manager factory
+ * @module services/DownloadManager
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { isThrottledError, isTransientError } from '../utils/concurrency.js';
+import { saveBlob } from '../utils/fileSaver.js';
+import { getObservationFileName } from '../utils/formatters.js';
+
+/**
+ * Creates a download manager that queues file downloads with progress, cancel and retry.
+ * @param {Object} api - WeatherStationAPI instance
+ * @param {Object} toastManager - Toast manager for notifications
+ * @returns {Object} DownloadManager instance
+ */
+export function createDownloadManager(api, toastManager) {
+    if (!api || !toastManager) {
+        throw new Error('API and toast manager are required');
+    }
+
+    // Private state
+    const items = [];
+    let nextId = 0;
+    let activeCount = 0;
+    let changeFrame = null;
+
+    // Event callbacks
+    let onChange = null;
+    let onSettled = null;
+
+    /**
+     * Notifies the change callback with a snapshot of the queue, at most once per animation frame
+     * so progress chunks don't re-render the queue for every few kilobytes.
+     */
+    function notifyChange() {
+        if (!onChange || changeFrame !== null) return;
+        changeFrame = requestAnimationFrame(() => {
+            changeFrame = null;
+            if (onChange) {
+                onChange(items.map(item => ({ ...item })));
+            }
+        });
+    }
+
+    /**
+     * Marks an item as finished and notifies listeners.
+     * @param {Object} item - Queue item
+     * @param {string} state - Final state: 'done', 'failed' or 'cancelled'
+     * @param {Error} [error] - Failure reason
+     */
+    function settle(item, state, error = null) {
+        item.state = state;
+        item.error = error ? error.message : null;
+        item.finishedAt = Date.now();
+        item.controller = null;
+        notifyChange();
+
+        if (onSettled) {
+            onSettled({ ...item });
+        }
+        item.resolve({ ...item });
+    }
+
+    /**
+     * Drops the oldest finished items when the queue grows too long.
+     */
+    function trimQueue() {
+        while (items.length > CONFIG.MAX_QUEUE_ITEMS) {
+            const index = items.findIndex(item => ['done', 'failed', 'cancelled'].includes(item.state));
+            if (index === -1) return;
+            items.splice(index, 1);
+        }
+    }
+
+    /**
+     * Schedules an automatic retry with exponential back-off or the server's Retry-After delay.
+     * @param {Object} item - Queue item
+     * @param {Error} error - The retryable error
+     */
+    function scheduleRetry(item, error) {
+        const waitMs = error.retryAfter ?? CONFIG.DOWNLOAD_BACKOFF_MS * Math.pow(2, item.attempts - 1);
+        item.state = 'retrying';
+        item.error = error.message;
+        item.retryAt = Date.now() + waitMs;
+        item.retryTimer = setTimeout(() => {
+            item.retryTimer = null;
+            if (item.state === 'retrying') {
+                item.state = 'queued';
+                processQueue();
+            }
+        }, waitMs);
+        notifyChange();
+    }
+
+    /**
+     * Runs a single download attempt.
+     * @param {Object} item - Queue item
+     */
+    async function runItem(item) {
+        activeCount++;
+        item.state = 'downloading';
+        item.attempts++;
+        item.received = 0;
+        item.total = 0;
+        item.error = null;
+        item.controller = new AbortController();
+        notifyChange();
+
+        try {
+            const { blob, fileName } = await item.run(item.controller.signal, (received, total) => {
+                item.received = received;
+                item.total = total;
+                notifyChange();
+            });
+
+            item.fileName = fileName;
+            item.size = blob.size;
+            saveBlob(blob, fileName);
+            settle(item, 'done');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                settle(item, 'cancelled');
+            } else if (isTransientError(error) && item.attempts <= CONFIG.DOWNLOAD_RETRIES) {
+                item.controller = null;
+                scheduleRetry(item, error);
+            } else {
+                const userMessage = isThrottledError(error) ? error.message : `Failed to download ${item.label}`;
+                toastManager.handleError(error, 'downloadManager', userMessage);
+                settle(item, 'failed', error);
+            }
+        } finally {
+            activeCount--;
+            processQueue();
+        }
+    }
+
+    /**
+     * Starts queued items while below the concurrency limit.
+     */
+    function processQueue() {
+        while (activeCount < CONFIG.DOWNLOAD_CONCURRENCY) {
+            const next = items.find(item => item.state === 'queued');
+            if (!next) return;
+            runItem(next);
+        }
+    }
+
+    /**
+     * Finds a queue item by ID.
+     * @param {number} id - Item ID
+     * @returns {Object|undefined} Queue item
+     */
+    function findItem(id) {
+        return items.find(item => item.id === id);
+    }
+
+    // Public API
+    const downloadManager = {
+        /**
+         * Adds a download job to the queue.
+         * @param {Object} job - Download job
+         * @param {string} job.label - Display label
+         * @param {Function} job.run - (signal, onProgress) => Promise<{blob: Blob, fileName: string}>
+         * @param {Object} [job.meta] - Extra details kept with the item (e.g., station and period)
+         * @returns {Promise<Object>} Resolves with the item once it is done, failed or cancelled
+         */
+        enqueue({ label, run, meta = {} }) {
+            return new Promise((resolve) => {
+                items.push({
+                    id: ++nextId,
+                    label,
+                    run,
+                    meta,
+                    state: 'queued',
+                    attempts: 0,
+                    received: 0,
+                    total: 0,
+                    size: 0,
+                    fileName: null,
+                    error: null,
+                    retryAt: null,
+                    retryTimer: null,
+                    controller: null,
+                    createdAt: Date.now(),
+                    finishedAt: null,
+                    resolve
+                });
+                trimQueue();
+                notifyChange();
+                processQueue();
+            });
+        },
+
+        /**
+         * Queues a monthly or yearly combined observation file.
+         * @param {Object} station - WeatherStation instance
+         * @param {number} year - The year of the data
+         * @param {number|string} month - The month (1-12) or 'all'
+         * @param {string} token - Download token
+         * @param {string} label - Display label
+         * @returns {Promise<Object>} Resolves with the settled item
+         */
+        enqueueFile(station, year, month, token, label) {
+            return downloadManager.enqueue({
+                label,
+                meta: {
+                    stationId: station.id,
+                    stationName: station.name,
+                    year,
+                    month,
+                    fileName: getObservationFileName(station.id, year, month)
+                },
+                run: (signal, onProgress) => api.fetchStationFile(station, year, month, token, { signal, onProgress })
+            });
+        },
+
+        /**
+         * Cancels a queued, running or waiting download.
+         * @param {number} id - Item ID
+         */
+        cancel(id) {
+            const item = findItem(id);
+            if (!item) return;
+
+            if (item.state === 'downloading' && item.controller) {
+                item.controller.abort();
+            } else if (item.state === 'queued' || item.state === 'retrying') {
+                clearTimeout(item.retryTimer);
+                item.retryTimer = null;
+                settle(item, 'cancelled');
+            }
+        },
+
+        /**
+         * Re-queues a failed or cancelled download.
+         * The promise returned by enqueue() has already settled, so the retry gets a promise of its own.
+         * @param {number} id - Item ID
+         * @returns {Promise<Object>|null} Resolves with the item once the retry is done, failed or cancelled;
+         *          null when the item cannot be retried
+         */
+        retry(id) {
+            const item = findItem(id);
+            if (!item || !['failed', 'cancelled'].includes(item.state)) return null;
+
+            return new Promise((resolve) => {
+                item.resolve = resolve;
+                item.state = 'queued';
+                item.attempts = 0;
+                item.error = null;
+                item.finishedAt = null;
+                notifyChange();
+                processQueue();
+            });
+        },
+
+        /**
+         * Removes finished items from the queue.
+         */
+        clearFinished() {
+            for (let i = items.length - 1; i >= 0; i--) {
+                if (['done', 'failed', 'cancelled'].includes(items[i].state)) {
+                    items.splice(i, 1);
+                }
+            }
+            notifyChange();
+        },
+
+        /**
+         * Sets callback for when the queue changes.
+         * @param {Function} callback - Callback function (items) => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        },
+
+        /**
+         * Sets callback for when a download finishes, fails or is cancelled.
+         * @param {Function} callback - Callback function (item) => void
+         */
+        onSettled(callback) {
+            onSettled = callback;
+        }
+    };
+
+    return downloadManager;
+}
@@ -0,0 +1,140 @@
+/**
+ * Observation file loader factory
+ * @module services/ObservationFileLoader
+ */
+
+import { parseCsv } from '../utils/csv.js';
+import { getMonthsInRange } from '../utils/dateRange.js';
+import { findTimeColumn, parseTimestamp } from '../utils/timeSeries.js';
+
+/**
+ * Creates a loader that fetches and parses observation CSV files for a station period.
+ * @param {Object} api - WeatherStationAPI instance
+ * @returns {Object} ObservationFileLoader instance
+ */
+export function createObservationFileLoader(api) {
+    if (!api) {
+        throw new Error('API is required');
+    }
+
+    /**
+     * Fetches and parses a single file.
+     * @param {Object} station - WeatherStation instance
+     * @param {number|string} year - The year
+     * @param {number|string} month - The month (1-12) or 'all'
+     * @param {string} token - Download token
+     * @param {AbortSignal} [signal] - Abort signal for cancellation
+     * @returns {Promise<{headers: string[], rows: string[][]}>} Parsed CSV
+     */
+    async function fetchParsed(station, year, month, token, signal) {
+        const { blob } = await api.fetchStationFile(station, year, month, token, { signal });
+        return parseCsv(await blob.text());
+    }
+
+    const loader = {
+        /**
+         * Splits the file list returned by fetchObservationFiles into monthly and combined entries.
+         * @param {Object[]} files - File metadata with tokens
+         * @returns {{months: {month: number, token: string}[], combinedToken: string|null}} Sorted months and the yearly token
+         */
+        describeFiles(files) {
+            const combinedEntry = files.find(f => f.isYearlyCombined);
+            return {
+                months: files
+                    .filter(f => !f.isYearlyCombined)
+                    .map(f => ({ month: parseInt(f.month, 10), token: f.token }))
+                    .sort((a, b) => a.month - b.month),
+                combinedToken: combinedEntry ? combinedEntry.token : null
+            };
+        },
+
+        /**
+         * Loads the parsed CSV for a station period.
+         * The combined yearly file is used for whole years when available, otherwise monthly files
+         * are fetched one at a time (to stay within the download rate limit) and joined.
+         * @param {Object} station - WeatherStation instance
+         * @param {number|string} year - The year
+         * @param {number|string} period - 'all' for the whole year or a month number
+         * @param {Object} [options] - Load options
+         * @param {Object[]} [options.files] - File metadata already returned by fetchObservationFiles
+         * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+         * @returns {Promise<{headers: string[], rows: string[][]}>} Parsed CSV, empty when no files exist
+         * @throws {Error} When the file list or a file cannot be loaded
+         */
+        async loadPeriod(station, year, period, { files = null, signal = null } = {}) {
+            const fileList = files || await api.loadObservationFiles(station, year, signal);
+            const { months, combinedToken } = loader.describeFiles(fileList);
+
+            if (period !== 'all') {
+                const file = months.find(f => f.month === parseInt(period, 10));
+                if (!file) return { headers: [], rows: [] };
+                return fetchParsed(station, year, file.month, file.token, signal);
+            }
+
+            if (combinedToken) {
+                return fetchParsed(station, year, 'all', combinedToken, signal);
+            }
+
+            let headers = [];
+            const rows = [];
+            for (const file of months) {
+                const parsed = await fetchParsed(station, year, file.month, file.token, signal);
+                if (!headers.length) headers = parsed.headers;
+                rows.push(...parsed.rows);
+            }
+            return { headers, rows };
+        },
+
+        /**
+         * Loads every monthly file touched by a time range, joins them under a single header
+         * and trims the rows to the exact range.
+         * @param {Object} station - WeatherStation instance
+         * @param {number} start - Range start in epoch milliseconds (UTC wall-clock)
+         * @param {number} end - Range end in epoch milliseconds (UTC wall-clock)
+         * @param {Object} [options] - Load options
+         * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+         * @param {Function} [options.onProgress] - (done, total) => void, called after each month
+         * @returns {Promise<{headers: string[], rows: string[][], missing: {year: number, month: number}[]}>}
+         *          Joined CSV and the months that had no file
+         * @throws {Error} When a file list or a file cannot be loaded, so a failure never reads as missing data
+         */
+        async loadRange(station, start, end, { signal = null, onProgress = null } = {}) {
+            const months = getMonthsInRange(start, end);
+            const tokensByYear = new Map();
+            const missing = [];
+            let headers = [];
+            const rows = [];
+
+            for (const [index, { year, month }] of months.entries()) {
+                // Fetch the token list once per year
+                if (!tokensByYear.has(year)) {
+                    const files = await api.loadObservationFiles(station, year, signal);
+                    tokensByYear.set(year, loader.describeFiles(files).months);
+                }
+                signal?.throwIfAborted();
+
+                const file = tokensByYear.get(year).find(f => f.month === month);
+                if (file) {
+                    const parsed = await fetchParsed(station, year, month, file.token, signal);
+                    if (!headers.length) headers = parsed.headers;
+                    rows.push(...parsed.rows);
+                } else {
+                    missing.push({ year, month });
+                }
+
+                if (onProgress) onProgress(index + 1, months.length);
+            }
+
+            // Trim to the exact start and end timestamps
+            const timeColumn = findTimeColumn(headers, rows);
+            const trimmed = timeColumn === -1 ? rows : rows.filter((row) => {
+                const time = parseTimestamp(row[timeColumn]);
+                return time !== null && time >= start && time <= end;
+            });
+
+            return { headers, rows: trimmed, missing };
+        }
+    };
+
+    return loader;
+}
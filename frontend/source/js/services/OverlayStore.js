@@ -0,0 +1,114 @@
+/**
+ * Overlay store factory
+ * @module services/OverlayStore
+ */
+
+import { withStore } from '../core/database.js';
+
+const STORE_NAME = 'overlays';
+
+/**
+ * Creates an overlay store that keeps imported map layers in IndexedDB.
+ * Overlays are {id, name, format, text, featureCount, color, visible, opacity, order, addedAt};
+ * a higher order draws above a lower one.
+ * @returns {Object} OverlayStore instance
+ */
+export function createOverlayStore() {
+    // Event callbacks
+    let onChange = null;
+
+    /**
+     * Notifies the change callback.
+     */
+    function notifyChange() {
+        if (onChange) onChange();
+    }
+
+    /**
+     * Reads every overlay.
+     * @returns {Promise<Object[]>} Overlays, topmost first
+     */
+    async function getAll() {
+        const overlays = await withStore(STORE_NAME, 'readonly', store => store.getAll());
+        return overlays.sort((a, b) => b.order - a.order);
+    }
+
+    // Public API
+    const overlayStore = {
+        /**
+         * Gets every overlay.
+         * @returns {Promise<Object[]>} Overlays, topmost first
+         */
+        getAll,
+
+        /**
+         * Adds an overlay above the others.
+         * @param {Object} overlay - Overlay without id and order
+         * @returns {Promise<number>} ID of the new overlay
+         */
+        async add(overlay) {
+            const overlays = await getAll();
+            const order = overlays.length ? overlays[0].order + 1 : 0;
+            const id = await withStore(STORE_NAME, 'readwrite', store => store.add({
+                ...overlay,
+                order,
+                addedAt: Date.now()
+            }));
+            notifyChange();
+            return id;
+        },
+
+        /**
+         * Changes properties of an overlay.
+         * @param {number} id - Overlay ID
+         * @param {Object} changes - Properties to change (e.g., {visible: false}, {opacity: 0.5})
+         * @returns {Promise<void>}
+         * @throws {Error} When the overlay does not exist
+         */
+        async update(id, changes) {
+            const overlay = await withStore(STORE_NAME, 'readonly', store => store.get(id));
+            if (!overlay) {
+                throw new Error(`Overlay ${id} not found`);
+            }
+            await withStore(STORE_NAME, 'readwrite', store => store.put({ ...overlay, ...changes, id }));
+            notifyChange();
+        },
+
+        /**
+         * Stores a new drawing order.
+         * @param {number[]} ids - Overlay IDs, topmost first
+         * @returns {Promise<void>}
+         */
+        async reorder(ids) {
+            const overlays = await getAll();
+            const byId = new Map(overlays.map(overlay => [overlay.id, overlay]));
+            await withStore(STORE_NAME, 'readwrite', (store) => {
+                ids.forEach((id, index) => {
+                    const overlay = byId.get(id);
+                    if (overlay) store.put({ ...overlay, order: ids.length - index });
+                });
+            });
+            notifyChange();
+        },
+
+        /**
+         * Deletes an overlay.
+         * @param {number} id - Overlay ID
+         * @returns {Promise<void>}
+         */
+        async remove(id) {
+            await withStore(STORE_NAME, 'readwrite', store => store.delete(id));
+            notifyChange();
+        },
+
+        /**
+         * Sets callback for when overlays change.
+         * @param {Function} callback - Callback function () => void
+         */
+        onChange(callback) {
+            onChange = callback;
+        }
+    };
+
+    return overlayStore;
+}
@@ -3,16 +3,104 @@
  * @module services/WeatherStationAPI
  */
 
+import { CONFIG } from '../config/constants.js';
+import { createResponseCache } from '../core/responseCache.js';
 import { validateSensorId, validateYear } from '../utils/validation.js';
+import { getObservationFileName } from '../utils/formatters.js';
+
+/**
+ * Reads the expiry time of a JWT download token.
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in epoch milliseconds, or null when it cannot be read
+ */
+function getTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
 
 /**
  * Creates a WeatherStation API service for handling all external communication.
  * @param {string} baseUrl - Base URL for the API
  * @param {Object} toastManager - Toast manager for error handling
+ * @param {Object} [options] - Caching options
+ * @param {number} [options.stationTtlMs] - How long the station list is reused
+ * @param {number} [options.fileListTtlMs] - How long observation file lists are reused (capped by token expiry)
+ * @param {string} [options.persistence='memory'] - Where responses are kept: 'memory', 'session' or 'indexeddb'
  * @returns {Object} WeatherStationAPI instance
  */
-export function createWeatherStationAPI(baseUrl, toastManager) {
+export function createWeatherStationAPI(baseUrl, toastManager, {
+    stationTtlMs = CONFIG.STATION_CACHE_TTL_MS,
+    fileListTtlMs = CONFIG.FILE_LIST_CACHE_TTL_MS,
+    persistence = 'memory'
+} = {}) {
 
+    // Private state
+    const responseCache = createResponseCache({ persistence });
+    const inFlight = new Map();
+
+    // Event callbacks
+    let onTokensRefreshed = null;
+
+    /**
+     * Shares one request between identical concurrent calls.
+     * The underlying request is only aborted once every caller has aborted.
+     * @param {string} key - Request key
+     * @param {Function} loader - (signal, isCurrent) => Promise, performs the request;
+     *                            isCurrent() is false once a fresh request has replaced it
+     * @param {AbortSignal} [signal] - Caller's abort signal
+     * @param {boolean} [fresh=false] - Start a new request instead of joining one in flight
+     * @returns {Promise<*>} Loader result
+     */
+    function shareRequest(key, loader, signal = null, fresh = false) {
+        signal?.throwIfAborted();
+
+        let shared = fresh ? null : inFlight.get(key);
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, subscribers: 0, promise: null };
+            const isCurrent = () => inFlight.get(key) === shared;
+            shared.promise = loader(controller.signal, isCurrent).finally(() => {
+                if (inFlight.get(key) === shared) inFlight.delete(key);
+            });
+            inFlight.set(key, shared);
+        }
+        shared.subscribers++;
+
+        if (!signal) {
+            return shared.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                shared.subscribers--;
+                if (shared.subscribers === 0) {
+                    shared.controller.abort();
+                    if (inFlight.get(key) === shared) inFlight.delete(key);
+                }
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            shared.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Works out how long a file list may be reused, so an expired download token is never served.
+     * @param {Object[]} files - File metadata with tokens
+     * @returns {number} Expiry in epoch milliseconds
+     */
+    function getFileListExpiry(files) {
+        const now = Date.now();
+        const tokenExpiries = files.map(file => getTokenExpiry(file.token) ?? now + CONFIG.TOKEN_LIFETIME_MS);
+        return Math.min(now + fileListTtlMs, ...tokenExpiries.map(expiry => expiry - CONFIG.TOKEN_EXPIRY_MARGIN_MS));
+    }
 
     /**
      * Makes a secure API request with standard headers.
@@ -34,6 +122,52 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
         });
     }
 
+    /**
+     * Parses a Retry-After header value.
+     * @param {string|null} value - Header value in seconds or as an HTTP date
+     * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(seconds, 0) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
+    /**
+     * Reads a response body as a blob, reporting progress as chunks arrive.
+     * @param {Response} response - Fetch response
+     * @param {Function} [onProgress] - (receivedBytes, totalBytes) => void; totalBytes is 0 when unknown
+     * @returns {Promise<Blob>} Response body
+     */
+    async function readBody(response, onProgress) {
+        if (!onProgress || !response.body) {
+            return response.blob();
+        }
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+
+        onProgress(0, total);
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+            // Compressed responses report the encoded length, so drop totals that are exceeded
+            onProgress(received, received > total ? 0 : total);
+        }
+
+        return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+    }
+
     /**
      * Handles API response and error checking.
      * @param {Response} response - Fetch response
@@ -43,6 +177,7 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
         if (!response.ok) {
             const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
             error.status = response.status;
+            error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
             error.response = response;
             throw error;
         }
@@ -56,6 +191,85 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
         return response;
     }
 
+    /**
+     * Loads the observation file list for a station year, reusing it while its tokens are valid.
+     * @param {Object} sensor - WeatherStation instance
+     * @param {number} year - The year to fetch data for
+     * @param {AbortSignal} [signal] - Optional abort signal for cancellation
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.fresh=false] - Skip the cache and any request in flight, so tokens
+     *                                          issued before a rejection are never returned
+     * @returns {Promise<Object[]>} Array of file metadata objects
+     * @throws {Error} When validation or the request fails
+     */
+    async function loadObservationFiles(sensor, year, signal = null, { fresh = false } = {}) {
+        // Validate inputs
+        const sensorIdNum = Number(sensor.id);
+        const yearNum = Number(year);
+
+        if (!validateSensorId(sensorIdNum)) {
+            throw new Error('Invalid sensor ID');
+        }
+
+        if (!validateYear(yearNum, sensor.dataStart, sensor.dataEnd)) {
+            throw new Error('Invalid year');
+        }
+
+        // Reuse the file list while its tokens are still valid
+        const cacheKey = `files:${sensorIdNum}:${yearNum}`;
+        const cached = fresh ? null : await responseCache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const url = `weatherstations/${sensor.id}/years/${year}`;
+        return shareRequest(cacheKey, async (requestSignal, isCurrent) => {
+            const response = await makeRequest(url, {
+                signal: requestSignal
+            });
+
+            const files = await handleResponse(response, 'fetchObservationFiles');
+
+            if (!Array.isArray(files)) {
+                throw new Error('Invalid response from API.');
+            }
+
+            // A replaced request may carry the tokens that were just rejected; don't let it overwrite the cache
+            if (isCurrent()) {
+                await responseCache.set(cacheKey, files, getFileListExpiry(files));
+            }
+            return files;
+        }, signal, fresh);
+    }
+
+    /**
+     * Fetches a fresh download token for a station period, bypassing the cached file list.
+     * The whole year's file list is reloaded, so listeners get fresh tokens for every month.
+     * @param {Object} sensor - WeatherStation instance
+     * @param {number} year - The year of the data
+     * @param {number|string} month - The month (1-12) or 'all'
+     * @param {AbortSignal} [signal] - Optional abort signal for cancellation
+     * @returns {Promise<string|null>} New token, or null when none could be obtained
+     */
+    async function refreshToken(sensor, year, month, signal = null) {
+        await api.invalidate('files', sensor.id, year);
+        try {
+            // A list request already in flight may carry the token that was just rejected
+            const files = await loadObservationFiles(sensor, year, signal, { fresh: true });
+            if (onTokensRefreshed) {
+                onTokensRefreshed(sensor, year, files);
+            }
+            const file = month === 'all'
+                ? files.find(f => f.isYearlyCombined)
+                : files.find(f => !f.isYearlyCombined && parseInt(f.month, 10) === parseInt(month, 10));
+            return file ? file.token : null;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Failed to refresh download token:', error);
+            return null;
+        }
+    }
+
     const api = {
         /**
          * Fetches all weather stations from the API.
@@ -63,20 +277,44 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
          */
         async fetchStations() {
             try {
-                const response = await makeRequest('weatherstations');
-                const data = await handleResponse(response);
-                
-                if (!Array.isArray(data)) {
-                    throw new Error('Invalid response from API.');
+                const cached = await responseCache.get('stations');
+                if (cached) {
+                    return cached;
                 }
 
-                return data;
+                return await shareRequest('stations', async (signal) => {
+                    const response = await makeRequest('weatherstations', { signal });
+                    const data = await handleResponse(response);
+
+                    if (!Array.isArray(data)) {
+                        throw new Error('Invalid response from API.');
+                    }
+
+                    await responseCache.set('stations', data, Date.now() + stationTtlMs);
+                    return data;
+                });
             } catch (error) {
                 toastManager.handleError(error, 'fetchStations', 'Failed to load weather stations');
                 return [];
             }
         },
 
+        /**
+         * Loads observation files for a station year, leaving error handling to the caller.
+         * Use this where a failed request must not be mistaken for a year without files.
+         * @param {Object} sensor - WeatherStation instance
+         * @param {number} year - The year to fetch data for
+         * @param {AbortSignal} [signal] - Optional abort signal for cancellation
+         * @param {Object} [options] - Load options
+         * @param {boolean} [options.fresh=false] - Skip the cache and any request in flight to get new tokens
+         * @returns {Promise<Object[]>} Array of file metadata objects
+         * @throws {Error} When validation or the request fails; HTTP errors carry `status` and,
+         *                 when the server sends Retry-After, `retryAfter` in milliseconds
+         */
+        loadObservationFiles(sensor, year, signal = null, options = {}) {
+            return loadObservationFiles(sensor, year, signal, options);
+        },
+
         /**
          * Fetches observation files for a specific sensor and year.
          * @param {number} sensorId - The sensor ID
@@ -86,30 +324,7 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
          */
         async fetchObservationFiles(sensor, year, signal = null) {
             try {
-                // Validate inputs
-                const sensorIdNum = Number(sensor.id);
-                const yearNum = Number(year);
-
-                if (!validateSensorId(sensorIdNum)) {
-                    throw new Error('Invalid sensor ID');
-                }
-
-                if (!validateYear(yearNum, sensor.dataStart, sensor.dataEnd)) {
-                    throw new Error('Invalid year');
-                }
-
-                const url = `weatherstations/${sensor.id}/years/${year}`;
-                const response = await makeRequest(url, {
-                    signal
-                });
-
-                const files = await handleResponse(response, 'fetchObservationFiles');
-
-                if (!Array.isArray(files)) {
-                    throw new Error('Invalid response from API.');
-                }
-
-                return files;
+                return await loadObservationFiles(sensor, year, signal);
             } catch (error) {
                 if (error.name === 'AbortError') {
                     return []; // Silent fail for aborted requests
@@ -121,75 +336,119 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
         },
 
         /**
-         * Downloads a CSV file for a specific sensor, year, and month.
+         * Fetches a CSV file for a specific sensor, year, and month without saving it.
          * @param {number} sensorId - The sensor ID
          * @param {number} year - The year of the data
-         * @param {number} month - The month of the data
+         * @param {number|string} month - The month of the data, or 'all' for the combined year
          * @param {string} token - The Bearer token for authorization
-         * @returns {Promise<void>}
+         * @param {Object} [options] - Request options
+         * @param {AbortSignal} [options.signal] - Optional abort signal for cancellation
+         * @param {Function} [options.onProgress] - (receivedBytes, totalBytes) => void, called as the body streams in
+         * @returns {Promise<{blob: Blob, fileName: string}>} The CSV blob and its file name
+         * @throws {Error} When validation or the request fails; HTTP errors carry `status` and,
+         *                 when the server sends Retry-After, `retryAfter` in milliseconds
          */
-        async downloadFile(sensorId, year, month, token) {
-            try {
-                // Validate inputs
-                if (!sensorId) {
-                    throw new Error('Sensor ID is required');
-                }
-
-                if (!token || typeof token !== 'string') {
-                    throw new Error('Valid authorization token is required');
-                }
+        async fetchFile(sensorId, year, month, token, { signal = null, onProgress = null } = {}) {
+            // Validate inputs
+            if (!sensorId) {
+                throw new Error('Sensor ID is required');
+            }
 
-                const isAll = month === 'all';
-                const url = isAll
-                    ? `weatherstations/${sensorId}/files/${year}/all`
-                    : `weatherstations/${sensorId}/files/${year}/${month}`;
-                const response = await makeRequest(url, {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
+            if (!token || typeof token !== 'string') {
+                throw new Error('Valid authorization token is required');
+            }
 
-                if (!response.ok) {
-                    if (response.status === 429) {
-                        const message = isAll
-                            ? 'Yearly download limit reached. Please wait a minute before downloading the full year again.'
-                            : 'You have temporarily exceeded the maximum number of downloads allowed. Please wait a moment before continuing.';
-                        throw new Error(message, { cause: 429 });
-                    }
-                    throw new Error(`Download failed with status ${response.status}`);
-                }
+            const isAll = month === 'all';
+            const url = isAll
+                ? `weatherstations/${sensorId}/files/${year}/all`
+                : `weatherstations/${sensorId}/files/${year}/${month}`;
+            const response = await makeRequest(url, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                },
+                signal
+            });
 
-                // Validate Content-Type header
-                const contentType = response.headers.get('Content-Type');
-                if (!contentType || !contentType.includes('text/csv')) {
-                    throw new Error('Invalid file type: Only CSV files are allowed');
+            if (!response.ok) {
+                let error;
+                if (response.status === 429) {
+                    const message = isAll
+                        ? 'Yearly download limit reached. Please wait a minute before downloading the full year again.'
+                        : 'You have temporarily exceeded the maximum number of downloads allowed. Please wait a moment before continuing.';
+                    error = new Error(message, { cause: 429 });
+                } else {
+                    error = new Error(`Download failed with status ${response.status}`);
                 }
+                error.status = response.status;
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
+            }
 
-                const blob = await response.blob();
-                
-                // Additional blob type validation
-                if (blob.type && !blob.type.includes('text/csv') && !blob.type.includes('application/csv')) {
-                    throw new Error('Invalid file type: Only CSV files are allowed');
-                }
+            // Validate Content-Type header
+            const contentType = response.headers.get('Content-Type');
+            if (!contentType || !contentType.includes('text/csv')) {
+                throw new Error('Invalid file type: Only CSV files are allowed');
+            }
 
-                // Create download
-                const downloadUrl = window.URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = downloadUrl;
-                link.download = isAll
-                    ? `${sensorId}_${year}_all.csv`
-                    : `${sensorId}_${year}_${month.toString().padStart(2, '0')}.csv`;
+            const blob = await readBody(response, onProgress);
 
-                document.body.appendChild(link);
-                link.click();
-                link.remove();
+            // Additional blob type validation
+            if (blob.type && !blob.type.includes('text/csv') && !blob.type.includes('application/csv')) {
+                throw new Error('Invalid file type: Only CSV files are allowed');
+            }
 
-                window.URL.revokeObjectURL(downloadUrl);
+            return {
+                blob,
+                fileName: getObservationFileName(sensorId, year, month)
+            };
+        },
 
+        /**
+         * Fetches a CSV file for a station period. When the token has expired or is rejected
+         * (401/403), a fresh token is requested and the download is retried once.
+         * @param {Object} sensor - WeatherStation instance
+         * @param {number} year - The year of the data
+         * @param {number|string} month - The month of the data, or 'all' for the combined year
+         * @param {string} token - The Bearer token for authorization
+         * @param {Object} [options] - Request options, as for fetchFile
+         * @returns {Promise<{blob: Blob, fileName: string}>} The CSV blob and its file name
+         * @throws {Error} When the request fails, or the retry with a fresh token also fails
+         */
+        async fetchStationFile(sensor, year, month, token, options = {}) {
+            try {
+                return await api.fetchFile(sensor.id, year, month, token, options);
             } catch (error) {
-                const userMessage = error.cause === 429 ? error.message : 'Failed to download file';
-                toastManager.handleError(error, 'downloadFile', userMessage);
+                if (error.status !== 401 && error.status !== 403) {
+                    throw error;
+                }
+
+                const freshToken = await refreshToken(sensor, year, month, options.signal);
+                if (!freshToken) {
+                    throw error;
+                }
+                return api.fetchFile(sensor.id, year, month, freshToken, options);
+            }
+        },
+
+        /**
+         * Drops cached responses so the next request goes to the server.
+         * @param {string} [scope] - 'stations' or 'files'; omit to clear everything
+         * @param {number} [sensorId] - Limits 'files' to one station
+         * @param {number} [year] - Limits 'files' to one station year
+         * @returns {Promise<void>}
+         */
+        async invalidate(scope, sensorId, year) {
+            if (!scope) {
+                await responseCache.delete();
+            } else if (scope === 'stations') {
+                await responseCache.delete('stations');
+            } else if (scope === 'files') {
+                const station = sensorId ? `${Number(sensorId)}:` : '';
+                const period = sensorId && year ? `${Number(year)}` : '';
+                await responseCache.delete(`files:${station}${period}`);
+            } else {
+                throw new Error(`Unknown cache scope: ${scope}`);
             }
         },
 
@@ -201,6 +460,13 @@ export function createWeatherStationAPI(baseUrl, toastManager) {
             return new AbortController();
         },
 
+        /**
+         * Sets callback for when a rejected token made the API reload a year's file list.
+         * @param {Function} callback - Callback function (sensor, year, files) => void
+         */
+        onTokensRefreshed(callback) {
+            onTokensRefreshed = callback;
+        }
 
     };
 
@@ -0,0 +1,126 @@
+/**
+ * Concurrency utilities
+ * @module utils/concurrency
+ */
+
+/**
+ * Waits for a delay, rejecting early if the signal is aborted.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timerId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timerId);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Checks if an error is a rate-limit (HTTP 429) error from the API.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was throttled
+ */
+export function isThrottledError(error) {
+    return error?.cause === 429 || error?.status === 429;
+}
+
+/**
+ * Checks if a failed request is likely to succeed when repeated later.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for throttled responses, server errors and network failures
+ */
+export function isTransientError(error) {
+    // fetch() rejects with a TypeError when the network request itself fails
+    return isThrottledError(error) || error?.status >= 500 || error instanceof TypeError;
+}
+
+/**
+ * Runs async tasks with a concurrency limit.
+ * When a task is throttled (HTTP 429) every worker pauses, then the task is retried
+ * with an exponentially growing back-off.
+ * @param {Array<Function>} tasks - Functions (signal) => Promise returning each task's result
+ * @param {Object} [options] - Run options
+ * @param {number} [options.limit=3] - Maximum number of tasks running at once
+ * @param {number} [options.retries=3] - Retries per task after a throttled response
+ * @param {number} [options.backoffMs=5000] - Initial pause after a throttled response
+ * @param {Function} [options.isRetryable] - (error) => boolean, which failures pause and retry; throttled responses by default
+ * @param {AbortSignal} [options.signal] - Abort signal that stops all remaining tasks
+ * @param {Function} [options.onSettled] - (result, index) => void, called as each task settles
+ * @param {Function} [options.onThrottled] - (waitMs) => void, called when workers pause
+ * @returns {Promise<{status: string, value?: any, reason?: Error}[]>} Results in task order
+ */
+export async function runWithConcurrency(tasks, {
+    limit = 3,
+    retries = 3,
+    backoffMs = 5000,
+    isRetryable = isThrottledError,
+    signal = null,
+    onSettled = null,
+    onThrottled = null
+} = {}) {
+    const results = new Array(tasks.length);
+    let nextIndex = 0;
+    let pauseUntil = 0;
+
+    /**
+     * Waits while the pool is paused after a throttled response.
+     */
+    async function waitForPause() {
+        while (Date.now() < pauseUntil) {
+            await delay(pauseUntil - Date.now(), signal);
+        }
+    }
+
+    /**
+     * Runs one task, retrying after retryable failures.
+     * @param {number} index - Task index
+     * @returns {Promise<{status: string, value?: any, reason?: Error}>} Settled result
+     */
+    async function runTask(index) {
+        for (let attempt = 0; ; attempt++) {
+            await waitForPause();
+            try {
+                return { status: 'fulfilled', value: await tasks[index](signal) };
+            } catch (error) {
+                if (error.name === 'AbortError' || signal?.aborted) {
+                    throw error;
+                }
+                if (!isRetryable(error) || attempt >= retries) {
+                    return { status: 'rejected', reason: error };
+                }
+
+                const waitMs = error.retryAfter ?? backoffMs * Math.pow(2, attempt);
+                pauseUntil = Math.max(pauseUntil, Date.now() + waitMs);
+                if (onThrottled) onThrottled(waitMs);
+            }
+        }
+    }
+
+    /**
+     * Takes tasks from the shared queue until none are left.
+     */
+    async function worker() {
+        while (nextIndex < tasks.length) {
+            signal?.throwIfAborted();
+            const index = nextIndex++;
+            results[index] = await runTask(index);
+            if (onSettled) onSettled(results[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, tasks.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,114 @@
+/**
+ * CSV parsing utilities
+ * @module utils/csv
+ */
+
+/**
+ * Parses CSV text into a header row and data rows.
+ * Handles quoted fields, escaped quotes and CRLF line endings.
+ * @param {string} text - Raw CSV text
+ * @returns {{headers: string[], rows: string[][]}} Parsed CSV
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Flush the last record when the file has no trailing newline
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Drop blank lines
+    const nonEmpty = records.filter(r => r.length > 1 || r[0].trim() !== '');
+    const [headers = [], ...rows] = nonEmpty;
+
+    return {
+        headers: headers.map(h => h.trim()),
+        rows
+    };
+}
+
+/**
+ * Compares two CSV cell values, numerically when both are numbers.
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {number} Sort order
+ */
+export function compareCsvValues(a, b) {
+    const aEmpty = a === undefined || a === null || a.trim() === '';
+    const bEmpty = b === undefined || b === null || b.trim() === '';
+
+    // Empty cells always sort last
+    if (aEmpty || bEmpty) {
+        return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+    }
+
+    const aNum = Number(a);
+    const bNum = Number(b);
+    if (!isNaN(aNum) && !isNaN(bNum)) {
+        return aNum - bNum;
+    }
+
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * @param {string} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes a header row and data rows into CSV text.
+ * @param {string[]} headers - Header row
+ * @param {Array<Array<string|number>>} rows - Data rows
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function serializeCsv(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,43 @@
+/**
+ * Date range utilities
+ * @module utils/dateRange
+ */
+
+/**
+ * Lists every calendar month touched by a time range.
+ * @param {number} start - Range start in epoch milliseconds (UTC wall-clock)
+ * @param {number} end - Range end in epoch milliseconds (UTC wall-clock)
+ * @returns {{year: number, month: number}[]} Months in chronological order
+ */
+export function getMonthsInRange(start, end) {
+    const months = [];
+    if (!(start <= end)) return months;
+
+    const first = new Date(start);
+    const last = new Date(end);
+    let year = first.getUTCFullYear();
+    let month = first.getUTCMonth() + 1;
+
+    while (year < last.getUTCFullYear() || (year === last.getUTCFullYear() && month <= last.getUTCMonth() + 1)) {
+        months.push({ year, month });
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+
+    return months;
+}
+
+/**
+ * Formats an epoch time as a compact, file-name safe timestamp.
+ * @param {number} time - Epoch milliseconds (UTC wall-clock)
+ * @returns {string} Timestamp (e.g., "20231001T0000")
+ */
+export function formatCompactTimestamp(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+        + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}`;
+}
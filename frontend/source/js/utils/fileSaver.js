@@ -0,0 +1,22 @@
+/**
+ * Browser file saving utilities
+ * @module utils/fileSaver
+ */
+
+/**
+ * Saves a blob to the user's device through a temporary anchor element.
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function saveBlob(blob, fileName) {
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = fileName;
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    window.URL.revokeObjectURL(downloadUrl);
+}
@@ -16,4 +16,47 @@ export function getMonthName(monthCode) {
     
     return new Date(2000, monthNum - 1, 1)
         .toLocaleDateString('en', { month: 'long' });
-}
\ No newline at end of file
+}
+
+/**
+ * Builds the file name used when saving an observation file.
+ * @param {number} sensorId - The sensor ID
+ * @param {number} year - The year of the data
+ * @param {number|string} month - The month of the data (1-12) or 'all'
+ * @returns {string} File name (e.g., "11000_2019_03.csv")
+ */
+export function getObservationFileName(sensorId, year, month) {
+    return month === 'all'
+        ? `${sensorId}_${year}_all.csv`
+        : `${sensorId}_${year}_${month.toString().padStart(2, '0')}.csv`;
+}
+
+/**
+ * Converts text into a string that is safe to use in file and folder names.
+ * @param {string} text - Text to convert (e.g., a station name)
+ * @returns {string} File-safe text (e.g., "COQUIHALLA_SUMMIT")
+ */
+export function toFileSafeName(text) {
+    return String(text || '')
+        .replace(/[^A-Za-z0-9-]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human readable size (e.g., "1.2 MB")
+ */
+export function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 1024) {
+        return `${Number.isFinite(bytes) ? bytes : 0} B`;
+    }
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = -1;
+    do {
+        value /= 1024;
+        unit++;
+    } while (value >= 1024 && unit < units.length - 1);
+    return `${value.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,203 @@
+/**
+ * Fuzzy text and station search utilities
+ * @module utils/fuzzySearch
+ */
+
+// Relative weight of each searchable station field
+const FIELD_WEIGHTS = {
+    id: 1.2,
+    name: 1,
+    description: 0.6
+};
+
+/**
+ * Splits text into lowercase words with their positions.
+ * @param {string} text - Text to split
+ * @returns {Object[]} Words {word, start}
+ */
+function splitWords(text) {
+    const words = [];
+    const pattern = /[a-z0-9]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        words.push({ word: match[0], start: match.index });
+    }
+    return words;
+}
+
+/**
+ * Calculates the edit distance between two strings, counting a swap of neighbouring characters as one edit.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Gets the number of typos tolerated for a search term.
+ * @param {string} term - Search term
+ * @returns {number} Allowed edits
+ */
+function allowedEdits(term) {
+    if (term.length >= 7) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Creates the list of character positions in a range.
+ * @param {number} start - First position
+ * @param {number} length - Number of characters
+ * @returns {number[]} Positions
+ */
+function range(start, length) {
+    return Array.from({ length }, (_, i) => start + i);
+}
+
+/**
+ * Matches one search term against text.
+ * @param {string} term - Lowercase search term
+ * @param {string} text - Lowercase text
+ * @param {Object[]} words - Words of the text from splitWords
+ * @returns {Object|null} Match {score, indices}, or null when the term does not match
+ */
+function matchTerm(term, text, words) {
+    // Exact substring, preferring word starts and whole words
+    const index = text.indexOf(term);
+    if (index !== -1) {
+        const wordStart = index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+        const wordEnd = index + term.length === text.length || !/[a-z0-9]/.test(text[index + term.length]);
+        return {
+            score: 3 + (wordStart ? 1 : 0) + (wordStart && wordEnd ? 1 : 0),
+            indices: range(index, term.length)
+        };
+    }
+
+    // Typo in a word, or in the start of a word while still typing
+    const maxEdits = allowedEdits(term);
+    let best = null;
+    if (maxEdits) {
+        words.forEach(({ word, start }) => {
+            const distance = Math.min(
+                editDistance(term, word),
+                word.length > term.length ? editDistance(term, word.slice(0, term.length)) : Infinity
+            );
+            if (distance <= maxEdits && (!best || distance < best.distance)) {
+                best = { distance, indices: range(start, Math.min(word.length, term.length)) };
+            }
+        });
+    }
+    if (best) {
+        return { score: 2.5 - best.distance * 0.5, indices: best.indices };
+    }
+
+    // Characters in order within one word (abbreviations such as "cqhl")
+    if (term.length >= 3) {
+        for (const { word, start } of words) {
+            const indices = [];
+            let position = 0;
+            for (const char of term) {
+                position = word.indexOf(char, position);
+                if (position === -1) break;
+                indices.push(start + position);
+                position++;
+            }
+            if (indices.length === term.length && word[0] === term[0]) {
+                return { score: 1, indices };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Fuzzy matches a query against text. Every word of the query must match.
+ * @param {string} query - Search query
+ * @param {string} text - Text to search
+ * @returns {Object|null} Match {score, indices}; indices are the matched character positions in text
+ */
+export function fuzzyMatch(query, text) {
+    const terms = splitWords(String(query || '').toLowerCase()).map(({ word }) => word);
+    const lowerText = String(text || '').toLowerCase();
+    if (!terms.length || !lowerText) return null;
+
+    const words = splitWords(lowerText);
+    const indices = new Set();
+    let score = 0;
+
+    for (const term of terms) {
+        const match = matchTerm(term, lowerText, words);
+        if (!match) return null;
+        score += match.score;
+        match.indices.forEach(index => indices.add(index));
+    }
+
+    // Prefer text containing the whole query as typed
+    if (terms.length > 1 && lowerText.includes(String(query).trim().toLowerCase())) {
+        score += 2;
+    }
+
+    return { score: score / terms.length, indices: [...indices].sort((a, b) => a - b) };
+}
+
+/**
+ * Matches a query against a station ID. Only exact IDs and ID prefixes match.
+ * @param {string} query - Search query
+ * @param {number} id - Station ID
+ * @returns {Object|null} Match {score, indices}
+ */
+function matchId(query, id) {
+    const term = String(query || '').trim();
+    const text = String(id);
+    if (!/^\d+$/.test(term) || !text.startsWith(term)) return null;
+    return { score: term === text ? 6 : 4, indices: range(0, term.length) };
+}
+
+/**
+ * Ranks stations by how well their ID, name or description match a query.
+ * @param {Object[]} stations - WeatherStation instances
+ * @param {string} query - Search query
+ * @param {number} [limit=Infinity] - Maximum number of results
+ * @returns {Object[]} Results {station, score, field, indices}, best first; field is 'id', 'name' or 'description'
+ */
+export function searchStations(stations, query, limit = Infinity) {
+    if (!String(query || '').trim()) return [];
+
+    const results = [];
+    stations.forEach((station) => {
+        const candidates = [
+            { field: 'id', match: matchId(query, station.id) },
+            { field: 'name', match: fuzzyMatch(query, station.name) },
+            { field: 'description', match: fuzzyMatch(query, station.description) }
+        ].filter(candidate => candidate.match);
+        if (!candidates.length) return;
+
+        const best = candidates.reduce((a, b) =>
+            b.match.score * FIELD_WEIGHTS[b.field] > a.match.score * FIELD_WEIGHTS[a.field] ? b : a);
+        results.push({
+            station,
+            score: best.match.score * FIELD_WEIGHTS[best.field],
+            field: best.field,
+            indices: best.match.indices
+        });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.station.name.localeCompare(b.station.name))
+        .slice(0, limit);
+}
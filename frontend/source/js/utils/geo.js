@@ -0,0 +1,142 @@
+/**
+ * Geographic calculation utilities
+ * @module utils/geo
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Converts degrees to radians.
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Calculates the great-circle distance between two points.
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in kilometres
+ */
+export function getDistanceKm(from, to) {
+    const [lon1, lat1] = from.map(toRadians);
+    const [lon2, lat2] = to.map(toRadians);
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the initial bearing of the great-circle path between two points.
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function getBearing(from, to) {
+    const [lon1, lat1] = from.map(toRadians);
+    const [lon2, lat2] = to.map(toRadians);
+    const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Converts UTM coordinates on the WGS 84 ellipsoid to longitude and latitude.
+ * @param {number} zone - UTM zone (1-60)
+ * @param {number} easting - Easting in metres
+ * @param {number} northing - Northing in metres
+ * @param {boolean} [northern=true] - Whether the point is in the northern hemisphere
+ * @returns {number[]} [longitude, latitude]
+ */
+export function utmToLonLat(zone, easting, northing, northern = true) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const y = northern ? northing : northing - 10000000;
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi ** 2);
+    const t1 = Math.tan(phi1) ** 2;
+    const c1 = ep2 * cosPhi ** 2;
+    const r1 = a * (1 - e2) / (1 - e2 * sinPhi ** 2) ** 1.5;
+    const d = x / (n1 * k0);
+
+    const latitude = phi1 - (n1 * Math.tan(phi1) / r1) * (
+        d ** 2 / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720);
+    const longitude = (
+        d -
+        (1 + 2 * t1 + c1) * d ** 3 / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120) / cosPhi;
+
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+    return [centralMeridian + longitude * 180 / Math.PI, latitude * 180 / Math.PI];
+}
+
+/**
+ * Parses one latitude or longitude value with an optional hemisphere letter (e.g., "49.25", "123.1W").
+ * @param {string} text - Coordinate text
+ * @returns {{value: number, axis: string|null}|null} Signed value and 'lat' or 'lon' when a hemisphere was given
+ */
+function parseDegrees(text) {
+    const match = text.trim().match(/^([+-]?\d+(?:\.\d+)?)\s*°?\s*([NSEW])?$/i);
+    if (!match) return null;
+
+    const hemisphere = (match[2] || '').toUpperCase();
+    const value = Number(match[1]) * (hemisphere === 'S' || hemisphere === 'W' ? -1 : 1);
+    const axis = hemisphere ? ('NS'.includes(hemisphere) ? 'lat' : 'lon') : null;
+    return { value, axis };
+}
+
+/**
+ * Parses typed coordinates: latitude and longitude in decimal degrees ("49.28, -123.12", "49.28N 123.12W")
+ * or UTM ("10U 491223 5458890", "10 491223 5458890"; zone band letters C-M are in the southern hemisphere).
+ * @param {string} text - Coordinate text
+ * @returns {number[]} [longitude, latitude]
+ * @throws {Error} When the text cannot be parsed or is out of range
+ */
+export function parseCoordinates(text) {
+    const input = String(text || '').trim();
+
+    const utm = input.match(/^(\d{1,2})\s*([C-X])?\s+(\d+(?:\.\d+)?)\s*m?\s*E?[\s,]+(\d+(?:\.\d+)?)\s*m?\s*N?$/i);
+    if (utm) {
+        const zone = Number(utm[1]);
+        if (zone < 1 || zone > 60) {
+            throw new Error('UTM zone must be between 1 and 60');
+        }
+        const band = (utm[2] || 'N').toUpperCase();
+        return utmToLonLat(zone, Number(utm[3]), Number(utm[4]), band >= 'N');
+    }
+
+    const parts = input.split(/\s*[,;]\s*|\s+/).filter(Boolean);
+    const values = parts.length === 2 ? parts.map(parseDegrees) : [];
+    if (values.length !== 2 || values.some(value => value === null)) {
+        throw new Error('Enter latitude and longitude (e.g., 49.28, -123.12) or UTM (e.g., 10U 491223 5458890)');
+    }
+
+    // Latitude comes first unless hemisphere letters or the values say otherwise
+    const [first, second] = values;
+    const lonFirst = first.axis === 'lon' || second.axis === 'lat' ||
+        (!first.axis && !second.axis && Math.abs(first.value) > 90);
+    const [longitude, latitude] = lonFirst ? [first.value, second.value] : [second.value, first.value];
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new Error('Latitude must be between -90 and 90 and longitude between -180 and 180');
+    }
+    return [longitude, latitude];
+}
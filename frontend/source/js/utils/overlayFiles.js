@@ -0,0 +1,75 @@
+/**
+ * Reading of user overlay files (GeoJSON, KML and GPX)
+ * @module utils/overlayFiles
+ */
+
+// Supported overlay formats by ID
+const OVERLAY_FORMATS = {
+    geojson: {
+        label: 'GeoJSON',
+        extensions: ['geojson', 'json'],
+        create: () => new ol.format.GeoJSON()
+    },
+    kml: {
+        label: 'KML',
+        extensions: ['kml'],
+        // Embedded KML styles often point at remote icons, so overlays use their own style
+        create: () => new ol.format.KML({ extractStyles: false })
+    },
+    gpx: {
+        label: 'GPX',
+        extensions: ['gpx'],
+        create: () => new ol.format.GPX()
+    }
+};
+
+/**
+ * Detects the format of an overlay file from its extension, or from its content when the extension is unknown.
+ * @param {string} fileName - File name
+ * @param {string} text - File content
+ * @returns {string} 'geojson', 'kml' or 'gpx'
+ * @throws {Error} When the format is not supported
+ */
+export function detectOverlayFormat(fileName, text) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    const byExtension = Object.keys(OVERLAY_FORMATS)
+        .find(format => OVERLAY_FORMATS[format].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    const start = String(text || '').trimStart().slice(0, 1000);
+    if (start.startsWith('{')) return 'geojson';
+    if (/<kml[\s>]/i.test(start)) return 'kml';
+    if (/<gpx[\s>]/i.test(start)) return 'gpx';
+    throw new Error('Unsupported file type. Use GeoJSON, KML or GPX.');
+}
+
+/**
+ * Reads the features of an overlay file.
+ * @param {string} format - 'geojson', 'kml' or 'gpx'
+ * @param {string} text - File content
+ * @param {string} [projection='EPSG:3857'] - Map projection of the features
+ * @returns {ol.Feature[]} Features that have a geometry
+ * @throws {Error} When the file cannot be read or has no features
+ */
+export function readOverlayFeatures(format, text, projection = 'EPSG:3857') {
+    const definition = OVERLAY_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unknown overlay format: ${format}`);
+    }
+
+    let features;
+    try {
+        features = definition.create().readFeatures(text, {
+            dataProjection: 'EPSG:4326',
+            featureProjection: projection
+        });
+    } catch {
+        throw new Error(`The file is not valid ${definition.label}.`);
+    }
+
+    const withGeometry = features.filter(feature => feature.getGeometry());
+    if (!withGeometry.length) {
+        throw new Error(`The file has no ${definition.label} features to show.`);
+    }
+    return withGeometry;
+}
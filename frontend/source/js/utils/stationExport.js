@@ -0,0 +1,160 @@
+/**
+ * Station catalogue serializers for GIS formats
+ * @module utils/stationExport
+ */
+
+import { serializeCsv } from './csv.js';
+
+// WeatherStation fields in export order
+const STATION_FIELDS = ['id', 'name', 'description', 'elevation', 'status', 'dataStart', 'dataEnd', 'longitude', 'latitude'];
+
+// Namespace of the station fields in GPX extensions
+const GPX_EXTENSION_NAMESPACE = 'urn:weather-archive:station';
+
+/**
+ * Gets the export fields of a station.
+ * @param {Object} station - WeatherStation instance
+ * @returns {Object} Field values by name; missing values are null
+ */
+function getStationFields(station) {
+    return Object.fromEntries(STATION_FIELDS.map(field => [field, station[field] ?? null]));
+}
+
+/**
+ * Checks if a station has a numeric elevation.
+ * @param {Object} station - WeatherStation instance
+ * @returns {boolean} True when the elevation is a finite number
+ */
+function hasElevation(station) {
+    return typeof station.elevation === 'number' && Number.isFinite(station.elevation);
+}
+
+/**
+ * Escapes text for XML content and attribute values.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text; empty for null and undefined
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serializes stations as a GeoJSON FeatureCollection of points.
+ * @param {Object[]} stations - WeatherStation instances
+ * @returns {string} GeoJSON text
+ */
+export function toGeoJson(stations) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: stations.map(station => ({
+            type: 'Feature',
+            id: station.id,
+            geometry: {
+                type: 'Point',
+                coordinates: hasElevation(station)
+                    ? [station.longitude, station.latitude, station.elevation]
+                    : [station.longitude, station.latitude]
+            },
+            properties: getStationFields(station)
+        }))
+    }, null, 2);
+}
+
+/**
+ * Serializes stations as a KML document of placemarks, with every field in ExtendedData.
+ * @param {Object[]} stations - WeatherStation instances
+ * @returns {string} KML text
+ */
+export function toKml(stations) {
+    const placemarks = stations.map((station) => {
+        const fields = getStationFields(station);
+        const data = STATION_FIELDS
+            .map(field => `        <Data name="${field}"><value>${escapeXml(fields[field])}</value></Data>`)
+            .join('\n');
+        const coordinates = [station.longitude, station.latitude, hasElevation(station) ? station.elevation : null]
+            .filter(value => value !== null)
+            .join(',');
+
+        return [
+            `    <Placemark id="station-${escapeXml(station.id)}">`,
+            `      <name>${escapeXml(station.name)}</name>`,
+            `      <description>${escapeXml(station.description)}</description>`,
+            '      <ExtendedData>',
+            data,
+            '      </ExtendedData>',
+            `      <Point><coordinates>${coordinates}</coordinates></Point>`,
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>Weather stations</name>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serializes stations as GPX 1.1 waypoints. Fields without a GPX element are written as extensions.
+ * @param {Object[]} stations - WeatherStation instances
+ * @returns {string} GPX text
+ */
+export function toGpx(stations) {
+    const waypoints = stations.map((station) => {
+        const lines = [`  <wpt lat="${station.latitude}" lon="${station.longitude}">`];
+        if (hasElevation(station)) {
+            lines.push(`    <ele>${station.elevation}</ele>`);
+        }
+        lines.push(
+            `    <name>${escapeXml(station.name)}</name>`,
+            `    <desc>${escapeXml(station.description)}</desc>`,
+            '    <extensions>',
+            `      <station:id>${escapeXml(station.id)}</station:id>`,
+            `      <station:elevation>${escapeXml(station.elevation)}</station:elevation>`,
+            `      <station:status>${escapeXml(station.status)}</station:status>`,
+            `      <station:dataStart>${escapeXml(station.dataStart)}</station:dataStart>`,
+            `      <station:dataEnd>${escapeXml(station.dataEnd)}</station:dataEnd>`,
+            '    </extensions>',
+            '  </wpt>'
+        );
+        return lines.join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="Weather Archive" xmlns="http://www.topografix.com/GPX/1/1" xmlns:station="${GPX_EXTENSION_NAMESPACE}">`,
+        ...waypoints,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serializes stations as CSV with one column per field.
+ * @param {Object[]} stations - WeatherStation instances
+ * @returns {string} CSV text
+ */
+export function toStationCsv(stations) {
+    return serializeCsv(STATION_FIELDS, stations.map((station) => {
+        const fields = getStationFields(station);
+        return STATION_FIELDS.map(field => fields[field]);
+    }));
+}
+
+// Export formats by ID
+export const STATION_EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJson },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKml },
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGpx },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', serialize: toStationCsv }
+};
@@ -0,0 +1,63 @@
+/**
+ * Station attribute filter utilities
+ * @module utils/stationFilters
+ */
+
+/**
+ * Filter criteria that match every station.
+ * Numeric criteria are null when not set; status is '' for any status.
+ */
+export const EMPTY_STATION_FILTERS = Object.freeze({
+    status: '',
+    elevationMin: null,
+    elevationMax: null,
+    startFrom: null,
+    startTo: null,
+    endFrom: null,
+    endTo: null,
+    hasDataYear: null
+});
+
+/**
+ * Checks if a value is inside an optional inclusive range.
+ * @param {number} value - Value to check
+ * @param {number|null} min - Lower bound, or null for none
+ * @param {number|null} max - Upper bound, or null for none
+ * @returns {boolean} True if the value is inside the range
+ */
+function inRange(value, min, max) {
+    if (min === null && max === null) return true;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Counts the criteria that are set.
+ * @param {Object} filters - Filter criteria
+ * @returns {number} Number of active criteria
+ */
+export function countActiveFilters(filters) {
+    return Object.keys(EMPTY_STATION_FILTERS)
+        .filter(key => filters[key] !== EMPTY_STATION_FILTERS[key] && filters[key] !== undefined)
+        .length;
+}
+
+/**
+ * Checks if a station matches filter criteria.
+ * @param {Object} station - WeatherStation instance
+ * @param {Object} filters - Filter criteria
+ * @returns {boolean} True if the station matches every criterion
+ */
+export function matchesStationFilters(station, filters) {
+    const criteria = { ...EMPTY_STATION_FILTERS, ...filters };
+
+    if (criteria.status && (station.status || '').toLowerCase() !== criteria.status) {
+        return false;
+    }
+
+    return inRange(station.elevation, criteria.elevationMin, criteria.elevationMax) &&
+        inRange(station.dataStart, criteria.startFrom, criteria.startTo) &&
+        inRange(station.dataEnd, criteria.endFrom, criteria.endTo) &&
+        (criteria.hasDataYear === null ||
+            (station.dataStart <= criteria.hasDataYear && station.dataEnd >= criteria.hasDataYear));
+}
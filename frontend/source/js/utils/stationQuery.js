@@ -0,0 +1,167 @@
+/**
+ * Structured station search query parser and evaluator
+ * @module utils/stationQuery
+ */
+
+// Query fields by name
+const QUERY_FIELDS = {
+    id: { type: 'number', get: station => station.id },
+    name: { type: 'text', get: station => station.name },
+    desc: { type: 'text', get: station => station.description },
+    status: { type: 'status', get: station => station.status },
+    elev: { type: 'number', get: station => station.elevation },
+    start: { type: 'number', get: station => station.dataStart },
+    end: { type: 'number', get: station => station.dataEnd },
+    lat: { type: 'number', get: station => station.latitude },
+    lon: { type: 'number', get: station => station.longitude }
+};
+
+// Other names accepted for query fields
+const FIELD_ALIASES = {
+    description: 'desc',
+    elevation: 'elev',
+    from: 'start',
+    to: 'end',
+    latitude: 'lat',
+    lng: 'lon',
+    longitude: 'lon'
+};
+
+const COMPARATORS = {
+    '=': (value, target) => value === target,
+    '>': (value, target) => value > target,
+    '>=': (value, target) => value >= target,
+    '<': (value, target) => value < target,
+    '<=': (value, target) => value <= target
+};
+
+/**
+ * Splits a query into tokens at whitespace outside double quotes.
+ * @param {string} query - Query text
+ * @returns {string[]} Tokens, with quotes removed
+ * @throws {Error} When a quote is not closed
+ */
+function tokenize(query) {
+    const tokens = [];
+    let token = '';
+    let quoted = false;
+    let hasToken = false;
+
+    for (const char of query) {
+        if (char === '"') {
+            quoted = !quoted;
+            hasToken = true;
+        } else if (/\s/.test(char) && !quoted) {
+            if (hasToken) tokens.push(token);
+            token = '';
+            hasToken = false;
+        } else {
+            token += char;
+            hasToken = true;
+        }
+    }
+    if (quoted) {
+        throw new Error('Missing closing quote');
+    }
+    if (hasToken) tokens.push(token);
+    return tokens;
+}
+
+/**
+ * Parses a number in a query value.
+ * @param {string} text - Number text
+ * @param {string} field - Field name for error messages
+ * @returns {number} Parsed number
+ * @throws {Error} When the text is not a number
+ */
+function parseNumber(text, field) {
+    const number = Number(text);
+    if (text.trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`"${text}" is not a number in ${field}:`);
+    }
+    return number;
+}
+
+/**
+ * Parses the value of a numeric condition: "800", ">800", "<=2012" or a range "800..1200".
+ * @param {string} field - Field name
+ * @param {string} value - Condition value
+ * @returns {Function} (number) => boolean
+ * @throws {Error} When the value is invalid
+ */
+function parseNumericCondition(field, value) {
+    const rangeMatch = value.match(/^(.*)\.\.(.*)$/);
+    if (rangeMatch) {
+        const min = parseNumber(rangeMatch[1], field);
+        const max = parseNumber(rangeMatch[2], field);
+        if (min > max) {
+            throw new Error(`The range in ${field}: goes from high to low`);
+        }
+        return number => number >= min && number <= max;
+    }
+
+    const [, operator, text] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const target = parseNumber(text, field);
+    const compare = COMPARATORS[operator || '='];
+    return number => compare(number, target);
+}
+
+/**
+ * Parses one field:value condition.
+ * @param {string} key - Field name or alias as typed
+ * @param {string} value - Condition value
+ * @returns {Function} (station) => boolean
+ * @throws {Error} When the field or value is invalid
+ */
+function parseCondition(key, value) {
+    const field = FIELD_ALIASES[key] || key;
+    const definition = QUERY_FIELDS[field];
+    if (!definition) {
+        throw new Error(`Unknown field "${key}". Use ${Object.keys(QUERY_FIELDS).join(', ')}.`);
+    }
+    if (!value) {
+        throw new Error(`Missing value after ${key}:`);
+    }
+
+    if (definition.type === 'number') {
+        const test = parseNumericCondition(key, value);
+        return (station) => {
+            const number = definition.get(station);
+            return typeof number === 'number' && Number.isFinite(number) && test(number);
+        };
+    }
+
+    const text = value.toLowerCase();
+    if (definition.type === 'status') {
+        return station => String(definition.get(station) || '').toLowerCase().startsWith(text);
+    }
+    return station => String(definition.get(station) || '').toLowerCase().includes(text);
+}
+
+/**
+ * Parses a station search query such as `status:active elev:>800 start:<2012 name:pass coquihalla`.
+ * Words without a field are returned as free text.
+ * @param {string} query - Query text
+ * @returns {{predicate: Function|null, text: string}} Predicate for the field conditions (null when there are none) and the free text
+ * @throws {Error} When the query is invalid
+ */
+export function parseStationQuery(query) {
+    const conditions = [];
+    const words = [];
+
+    tokenize(String(query || '')).forEach((token) => {
+        const match = token.match(/^([a-z]+):(.*)$/i);
+        if (match) {
+            conditions.push(parseCondition(match[1].toLowerCase(), match[2].trim()));
+        } else {
+            words.push(token);
+        }
+    });
+
+    return {
+        predicate: conditions.length
+            ? station => conditions.every(condition => condition(station))
+            : null,
+        text: words.join(' ')
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Descriptive statistics utilities
+ * @module utils/statistics
+ */
+
+/**
+ * Summarizes a list of values, ignoring nulls.
+ * @param {(number|null)[]} values - Values to summarize
+ * @returns {{count: number, min: number|null, max: number|null, mean: number|null}} Summary
+ */
+export function summarize(values) {
+    let count = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    values.forEach((value) => {
+        if (value === null || value === undefined || !Number.isFinite(value)) return;
+        count++;
+        sum += value;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+
+    if (!count) {
+        return { count: 0, min: null, max: null, mean: null };
+    }
+
+    return { count, min, max, mean: sum / count };
+}
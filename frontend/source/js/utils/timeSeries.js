@@ -0,0 +1,106 @@
+/**
+ * Time-series extraction utilities for observation CSV files
+ * @module utils/timeSeries
+ */
+
+// Columns that hold identifiers rather than measurements
+const NON_SERIES_COLUMNS = ['CODE', 'STATION', 'STATION CODE'];
+
+/**
+ * Parses an observation timestamp into epoch milliseconds.
+ * Timestamps are treated as UTC so that charted values keep their wall-clock time.
+ * @param {string} value - Timestamp text (e.g., "2019-03-01 06:00", "2019/03/01 0600", "201903010600")
+ * @returns {number|null} Epoch milliseconds or null when unparseable
+ */
+export function parseTimestamp(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+
+    const match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T]+(\d{1,2}):?(\d{2})?(?::?(\d{2}))?)?/)
+        || text.match(/^(\d{4})(\d{2})(\d{2})(?:[ T]?(\d{2})(\d{2})?(\d{2})?)?$/);
+
+    if (match) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+        const time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+        return isNaN(time) ? null : time;
+    }
+
+    const parsed = Date.parse(text);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parses a numeric cell value.
+ * @param {string} value - Cell text
+ * @returns {number|null} Number or null when empty or non-numeric
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Finds the index of the timestamp column.
+ * @param {string[]} headers - CSV headers
+ * @param {string[][]} rows - CSV rows
+ * @returns {number} Column index or -1 when none is found
+ */
+export function findTimeColumn(headers, rows) {
+    const named = headers.findIndex(h => /date|time/i.test(h));
+    if (named !== -1) return named;
+
+    const sample = rows.slice(0, 20);
+    return headers.findIndex((header, index) =>
+        sample.length > 0 && sample.every(row => parseTimestamp(row[index]) !== null)
+    );
+}
+
+/**
+ * Converts parsed CSV data into time-ordered numeric series.
+ * Columns are included when most of their non-empty values are numeric.
+ * @param {{headers: string[], rows: string[][]}} csv - Parsed CSV
+ * @returns {{times: number[], columns: {name: string, values: (number|null)[]}[]}} Time series data
+ */
+export function toTimeSeries({ headers, rows }) {
+    const timeColumn = findTimeColumn(headers, rows);
+    if (timeColumn === -1) {
+        return { times: [], columns: [] };
+    }
+
+    // Keep rows with a valid timestamp, in chronological order
+    const timedRows = rows
+        .map(row => ({ time: parseTimestamp(row[timeColumn]), row }))
+        .filter(entry => entry.time !== null)
+        .sort((a, b) => a.time - b.time);
+
+    const columns = [];
+    headers.forEach((name, index) => {
+        if (index === timeColumn || NON_SERIES_COLUMNS.includes(name.toUpperCase())) {
+            return;
+        }
+
+        let filled = 0;
+        let numeric = 0;
+        const values = timedRows.map(({ row }) => {
+            const cell = row[index];
+            if (cell !== undefined && String(cell).trim() !== '') filled++;
+            const number = parseNumber(cell);
+            if (number !== null) numeric++;
+            return number;
+        });
+
+        if (numeric > 0 && numeric >= filled / 2) {
+            columns.push({ name, values });
+        }
+    });
+
+    return {
+        times: timedRows.map(entry => entry.time),
+        columns
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * ZIP archive builder
+ * @module utils/zip
+ */
+
+// Lazily built CRC-32 lookup table
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of a byte array.
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compresses bytes with raw DEFLATE when the browser supports CompressionStream.
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or null when unsupported
+ */
+async function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    try {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields.
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from a list of files.
+ * Files are deflated when the browser supports it and stored otherwise.
+ * @param {{name: string, data: (Uint8Array|string|Blob), date?: Date}[]} files - Archive entries; names may contain folders
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string'
+            ? encoder.encode(file.data)
+            : file.data instanceof Blob
+                ? new Uint8Array(await file.data.arrayBuffer())
+                : file.data;
+
+        const compressed = await deflateRaw(data);
+        const useDeflate = compressed !== null && compressed.length < data.length;
+        const body = useDeflate ? compressed : data;
+        const checksum = crc32(data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, useDeflate ? 8 : 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        // Central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, useDeflate ? 8 : 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, body.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(local, nameBytes, body);
+        centralParts.push(central, nameBytes);
+        offset += 30 + nameBytes.length + body.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
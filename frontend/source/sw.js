@@ -0,0 +1,206 @@
+/**
+ * Weather Archive service worker
+ * Keeps the app shell, station list, recent map tiles and downloaded files available offline.
+ */
+
+// Stamped with the build version by the Dockerfile so each release starts with fresh caches
+const CACHE_VERSION = 'v=1752516480';
+
+const SHELL_CACHE = `wa-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'wa-data';
+const FILE_CACHE = 'wa-files';
+const TILE_CACHE = 'wa-tiles';
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, FILE_CACHE, TILE_CACHE];
+
+const MAX_FILE_ENTRIES = 200;
+const MAX_TILE_ENTRIES = 1500;
+const NETWORK_TIMEOUT_MS = 4000;
+const TRIM_INTERVAL = 25;
+
+// Writes per cache since it was last trimmed
+const writeCounts = new Map();
+
+// Core files needed to start the app; the remaining modules are cached as the page reports them
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'css/app.css',
+    'js/main.js',
+    'assets/images/bcid-logo-rev-en.svg',
+    'assets/images/bcid-symbol-rev.svg',
+    'assets/data/bc-outline.geojson',
+    'vendor/css/bootstrap-theme.min.css',
+    'vendor/css/bootstrap-icons.css',
+    'vendor/css/ol.css',
+    'vendor/fonts/bootstrap-icons.woff2',
+    'vendor/js/jquery-3.6.0.min.js',
+    'vendor/js/bootstrap.bundle.min.js',
+    'vendor/js/ol.js',
+    'vendor/js/olms.js'
+];
+
+/**
+ * Deletes the oldest entries of a cache beyond a limit.
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    // Cache keys are returned in insertion order
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * Stores a successful response in a cache.
+ * @param {string} cacheName - Cache name
+ * @param {Request|string} key - Cache key
+ * @param {Response} response - Response to store
+ * @param {number} [maxEntries] - Optional entry limit for the cache
+ */
+async function putInCache(cacheName, key, response, maxEntries) {
+    if (!response || !response.ok) return;
+
+    const cache = await caches.open(cacheName);
+    // Re-inserting moves the entry to the end so trimming drops the least recently stored
+    await cache.delete(key);
+    await cache.put(key, response);
+    if (maxEntries) {
+        // Listing a large cache is slow, so only trim every few writes
+        const writes = (writeCounts.get(cacheName) || 0) + 1;
+        writeCounts.set(cacheName, writes % TRIM_INTERVAL);
+        if (writes >= TRIM_INTERVAL) {
+            await trimCache(cacheName, maxEntries);
+        }
+    }
+}
+
+/**
+ * Fetches a request and stores the response, keeping the worker alive until the cache is written.
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache name
+ * @param {Request|string} cacheKey - Cache key
+ * @param {number} [maxEntries] - Optional entry limit for the cache
+ * @returns {Promise<Response>} Network response
+ */
+function fetchAndCache(event, cacheName, cacheKey, maxEntries) {
+    let caching = Promise.resolve();
+    const network = fetch(event.request).then((response) => {
+        caching = putInCache(cacheName, cacheKey, response.clone(), maxEntries);
+        return response;
+    });
+    event.waitUntil(network.then(() => caching).catch(() => null));
+    return network;
+}
+
+/**
+ * Fetches from the network, falling back to the cache when offline or when the network is too slow.
+ * Slow responses still update the cache once they arrive.
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache used for fallback
+ * @param {Object} [options] - Strategy options
+ * @param {string} [options.cacheKey] - Key to store and match under (defaults to the request)
+ * @param {boolean} [options.ignoreSearch] - Ignore query strings when matching the fallback
+ * @param {number} [options.maxEntries] - Entry limit for the cache
+ * @returns {Promise<Response>} Response
+ */
+function networkFirst(event, cacheName, { cacheKey = event.request, ignoreSearch = false, maxEntries } = {}) {
+    const network = fetchAndCache(event, cacheName, cacheKey, maxEntries);
+    const fallback = () => caches.match(cacheKey, { cacheName, ignoreSearch, ignoreVary: true });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(async () => {
+            const cached = await fallback();
+            if (cached) resolve(cached);
+        }, NETWORK_TIMEOUT_MS);
+
+        network
+            .then(resolve)
+            .catch(async (error) => {
+                const cached = await fallback();
+                if (cached) {
+                    resolve(cached);
+                } else {
+                    reject(error);
+                }
+            })
+            .finally(() => clearTimeout(timer));
+    });
+}
+
+/**
+ * Serves from the cache and refreshes the entry in the background.
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Entry limit for the cache
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event, cacheName, maxEntries) {
+    const network = fetchAndCache(event, cacheName, event.request, maxEntries);
+    const cached = await caches.match(event.request, { cacheName });
+    return cached || network;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => !CURRENT_CACHES.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // The page reports the modules and assets it loaded so the full app shell is available offline
+    if (event.data?.type === 'CACHE_URLS' && Array.isArray(event.data.urls)) {
+        const urls = event.data.urls.filter(url => new URL(url).origin === self.location.origin);
+        event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all(urls.map(async (url) => {
+            if (!await cache.match(url)) {
+                await cache.add(url).catch(() => null);
+            }
+        }))));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Basemap styles, sprites, glyphs and tiles
+    if (url.hostname.endsWith('arcgis.com') || url.hostname.endsWith('arcgisonline.com')) {
+        event.respondWith(staleWhileRevalidate(event, TILE_CACHE, MAX_TILE_ENTRIES));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        // Observation files are keyed by URL only; the Bearer token changes on every request
+        if (url.pathname.includes('/files/')) {
+            event.respondWith(networkFirst(event, FILE_CACHE, { cacheKey: url.href, maxEntries: MAX_FILE_ENTRIES }));
+            return;
+        }
+        event.respondWith(networkFirst(event, DATA_CACHE));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event, SHELL_CACHE, { cacheKey: 'index.html', ignoreSearch: true }));
+        return;
+    }
+
+    event.respondWith(networkFirst(event, SHELL_CACHE, { ignoreSearch: true }));
+});